@@ -9,6 +9,9 @@ const bcrypt = require("bcryptjs");
 const Database = require("better-sqlite3");
 const cors = require("cors");
 const crypto = require("crypto");
+const zlib = require("zlib");
+const Busboy = require("busboy");
+const Y = require("yjs");
 
 // Transformers.js for server-side AI
 let pipeline;
@@ -45,6 +48,10 @@ const app = express();
 const PORT = Number(process.env.API_PORT || process.env.PORT || 8080);
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-please-change";
 const NODE_ENV = process.env.NODE_ENV || "development";
+// Days a note stays in the trash before it is purged (0 = keep forever)
+const TRASH_RETENTION_DAYS = Math.max(0, Number(process.env.TRASH_RETENTION_DAYS ?? 30) || 0);
+// Default for the maxUploadMB admin setting (largest file accepted by POST /api/attachments)
+const MAX_UPLOAD_MB = Math.max(1, Number(process.env.MAX_UPLOAD_MB ?? 20) || 20);
 
 // ---------- Body parsing ----------
 app.use(express.json({ limit: "20mb" }));
@@ -73,6 +80,15 @@ try {
   console.error("Failed to ensure DB directory:", e);
 }
 
+// Attachment blobs live next to the DB unless configured otherwise
+const attachmentsDir =
+  process.env.ATTACHMENTS_DIR || path.join(path.dirname(dbFile), "attachments");
+try {
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+} catch (e) {
+  console.error("Failed to ensure attachments directory:", e);
+}
+
 const db = new Database(dbFile);
 db.pragma("journal_mode = WAL");
 db.pragma("foreign_keys = ON");
@@ -115,11 +131,118 @@ CREATE TABLE IF NOT EXISTS note_collaborators (
   user_id INTEGER NOT NULL,
   added_by INTEGER NOT NULL,
   added_at TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor', -- viewer | editor | reshare
   FOREIGN KEY(note_id) REFERENCES notes(id) ON DELETE CASCADE,
   FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
   FOREIGN KEY(added_by) REFERENCES users(id) ON DELETE CASCADE,
   UNIQUE(note_id, user_id)
 );
+
+CREATE TABLE IF NOT EXISTS note_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  note_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  items_json TEXT NOT NULL,
+  tags_json TEXT NOT NULL,
+  images_json TEXT NOT NULL,
+  color TEXT NOT NULL,
+  edited_by TEXT,              -- email/name of the editor (same as notes.last_edited_by)
+  edited_by_user_id INTEGER,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY(note_id) REFERENCES notes(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_note_revisions_note ON note_revisions(note_id, id);
+
+CREATE TABLE IF NOT EXISTS note_shares (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  note_id TEXT NOT NULL,
+  token TEXT NOT NULL UNIQUE,   -- random, used in the public link
+  created_by INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT,              -- NULL = never expires
+  FOREIGN KEY(note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_note_shares_note ON note_shares(note_id);
+
+CREATE TABLE IF NOT EXISTS tags (
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  color TEXT,                   -- note color key (red, sky, ...) or NULL
+  icon TEXT,                    -- short emoji/glyph shown before the name
+  position INTEGER,             -- manual order; NULL sorts after, alphabetically
+  PRIMARY KEY(user_id, name),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Each note sits in at most one of its owner's notebooks (notes.notebook_id)
+CREATE TABLE IF NOT EXISTS notebooks (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  color TEXT,                   -- note color key (red, sky, ...) or NULL
+  icon TEXT,                    -- short emoji/glyph shown before the name
+  position INTEGER,             -- manual order; NULL sorts after, alphabetically
+  created_at TEXT NOT NULL,
+  UNIQUE(user_id, name),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Reusable starting points for new notes; {{placeholders}} expand on the client
+CREATE TABLE IF NOT EXISTS note_templates (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,          -- "text" | "checklist"
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  items_json TEXT NOT NULL,    -- checklist item texts, as [{text}]
+  tags_json TEXT NOT NULL,
+  color TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Instance-wide admin settings (see ADMIN_SETTINGS); values are JSON
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  updated_by INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS note_crdt (
+  note_id TEXT PRIMARY KEY,
+  state BLOB NOT NULL,          -- Y.encodeStateAsUpdate of the note's Y.Doc
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY(note_id) REFERENCES notes(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,    -- uploader
+  sha256 TEXT NOT NULL,        -- blob file name under the attachments dir
+  mime TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  name TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE(user_id, sha256),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_attachments_sha256 ON attachments(sha256);
+
+-- Which notes reference which attachments (derived from images_json)
+CREATE TABLE IF NOT EXISTS note_attachments (
+  note_id TEXT NOT NULL,
+  attachment_id TEXT NOT NULL,
+  PRIMARY KEY(note_id, attachment_id),
+  FOREIGN KEY(note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  FOREIGN KEY(attachment_id) REFERENCES attachments(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_note_attachments_attachment ON note_attachments(attachment_id);
 `);
 
 // Tiny migrations (safe to run repeatedly)
@@ -162,6 +285,24 @@ CREATE TABLE IF NOT EXISTS note_collaborators (
       if (!names.has("archived")) {
         db.exec(`ALTER TABLE notes ADD COLUMN archived INTEGER NOT NULL DEFAULT 0`);
       }
+      if (!names.has("deleted_at")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN deleted_at TEXT`);
+      }
+      if (!names.has("reminder_at")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN reminder_at TEXT`);
+      }
+      if (!names.has("reminder_fired_at")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN reminder_fired_at TEXT`);
+      }
+      if (!names.has("reminder_repeat")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN reminder_repeat TEXT`); // JSON, see parseRepeat
+      }
+      if (!names.has("version")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+      }
+      if (!names.has("notebook_id")) {
+        db.exec(`ALTER TABLE notes ADD COLUMN notebook_id TEXT`); // notebooks.id, NULL = no notebook
+      }
     });
     tx();
   } catch {
@@ -169,6 +310,19 @@ CREATE TABLE IF NOT EXISTS note_collaborators (
   }
 })();
 
+// Collaborator roles (existing shares keep full edit access)
+(function ensureCollaboratorColumns() {
+  try {
+    const cols = db.prepare(`PRAGMA table_info(note_collaborators)`).all();
+    const names = new Set(cols.map((c) => c.name));
+    if (!names.has("role")) {
+      db.exec(`ALTER TABLE note_collaborators ADD COLUMN role TEXT NOT NULL DEFAULT 'editor'`);
+    }
+  } catch {
+    // ignore if ALTER not supported or already applied
+  }
+})();
+
 // Optionally promote admins from env (comma-separated)
 const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
   .split(",")
@@ -227,10 +381,58 @@ function auth(req, res, next) {
       name: payload.name,
       is_admin: !!payload.is_admin,
     };
-    next();
   } catch {
     return res.status(401).json({ error: "Invalid token" });
   }
+  refreshAttachmentCookie(req, res);
+  next();
+}
+
+// <img> can't send an Authorization header, so attachments are read with an
+// HttpOnly cookie instead. It only unlocks GET /api/attachments/:id: it is signed
+// with a key derived from JWT_SECRET, so it never passes as a session token.
+const ATTACHMENT_COOKIE = "gk_attachments";
+const ATTACHMENT_COOKIE_TTL_S = 12 * 60 * 60;
+const ATTACHMENT_COOKIE_SECRET = crypto.createHmac("sha256", JWT_SECRET).update("attachments").digest();
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && part.slice(0, eq).trim() === name) return part.slice(eq + 1).trim();
+  }
+  return null;
+}
+
+function setAttachmentCookie(req, res, value, maxAge) {
+  const flags = `Path=/api; Max-Age=${maxAge}; HttpOnly; SameSite=Strict${req.secure ? "; Secure" : ""}`;
+  res.append("Set-Cookie", `${ATTACHMENT_COOKIE}=${value}; ${flags}`);
+}
+
+function attachmentCookiePayload(req) {
+  const token = readCookie(req, ATTACHMENT_COOKIE);
+  if (!token) return null;
+  try {
+    return jwt.verify(token, ATTACHMENT_COOKIE_SECRET);
+  } catch {
+    return null;
+  }
+}
+
+// (Re)issue the cookie for the signed-in user once it is missing, for someone
+// else, or past half its lifetime
+function refreshAttachmentCookie(req, res) {
+  const current = attachmentCookiePayload(req);
+  if (current && current.uid === req.user.id && current.exp - Date.now() / 1000 > ATTACHMENT_COOKIE_TTL_S / 2) return;
+  const token = jwt.sign({ uid: req.user.id }, ATTACHMENT_COOKIE_SECRET, { expiresIn: ATTACHMENT_COOKIE_TTL_S });
+  setAttachmentCookie(req, res, token, ATTACHMENT_COOKIE_TTL_S);
+}
+
+// Bearer token or the attachment cookie
+function attachmentAuth(req, res, next) {
+  const payload = attachmentCookiePayload(req);
+  if (!payload) return auth(req, res, next);
+  req.user = { id: payload.uid };
+  next();
 }
 
 // Auth that also supports token in query string for EventSource
@@ -275,20 +477,21 @@ const getUserById = db.prepare("SELECT * FROM users WHERE id = ?");
 const getNoteById = db.prepare("SELECT * FROM notes WHERE id = ?");
 
 // Notes statements
-const listNotes = db.prepare(
-  `SELECT * FROM notes WHERE user_id = ? AND archived = 0 ORDER BY pinned DESC, position DESC, timestamp DESC`
-);
 const listArchivedNotes = db.prepare(
-  `SELECT * FROM notes WHERE user_id = ? AND archived = 1 ORDER BY timestamp DESC`
+  `SELECT * FROM notes WHERE user_id = ? AND archived = 1 AND deleted_at IS NULL ORDER BY timestamp DESC`
+);
+const listTrashedNotes = db.prepare(
+  `SELECT * FROM notes WHERE user_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`
 );
 const listNotesPage = db.prepare(
-  `SELECT * FROM notes WHERE user_id = ? ORDER BY pinned DESC, position DESC, timestamp DESC LIMIT ? OFFSET ?`
+  `SELECT * FROM notes WHERE user_id = ? AND deleted_at IS NULL ORDER BY pinned DESC, position DESC, timestamp DESC LIMIT ? OFFSET ?`
 );
 const getNote = db.prepare("SELECT * FROM notes WHERE id = ? AND user_id = ?");
+// collaborator_role is NULL for the owner
 const getNoteWithCollaboration = db.prepare(`
-  SELECT n.* FROM notes n
+  SELECT n.*, nc.role AS collaborator_role FROM notes n
   LEFT JOIN note_collaborators nc ON n.id = nc.note_id AND nc.user_id = ?
-  WHERE n.id = ? AND (n.user_id = ? OR nc.user_id IS NOT NULL)
+  WHERE n.id = ? AND (n.user_id = ? OR nc.user_id IS NOT NULL) AND n.deleted_at IS NULL
 `);
 const insertNote = db.prepare(`
   INSERT INTO notes (id,user_id,type,title,content,items_json,tags_json,images_json,color,pinned,position,timestamp,archived)
@@ -297,16 +500,19 @@ const insertNote = db.prepare(`
 const updateNote = db.prepare(`
   UPDATE notes SET
     type=@type, title=@title, content=@content, items_json=@items_json, tags_json=@tags_json,
-    images_json=@images_json, color=@color, pinned=@pinned, position=@position, timestamp=@timestamp
+    images_json=@images_json, color=@color, pinned=@pinned, position=@position, timestamp=@timestamp,
+    version=version+1
   WHERE id=@id AND user_id=@user_id
 `);
+// @version: expected current version, or NULL to skip the check
 const updateNoteWithCollaboration = db.prepare(`
   UPDATE notes SET
     type=@type, title=@title, content=@content, items_json=@items_json, tags_json=@tags_json,
-    images_json=@images_json, color=@color, pinned=@pinned, position=@position, timestamp=@timestamp
-  WHERE id=@id AND (user_id=@user_id OR EXISTS(
+    images_json=@images_json, color=@color, pinned=@pinned, position=@position, timestamp=@timestamp,
+    version=version+1
+  WHERE id=@id AND (@version IS NULL OR version=@version) AND (user_id=@user_id OR EXISTS(
     SELECT 1 FROM note_collaborators nc 
-    WHERE nc.note_id=@id AND nc.user_id=@user_id
+    WHERE nc.note_id=@id AND nc.user_id=@user_id AND nc.role != 'viewer'
   ))
 `);
 const patchPartial = db.prepare(`
@@ -317,7 +523,8 @@ const patchPartial = db.prepare(`
                    images_json=COALESCE(@images_json,images_json),
                    color=COALESCE(@color,color),
                    pinned=COALESCE(@pinned,pinned),
-                   timestamp=COALESCE(@timestamp,timestamp)
+                   timestamp=COALESCE(@timestamp,timestamp),
+                   version=version+1
   WHERE id=@id AND user_id=@user_id
 `);
 const patchPartialWithCollaboration = db.prepare(`
@@ -328,26 +535,42 @@ const patchPartialWithCollaboration = db.prepare(`
                    images_json=COALESCE(@images_json,images_json),
                    color=COALESCE(@color,color),
                    pinned=COALESCE(@pinned,pinned),
-                   timestamp=COALESCE(@timestamp,timestamp)
-  WHERE id=@id AND (user_id=@user_id OR EXISTS(
+                   timestamp=COALESCE(@timestamp,timestamp),
+                   version=version+1
+  WHERE id=@id AND (@version IS NULL OR version=@version) AND (user_id=@user_id OR EXISTS(
     SELECT 1 FROM note_collaborators nc 
-    WHERE nc.note_id=@id AND nc.user_id=@user_id
+    WHERE nc.note_id=@id AND nc.user_id=@user_id AND nc.role != 'viewer'
   ))
 `);
 const patchPosition = db.prepare(`
   UPDATE notes SET position=@position, pinned=@pinned WHERE id=@id AND user_id=@user_id
 `);
 const deleteNote = db.prepare("DELETE FROM notes WHERE id = ? AND user_id = ?");
+const trashNote = db.prepare(
+  "UPDATE notes SET deleted_at = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL"
+);
+const restoreNote = db.prepare(
+  "UPDATE notes SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL"
+);
+const emptyTrash = db.prepare("DELETE FROM notes WHERE user_id = ? AND deleted_at IS NOT NULL");
+const listTrashedIds = db.prepare("SELECT id FROM notes WHERE user_id = ? AND deleted_at IS NOT NULL");
+const purgeTrash = db.prepare("DELETE FROM notes WHERE deleted_at IS NOT NULL AND deleted_at < ?");
 
 // Collaboration statements
 const getUserByEmail = db.prepare("SELECT * FROM users WHERE lower(email)=lower(?)");
 const getUserByName = db.prepare("SELECT * FROM users WHERE lower(name)=lower(?)");
 const addCollaborator = db.prepare(`
-  INSERT INTO note_collaborators (note_id, user_id, added_by, added_at)
-  VALUES (?, ?, ?, ?)
+  INSERT INTO note_collaborators (note_id, user_id, added_by, added_at, role)
+  VALUES (?, ?, ?, ?, ?)
 `);
+const setCollaboratorRole = db.prepare(
+  "UPDATE note_collaborators SET role = ? WHERE note_id = ? AND user_id = ?"
+);
+const getCollaboratorRole = db.prepare(
+  "SELECT role FROM note_collaborators WHERE note_id = ? AND user_id = ?"
+);
 const getNoteCollaborators = db.prepare(`
-  SELECT u.id, u.name, u.email, nc.added_at, nc.added_by
+  SELECT u.id, u.name, u.email, nc.added_at, nc.added_by, nc.role
   FROM note_collaborators nc
   JOIN users u ON nc.user_id = u.id
   WHERE nc.note_id = ?
@@ -355,7 +578,7 @@ const getNoteCollaborators = db.prepare(`
 const getCollaboratedNotes = db.prepare(`
   SELECT n.* FROM notes n
   JOIN note_collaborators nc ON n.id = nc.note_id
-  WHERE nc.user_id = ?
+  WHERE nc.user_id = ? AND n.deleted_at IS NULL
   ORDER BY n.pinned DESC, n.position DESC, n.timestamp DESC
 `);
 const updateNoteWithEditor = db.prepare(`
@@ -366,6 +589,648 @@ const updateNoteWithEditor = db.prepare(`
   WHERE id = ?
 `);
 
+// Access levels: viewers can only read, editors can change the note,
+// "reshare" editors can also manage who else it is shared with.
+const COLLABORATOR_ROLES = ["viewer", "editor", "reshare"];
+const VIEW_ONLY_ERROR = "You have view-only access to this note";
+
+// "owner" or the collaborator role, for a row from getNoteWithCollaboration
+function noteRole(note, userId) {
+  if (note.user_id === userId) return "owner";
+  return note.collaborator_role || "editor";
+}
+const canEditNote = (note, userId) => noteRole(note, userId) !== "viewer";
+const canShareNote = (note, userId) => ["owner", "reshare"].includes(noteRole(note, userId));
+
+// Role of the current user on any notes row (list endpoints)
+function accessRoleFor(r, userId) {
+  if (r.user_id === userId) return "owner";
+  return getCollaboratorRole.get(r.id, userId)?.role || "editor";
+}
+
+// Shape a notes row the way the API returns it
+function noteToJSON(r) {
+  return {
+    id: r.id,
+    user_id: r.user_id,
+    type: r.type,
+    title: r.title,
+    content: r.content,
+    items: JSON.parse(r.items_json || "[]"),
+    tags: JSON.parse(r.tags_json || "[]"),
+    images: JSON.parse(r.images_json || "[]"),
+    color: r.color,
+    pinned: !!r.pinned,
+    position: r.position,
+    timestamp: r.timestamp,
+    updated_at: r.updated_at,
+    lastEditedBy: r.last_edited_by,
+    lastEditedAt: r.last_edited_at,
+    archived: !!r.archived,
+    version: r.version,
+    notebookId: r.notebook_id ?? null,
+    ...reminderFields(r),
+  };
+}
+
+// Expected version for a write, from If-Match ("3" / W/"3") or the body's `version`.
+// null when absent, NaN when malformed.
+function requestedVersion(req) {
+  const header = req.get("If-Match");
+  if (header) {
+    const m = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    return m ? Number(m[1]) : NaN;
+  }
+  const v = (req.body || {}).version;
+  if (v === undefined || v === null) return null;
+  return Number.isInteger(v) ? v : NaN;
+}
+
+// 409 with the server copy so the client can merge
+function sendVersionConflict(res, noteId) {
+  const current = getNoteById.get(noteId);
+  res.setHeader("ETag", `"${current.version}"`);
+  return res.status(409).json({
+    error: "This note was changed by someone else. Reload or merge your changes.",
+    note: noteToJSON(current),
+  });
+}
+
+// Reminder state as sent to clients
+function reminderFields(r) {
+  let repeat = null;
+  try {
+    repeat = r.reminder_repeat ? JSON.parse(r.reminder_repeat) : null;
+  } catch {
+    repeat = null;
+  }
+  return {
+    reminderAt: r.reminder_at || null,
+    reminderFiredAt: r.reminder_fired_at || null,
+    reminderRepeat: repeat
+      ? {
+        rule: repeat.rule,
+        tz: repeat.tz,
+        fromCompletion: !!repeat.fromCompletion,
+        resetChecked: !!repeat.resetChecked,
+      }
+      : null,
+  };
+}
+
+// ---------- Revisions ----------
+// Saves by the same editor within this window are folded into one revision
+// so autosave and checklist ticks don't flood the history.
+const REVISION_COALESCE_MS = 2 * 60 * 1000;
+const MAX_REVISIONS_PER_NOTE = 100;
+
+const insertRevision = db.prepare(`
+  INSERT INTO note_revisions (note_id,type,title,content,items_json,tags_json,images_json,color,edited_by,edited_by_user_id,created_at)
+  VALUES (@note_id,@type,@title,@content,@items_json,@tags_json,@images_json,@color,@edited_by,@edited_by_user_id,@created_at)
+`);
+const updateRevisionSnapshot = db.prepare(`
+  UPDATE note_revisions SET
+    type=@type, title=@title, content=@content, items_json=@items_json, tags_json=@tags_json,
+    images_json=@images_json, color=@color, created_at=@created_at
+  WHERE id=@id
+`);
+const getLatestRevision = db.prepare(
+  "SELECT * FROM note_revisions WHERE note_id = ? ORDER BY id DESC LIMIT 1"
+);
+const countRevisions = db.prepare(
+  "SELECT COUNT(*) AS c FROM note_revisions WHERE note_id = ?"
+);
+const listRevisions = db.prepare(
+  "SELECT * FROM note_revisions WHERE note_id = ? ORDER BY id DESC"
+);
+const getRevision = db.prepare("SELECT * FROM note_revisions WHERE id = ? AND note_id = ?");
+const pruneRevisions = db.prepare(`
+  DELETE FROM note_revisions WHERE note_id = ? AND id NOT IN (
+    SELECT id FROM note_revisions WHERE note_id = ? ORDER BY id DESC LIMIT ?
+  )
+`);
+
+const REVISION_FIELDS = ["type", "title", "content", "items_json", "tags_json", "images_json", "color"];
+const sameSnapshot = (a, b) => REVISION_FIELDS.every((f) => a[f] === b[f]);
+
+/**
+ * Snapshot the current state of a note into note_revisions.
+ * `previous` is the row as it was before the write; it is stored first when the
+ * note has no history yet so the pre-edit version can always be restored.
+ */
+function recordRevision(noteId, editor, previous = null, { coalesce = true } = {}) {
+  try {
+    const note = getNoteById.get(noteId);
+    if (!note) return;
+    const tx = db.transaction(() => {
+      let latest = getLatestRevision.get(noteId);
+      if (!latest && previous && !sameSnapshot(previous, note)) {
+        insertRevision.run({
+          note_id: noteId,
+          ...Object.fromEntries(REVISION_FIELDS.map((f) => [f, previous[f]])),
+          edited_by: previous.last_edited_by || null,
+          edited_by_user_id: null,
+          created_at: previous.updated_at || previous.timestamp || nowISO(),
+        });
+        latest = getLatestRevision.get(noteId);
+      }
+      if (latest && sameSnapshot(latest, note)) return;
+
+      const snapshot = {
+        ...Object.fromEntries(REVISION_FIELDS.map((f) => [f, note[f]])),
+        created_at: nowISO(),
+      };
+      // Never fold into the first revision so the original state stays restorable
+      const fold =
+        coalesce &&
+        latest &&
+        latest.edited_by_user_id === editor.id &&
+        countRevisions.get(noteId).c > 1 &&
+        Date.now() - new Date(latest.created_at).getTime() < REVISION_COALESCE_MS;
+      if (fold) {
+        updateRevisionSnapshot.run({ id: latest.id, ...snapshot });
+      } else {
+        insertRevision.run({
+          note_id: noteId,
+          ...snapshot,
+          edited_by: editor.name || editor.email,
+          edited_by_user_id: editor.id,
+        });
+        pruneRevisions.run(noteId, noteId, MAX_REVISIONS_PER_NOTE);
+      }
+    });
+    tx();
+  } catch (e) {
+    console.error("Failed to record revision:", e);
+  }
+}
+
+// ---------- Search index (FTS5) ----------
+// One row per note. Write routes call indexNote()/removeFromSearchIndex() to keep it in sync.
+db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+  note_id UNINDEXED, title, content, items, tags,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+`);
+
+// Snippet highlight markers (control characters can't appear in typed text)
+const SEARCH_MARK_START = "\u0002";
+const SEARCH_MARK_END = "\u0003";
+const SEARCH_RESULT_LIMIT = 100;
+
+const insertSearchEntry = db.prepare(
+  "INSERT INTO notes_fts (note_id, title, content, items, tags) VALUES (?, ?, ?, ?, ?)"
+);
+const deleteSearchEntry = db.prepare("DELETE FROM notes_fts WHERE note_id = ?");
+const pruneSearchIndex = db.prepare(
+  "DELETE FROM notes_fts WHERE note_id NOT IN (SELECT id FROM notes)"
+);
+
+function parseJSONArray(s) {
+  try {
+    const v = JSON.parse(s || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeSearchEntry(note) {
+  deleteSearchEntry.run(note.id);
+  insertSearchEntry.run(
+    note.id,
+    note.title || "",
+    // Drawing notes store stroke JSON in content, which isn't searchable text
+    note.type === "draw" ? "" : note.content || "",
+    parseJSONArray(note.items_json).map((it) => (it && it.text) || "").join("\n"),
+    parseJSONArray(note.tags_json).map(String).join(" ")
+  );
+}
+
+// Also refreshes the note's outgoing [[wiki links]]
+function indexNote(noteId) {
+  try {
+    const note = getNoteById.get(noteId);
+    if (note) {
+      writeSearchEntry(note);
+      writeNoteLinks(note);
+    } else {
+      deleteSearchEntry.run(noteId);
+    }
+  } catch (e) {
+    console.error("Failed to index note:", e);
+  }
+}
+
+function removeFromSearchIndex(noteId) {
+  try {
+    if (noteId) deleteSearchEntry.run(noteId);
+    else pruneSearchIndex.run();
+  } catch (e) {
+    console.error("Failed to update search index:", e);
+  }
+}
+
+// Build the index for databases created before search existed
+(function backfillSearchIndex() {
+  const indexed = db.prepare("SELECT COUNT(*) AS c FROM notes_fts").get().c;
+  const total = db.prepare("SELECT COUNT(*) AS c FROM notes").get().c;
+  if (indexed === total) return;
+  const rebuild = db.transaction(() => {
+    db.exec("DELETE FROM notes_fts");
+    for (const note of db.prepare("SELECT * FROM notes").all()) writeSearchEntry(note);
+  });
+  rebuild();
+  console.log(`Search index rebuilt (${total} notes)`);
+})();
+
+// ---------- Wiki links ----------
+// "[[Note Title]]" (or "[[Note Title|label]]") in a text note links to the
+// note with that title. Links are stored by lowercased title, so a link
+// written before its target exists starts resolving once the note is created.
+db.exec(`
+CREATE TABLE IF NOT EXISTS note_links (
+  source_id TEXT NOT NULL,
+  target_key TEXT NOT NULL,     -- wikiLinkKey(target title)
+  PRIMARY KEY(source_id, target_key),
+  FOREIGN KEY(source_id) REFERENCES notes(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_note_links_target ON note_links(target_key);
+`);
+
+const WIKI_LINK_RE = /\[\[([^[\]|\n]+)(\|[^[\]\n]*)?\]\]/g;
+const BACKLINK_SNIPPET_CHARS = 60;
+
+const wikiLinkKey = (title) => String(title ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+// SQLite's lower() only folds ASCII, so titles are matched with the same key in SQL
+db.function("wiki_link_key", { deterministic: true }, wikiLinkKey);
+
+const insertNoteLink = db.prepare("INSERT OR IGNORE INTO note_links (source_id, target_key) VALUES (?, ?)");
+const deleteNoteLinks = db.prepare("DELETE FROM note_links WHERE source_id = ?");
+// Notes the user can see that link to `key`
+const listBacklinks = db.prepare(`
+  SELECT n.* FROM note_links l JOIN notes n ON n.id = l.source_id
+  WHERE l.target_key = @key AND n.id != @noteId AND n.deleted_at IS NULL
+    AND (n.user_id = @userId OR EXISTS(
+      SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = @userId
+    ))
+  ORDER BY COALESCE(n.updated_at, n.timestamp) DESC
+`);
+// Linking notes the user may edit (renames rewrite these)
+const listEditableLinkSources = db.prepare(`
+  SELECT n.* FROM note_links l JOIN notes n ON n.id = l.source_id
+  WHERE l.target_key = @key AND n.id != @noteId AND n.deleted_at IS NULL AND n.type = 'text'
+    AND (n.user_id = @userId OR EXISTS(
+      SELECT 1 FROM note_collaborators nc
+      WHERE nc.note_id = n.id AND nc.user_id = @userId AND nc.role != 'viewer'
+    ))
+`);
+// Own notes win over shared ones, then the most recently edited
+const findNoteByTitle = db.prepare(`
+  SELECT n.* FROM notes n
+  WHERE wiki_link_key(n.title) = @key AND n.deleted_at IS NULL
+    AND (n.user_id = @userId OR EXISTS(
+      SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = @userId
+    ))
+  ORDER BY n.user_id = @userId DESC, COALESCE(n.updated_at, n.timestamp) DESC
+  LIMIT 1
+`);
+const countOwnNotesTitled = db.prepare(
+  "SELECT COUNT(*) AS c FROM notes WHERE user_id = ? AND id != ? AND deleted_at IS NULL AND wiki_link_key(title) = ?"
+);
+const writeLinkedContent = db.prepare(
+  "UPDATE notes SET content = ?, version = version + 1, updated_at = ?, last_edited_by = ?, last_edited_at = ? WHERE id = ?"
+);
+
+// Links inside code (fenced or inline) are just text: fn only sees the prose between
+const mapOutsideCode = (md, fn) =>
+  String(md || "")
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 ? part : fn(part)))
+    .join("");
+
+function writeNoteLinks(note) {
+  deleteNoteLinks.run(note.id);
+  if (note.type !== "text") return;
+  mapOutsideCode(note.content, (text) => {
+    for (const m of text.matchAll(WIKI_LINK_RE)) {
+      const key = wikiLinkKey(m[1]);
+      if (key) insertNoteLink.run(note.id, key);
+    }
+    return text;
+  });
+}
+
+// Text around the first link to `key`, for the backlinks panel
+function backlinkSnippet(content, key) {
+  for (const m of String(content || "").matchAll(WIKI_LINK_RE)) {
+    if (wikiLinkKey(m[1]) !== key) continue;
+    const start = Math.max(0, m.index - BACKLINK_SNIPPET_CHARS);
+    const end = Math.min(content.length, m.index + m[0].length + BACKLINK_SNIPPET_CHARS);
+    return `${start > 0 ? "…" : ""}${content.slice(start, end).replace(/\s+/g, " ").trim()}${end < content.length ? "…" : ""}`;
+  }
+  return "";
+}
+
+/**
+ * After `note` (the row before the write) is retitled, point [[links]] to
+ * its old title at the new one in every linking note the user may edit.
+ * Skipped when another of the owner's notes still has the old title, since
+ * those links may mean that note. Returns the ids of rewritten notes.
+ */
+function relinkRenamedNote(note, newTitle, user) {
+  const oldKey = wikiLinkKey(note.title);
+  const newLabel = String(newTitle || "").trim();
+  if (!oldKey || !newLabel || wikiLinkKey(newLabel) === oldKey) return [];
+  if (countOwnNotesTitled.get(note.user_id, note.id, oldKey).c > 0) return [];
+
+  const changed = [];
+  const editor = user.name || user.email;
+  db.transaction(() => {
+    for (const r of listEditableLinkSources.all({ key: oldKey, noteId: note.id, userId: user.id })) {
+      const content = mapOutsideCode(r.content, (text) =>
+        text.replace(WIKI_LINK_RE, (whole, target, label = "") =>
+          wikiLinkKey(target) === oldKey ? `[[${newLabel}${label}]]` : whole
+        )
+      );
+      if (content === r.content) continue;
+      const now = nowISO();
+      writeLinkedContent.run(content, now, editor, now, r.id);
+      recordRevision(r.id, user, r);
+      changed.push(r.id);
+    }
+  })();
+  for (const id of changed) {
+    indexNote(id);
+    broadcastNoteUpdated(id);
+  }
+  return changed;
+}
+
+// Fill note_links for databases created before wiki links existed
+(function backfillNoteLinks() {
+  const linked = db.prepare("SELECT COUNT(*) AS c FROM note_links").get().c;
+  if (linked > 0) return;
+  const candidates = db.prepare("SELECT * FROM notes WHERE type = 'text' AND content LIKE '%[[%]]%'").all();
+  if (!candidates.length) return;
+  db.transaction(() => candidates.forEach(writeNoteLinks))();
+})();
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+function toSearchQuery(q) {
+  const words = String(q || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.slice(0, 16).map((w) => `"${w}"*`).join(" ");
+}
+
+const searchSelect = `
+  SELECT n.*,
+    snippet(notes_fts, -1, '${SEARCH_MARK_START}', '${SEARCH_MARK_END}', '…', 16) AS snippet,
+    bm25(notes_fts, 0, 10.0, 1.0, 1.0, 5.0) AS rank
+  FROM notes_fts JOIN notes n ON n.id = notes_fts.note_id
+  WHERE notes_fts MATCH @query`;
+const searchNotesByScope = {
+  notes: db.prepare(`${searchSelect}
+    AND (n.user_id = @userId OR EXISTS(
+      SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = @userId
+    )) AND n.archived = 0 AND n.deleted_at IS NULL
+    ORDER BY rank LIMIT @limit`),
+  archived: db.prepare(`${searchSelect}
+    AND n.user_id = @userId AND n.archived = 1 AND n.deleted_at IS NULL
+    ORDER BY rank LIMIT @limit`),
+  trash: db.prepare(`${searchSelect}
+    AND n.user_id = @userId AND n.deleted_at IS NOT NULL
+    ORDER BY rank LIMIT @limit`),
+};
+
+// ---------- Attachment store ----------
+// Files are stored once per content hash at <attachmentsDir>/<sha[0..2]>/<sha>.
+// Notes reference them from images_json as { id, src: "/api/attachments/<id>", name }.
+const ATTACHMENT_URL_PREFIX = "/api/attachments/";
+// Uploads that never end up in a note are removed after this long
+const ATTACHMENT_ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const insertAttachment = db.prepare(`
+  INSERT INTO attachments (id,user_id,sha256,mime,size,name,created_at)
+  VALUES (@id,@user_id,@sha256,@mime,@size,@name,@created_at)
+`);
+const getAttachmentById = db.prepare("SELECT * FROM attachments WHERE id = ?");
+const getAttachmentByHash = db.prepare(
+  "SELECT * FROM attachments WHERE user_id = ? AND sha256 = ?"
+);
+const getAccessibleAttachment = db.prepare(`
+  SELECT a.* FROM attachments a
+  WHERE a.id = @id AND (
+    a.user_id = @userId OR EXISTS(
+      SELECT 1 FROM note_attachments na JOIN notes n ON n.id = na.note_id
+      WHERE na.attachment_id = a.id AND (n.user_id = @userId OR EXISTS(
+        SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = @userId
+      ))
+    )
+  )
+`);
+// What a note write may reference: the writer's own uploads, attachments
+// already in the note, and ones from its history uploaded by someone who still
+// has access to it. Knowing an id alone never links someone else's file.
+const canLinkAttachment = db.prepare(`
+  SELECT 1 FROM attachments a
+  WHERE a.id = @id AND (
+    a.user_id = @userId
+    OR EXISTS(SELECT 1 FROM note_attachments na WHERE na.note_id = @noteId AND na.attachment_id = a.id)
+    OR (
+      EXISTS(SELECT 1 FROM note_revisions r WHERE r.note_id = @noteId AND instr(r.images_json, a.id) > 0)
+      AND (
+        EXISTS(SELECT 1 FROM notes n WHERE n.id = @noteId AND n.user_id = a.user_id)
+        OR EXISTS(SELECT 1 FROM note_collaborators nc WHERE nc.note_id = @noteId AND nc.user_id = a.user_id)
+      )
+    )
+  )
+`);
+const clearNoteAttachments = db.prepare("DELETE FROM note_attachments WHERE note_id = ?");
+const linkNoteAttachment = db.prepare(
+  "INSERT OR IGNORE INTO note_attachments (note_id, attachment_id) SELECT ?, id FROM attachments WHERE id = ?"
+);
+const listOrphanAttachments = db.prepare(`
+  SELECT a.id, a.sha256 FROM attachments a
+  WHERE a.created_at < ?
+    AND NOT EXISTS(SELECT 1 FROM note_attachments na WHERE na.attachment_id = a.id)
+    AND NOT EXISTS(SELECT 1 FROM note_revisions r WHERE instr(r.images_json, a.id) > 0)
+`);
+const deleteAttachment = db.prepare("DELETE FROM attachments WHERE id = ?");
+const countAttachmentsByHash = db.prepare(
+  "SELECT COUNT(*) AS c FROM attachments WHERE sha256 = ?"
+);
+
+const attachmentURL = (id) => `${ATTACHMENT_URL_PREFIX}${id}`;
+const blobPath = (sha256) => path.join(attachmentsDir, sha256.slice(0, 2), sha256);
+
+// Move a fully written temp file into place, or drop it if the blob already exists
+function commitBlob(tmpPath, sha256) {
+  const dest = blobPath(sha256);
+  if (fs.existsSync(dest)) {
+    fs.rmSync(tmpPath, { force: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.renameSync(tmpPath, dest);
+}
+
+function deleteBlobsIfUnused(hashes) {
+  for (const sha256 of new Set(hashes)) {
+    if (countAttachmentsByHash.get(sha256).c > 0) continue;
+    try {
+      fs.rmSync(blobPath(sha256), { force: true });
+    } catch (e) {
+      console.error("Failed to remove attachment blob:", e);
+    }
+  }
+}
+
+// Returns the user's attachment row for this content, creating it if needed
+function saveAttachment({ userId, sha256, mime, size, name }) {
+  const existing = getAttachmentByHash.get(userId, sha256);
+  if (existing) return existing;
+  const row = {
+    id: uid(),
+    user_id: userId,
+    sha256,
+    mime: mime || "application/octet-stream",
+    size,
+    name: name || null,
+    created_at: nowISO(),
+  };
+  insertAttachment.run(row);
+  return row;
+}
+
+function attachmentFromBuffer(buf, { userId, mime, name }) {
+  const sha256 = crypto.createHash("sha256").update(buf).digest("hex");
+  if (!fs.existsSync(blobPath(sha256))) {
+    const tmp = path.join(attachmentsDir, `.upload-${uid()}`);
+    fs.writeFileSync(tmp, buf);
+    commitBlob(tmp, sha256);
+  }
+  return saveAttachment({ userId, sha256, mime, size: buf.length, name });
+}
+
+function parseDataURL(src) {
+  const m = /^data:([^;,]*)((?:;[^;,]*)*),/.exec(src);
+  if (!m) return null;
+  const data = src.slice(m[0].length);
+  const isBase64 = /;base64$/i.test(m[2]);
+  return {
+    mime: (m[1] || "application/octet-stream").toLowerCase(),
+    buffer: isBase64 ? Buffer.from(data, "base64") : Buffer.from(decodeURIComponent(data)),
+  };
+}
+
+// Replace data-URL images with attachment references (images that fail stay inline)
+// and drop references to attachments `userId` may not put in note `noteId`
+function externalizeImages(images, userId, noteId = null) {
+  if (!Array.isArray(images)) return [];
+  return images.filter((im) => {
+    const id = attachmentIdFromSrc(im && im.src);
+    return !id || !!canLinkAttachment.get({ id, userId, noteId });
+  }).map((im) => {
+    if (!im || typeof im.src !== "string" || !im.src.startsWith("data:")) return im;
+    try {
+      const parsed = parseDataURL(im.src);
+      if (!parsed) return im;
+      const att = attachmentFromBuffer(parsed.buffer, { userId, mime: parsed.mime, name: im.name });
+      return { ...im, src: attachmentURL(att.id) };
+    } catch (e) {
+      console.error("Failed to store image as attachment:", e);
+      return im;
+    }
+  });
+}
+
+// Inverse of externalizeImages, for exports that must stand on their own
+function inlineImages(images) {
+  if (!Array.isArray(images)) return [];
+  return images.map((im) => {
+    const id = attachmentIdFromSrc(im && im.src);
+    const att = id && getAttachmentById.get(id);
+    if (!att) return im;
+    try {
+      const data = fs.readFileSync(blobPath(att.sha256)).toString("base64");
+      return { ...im, src: `data:${att.mime};base64,${data}` };
+    } catch (e) {
+      console.error("Failed to read attachment blob:", e);
+      return im;
+    }
+  });
+}
+
+function attachmentIdFromSrc(src) {
+  if (typeof src !== "string" || !src.startsWith(ATTACHMENT_URL_PREFIX)) return null;
+  return src.slice(ATTACHMENT_URL_PREFIX.length).split(/[?#]/)[0] || null;
+}
+
+// Rebuild the note -> attachment links from the note's current images
+function syncNoteAttachments(noteId) {
+  try {
+    const note = getNoteById.get(noteId);
+    clearNoteAttachments.run(noteId);
+    if (!note) return;
+    for (const im of parseJSONArray(note.images_json)) {
+      const id = attachmentIdFromSrc(im && im.src);
+      if (id) linkNoteAttachment.run(noteId, id);
+    }
+  } catch (e) {
+    console.error("Failed to link note attachments:", e);
+  }
+}
+
+// Move images still embedded as data URLs (notes and revisions) into the store
+(function migrateDataURLImages() {
+  const noteIds = db
+    .prepare(`SELECT id FROM notes WHERE images_json LIKE '%"data:%'`)
+    .all()
+    .map((r) => r.id);
+  const revisionIds = db
+    .prepare(`SELECT id FROM note_revisions WHERE images_json LIKE '%"data:%'`)
+    .all()
+    .map((r) => r.id);
+  if (!noteIds.length && !revisionIds.length) return;
+
+  const getNoteImages = db.prepare("SELECT id, user_id, images_json FROM notes WHERE id = ?");
+  const setNoteImages = db.prepare("UPDATE notes SET images_json = ? WHERE id = ?");
+  const getRevisionImages = db.prepare(`
+    SELECT n.id, n.user_id, r.images_json FROM note_revisions r JOIN notes n ON n.id = r.note_id WHERE r.id = ?
+  `);
+  const setRevisionImages = db.prepare("UPDATE note_revisions SET images_json = ? WHERE id = ?");
+
+  for (const id of noteIds) {
+    const row = getNoteImages.get(id);
+    const images = externalizeImages(parseJSONArray(row.images_json), row.user_id, row.id);
+    setNoteImages.run(JSON.stringify(images), id);
+    syncNoteAttachments(id);
+  }
+  for (const id of revisionIds) {
+    const row = getRevisionImages.get(id);
+    if (!row) continue;
+    const images = externalizeImages(parseJSONArray(row.images_json), row.user_id, row.id);
+    setRevisionImages.run(JSON.stringify(images), id);
+  }
+  console.log(
+    `Moved embedded images into the attachment store (${noteIds.length} notes, ${revisionIds.length} revisions)`
+  );
+})();
+
+function purgeOrphanAttachments() {
+  try {
+    const cutoff = new Date(Date.now() - ATTACHMENT_ORPHAN_GRACE_MS).toISOString();
+    const orphans = listOrphanAttachments.all(cutoff);
+    if (!orphans.length) return;
+    db.transaction(() => orphans.forEach((a) => deleteAttachment.run(a.id)))();
+    deleteBlobsIfUnused(orphans.map((a) => a.sha256));
+    console.log(`Removed ${orphans.length} unused attachment(s)`);
+  } catch (e) {
+    console.error("Failed to purge attachments:", e);
+  }
+}
+
 // ---------- Realtime (SSE) ----------
 // Map of userId -> Set of response streams
 const sseClients = new Map();
@@ -386,10 +1251,31 @@ function removeSseClient(userId, res) {
   if (set.size === 0) sseClients.delete(userId);
 }
 
+// Note events get ids from one increasing sequence, seeded from the clock so
+// ids keep increasing across restarts. Recent events are kept so a reconnecting
+// EventSource can resume from Last-Event-ID; older gaps get a "resync" event.
+const EVENT_BACKLOG_SIZE = 1000;
+let lastEventId = Date.now();
+// Newest id that has fallen out of the backlog (or predates this process)
+let eventBacklogFloor = lastEventId;
+const eventBacklog = []; // { id, userId, frame }
+// Frequent events clients reload on reconnect anyway (presence, co-editing ops)
+// go out without an id, so they never crowd note changes out of the backlog
+const TRANSIENT_EVENT_TYPES = new Set(["presence", "note_crdt"]);
+
 function sendEventToUser(userId, event) {
+  let payload;
+  if (TRANSIENT_EVENT_TYPES.has(event.type)) {
+    payload = `data: ${JSON.stringify(event)}\n\n`;
+  } else {
+    const id = ++lastEventId;
+    payload = `id: ${id}\ndata: ${JSON.stringify(event)}\n\n`;
+    eventBacklog.push({ id, userId, frame: payload });
+    if (eventBacklog.length > EVENT_BACKLOG_SIZE) eventBacklogFloor = eventBacklog.shift().id;
+  }
+
   const set = sseClients.get(userId);
   if (!set || set.size === 0) return;
-  const payload = `data: ${JSON.stringify(event)}\n\n`;
   const toRemove = [];
   for (const res of set) {
     try {
@@ -414,16 +1300,44 @@ function getCollaboratorUserIdsForNote(noteId) {
   }
 }
 
-function broadcastNoteUpdated(noteId) {
+const countNoteCollaborators = db.prepare("SELECT COUNT(*) AS c FROM note_collaborators WHERE note_id = ?");
+
+// A note as GET /api/notes returns it to this user
+function noteForUser(r, userId) {
+  return {
+    ...noteToJSON(r),
+    // Notebooks are the owner's own filing; collaborators don't see them
+    notebookId: r.user_id === userId ? r.notebook_id ?? null : null,
+    accessRole: accessRoleFor(r, userId),
+    collaborators: countNoteCollaborators.get(r.id).c > 0 ? [] : null,
+  };
+}
+
+// `extra` may be a function of the recipient's id for per-user payloads
+function broadcastNoteEvent(noteId, type, extra = {}, alsoTo = []) {
   try {
     const note = getNoteById.get(noteId);
     if (!note) return;
-    const recipientIds = new Set([note.user_id, ...getCollaboratorUserIdsForNote(noteId)]);
-    const evt = { type: "note_updated", noteId };
-    for (const uid of recipientIds) sendEventToUser(uid, evt);
+    const recipientIds = new Set([note.user_id, ...getCollaboratorUserIdsForNote(noteId), ...alsoTo]);
+    for (const uid of recipientIds) {
+      sendEventToUser(uid, { type, noteId, ...(typeof extra === "function" ? extra(uid, note) : extra) });
+    }
   } catch { }
 }
 
+// Typed note events carry the note as each recipient sees it
+const withNoteFor = (uid, note) => ({ note: noteForUser(note, uid) });
+
+function broadcastNoteUpdated(noteId) {
+  // Whole-note writes bypass the CRDT; fold them into a doc being co-edited
+  syncNoteDoc(noteId);
+  broadcastNoteEvent(noteId, "note_updated", withNoteFor);
+}
+
+function broadcastNoteCreated(noteId) {
+  broadcastNoteEvent(noteId, "note_created", withNoteFor);
+}
+
 app.get("/api/events", authFromQueryOrHeader, (req, res) => {
   // SSE headers
   res.setHeader("Content-Type", "text/event-stream");
@@ -437,11 +1351,26 @@ app.get("/api/events", authFromQueryOrHeader, (req, res) => {
   }
   res.flushHeaders?.();
 
-  // Initial hello
+  // Initial hello; the connection id ties note presence to this stream
+  const connectionId = crypto.randomUUID();
   res.write(`event: hello\n`);
-  res.write(`data: {"ok":true}\n\n`);
+  res.write(`data: ${JSON.stringify({ ok: true, connectionId })}\n\n`);
+
+  // Resume after a reconnect: replay what this user missed, or ask for a full
+  // reload when those events are no longer kept
+  const resumeFrom = Number(req.headers["last-event-id"] || req.query.lastEventId);
+  if (Number.isInteger(resumeFrom) && resumeFrom > 0) {
+    if (resumeFrom < eventBacklogFloor || resumeFrom > lastEventId) {
+      res.write(`id: ${lastEventId}\nevent: resync\ndata: {}\n\n`);
+    } else {
+      for (const e of eventBacklog) {
+        if (e.id > resumeFrom && e.userId === req.user.id) res.write(e.frame);
+      }
+    }
+  }
 
   addSseClient(req.user.id, res);
+  sseConnections.set(connectionId, req.user.id);
 
   // Keepalive ping
   const ping = setInterval(() => {
@@ -457,20 +1386,127 @@ app.get("/api/events", authFromQueryOrHeader, (req, res) => {
   req.on("close", () => {
     clearInterval(ping);
     removeSseClient(req.user.id, res);
+    sseConnections.delete(connectionId);
+    dropConnectionPresence(connectionId);
     try { res.end(); } catch { }
   });
 });
 
+// ---------- Presence ----------
+// Who has a note open right now. Entries are keyed by SSE connection so a
+// closed tab leaves on its own; open notes are re-announced as a heartbeat
+// and entries not refreshed within PRESENCE_TTL_MS are dropped.
+const PRESENCE_TTL_MS = 60 * 1000;
+const PRESENCE_MODES = ["view", "edit"];
+
+// connectionId -> userId, for streams that are currently open
+const sseConnections = new Map();
+// noteId -> Map(connectionId -> { userId, name, mode, seenAt })
+const notePresence = new Map();
+
+// One entry per user; someone editing in any tab counts as editing
+function presenceUsers(noteId) {
+  const byUser = new Map();
+  for (const p of notePresence.get(String(noteId))?.values() || []) {
+    const prev = byUser.get(p.userId);
+    if (!prev || p.mode === "edit") byUser.set(p.userId, { id: p.userId, name: p.name, mode: p.mode });
+  }
+  return [...byUser.values()];
+}
+
+function broadcastPresence(noteId) {
+  broadcastNoteEvent(noteId, "presence", { users: presenceUsers(noteId) });
+}
+
+function leaveNotePresence(noteId, connectionId) {
+  const entries = notePresence.get(String(noteId));
+  if (!entries || !entries.delete(connectionId)) return false;
+  if (entries.size === 0) notePresence.delete(String(noteId));
+  return true;
+}
+
+function dropConnectionPresence(connectionId) {
+  for (const noteId of [...notePresence.keys()]) {
+    if (leaveNotePresence(noteId, connectionId)) broadcastPresence(noteId);
+  }
+}
+
+function sweepPresence() {
+  const cutoff = Date.now() - PRESENCE_TTL_MS;
+  for (const [noteId, entries] of [...notePresence]) {
+    let changed = false;
+    for (const [connectionId, p] of [...entries]) {
+      if (p.seenAt < cutoff) changed = leaveNotePresence(noteId, connectionId) || changed;
+    }
+    if (changed) broadcastPresence(noteId);
+  }
+}
+setInterval(sweepPresence, 15 * 1000);
+
+// Presence on every note the user can open, as { [noteId]: users }
+app.get("/api/presence", auth, (req, res) => {
+  const out = {};
+  for (const noteId of notePresence.keys()) {
+    if (getNoteWithCollaboration.get(req.user.id, noteId, req.user.id)) out[noteId] = presenceUsers(noteId);
+  }
+  res.json(out);
+});
+
+// Join or heartbeat. Body: { connectionId, mode: "view" | "edit" }
+app.put("/api/notes/:id/presence", auth, (req, res) => {
+  const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+  if (!note) return res.status(404).json({ error: "Note not found" });
+  const { connectionId, mode } = req.body || {};
+  if (sseConnections.get(connectionId) !== req.user.id) {
+    return res.status(400).json({ error: "Unknown event stream connection" });
+  }
+  if (mode !== undefined && !PRESENCE_MODES.includes(mode)) {
+    return res.status(400).json({ error: "Invalid presence mode" });
+  }
+  const noteId = String(note.id);
+  let entries = notePresence.get(noteId);
+  if (!entries) {
+    entries = new Map();
+    notePresence.set(noteId, entries);
+  }
+  const prev = entries.get(connectionId);
+  const entry = {
+    userId: req.user.id,
+    name: req.user.name || req.user.email,
+    mode: mode === "edit" && canEditNote(note, req.user.id) ? "edit" : "view",
+    seenAt: Date.now(),
+  };
+  entries.set(connectionId, entry);
+  if (!prev || prev.mode !== entry.mode) broadcastPresence(noteId);
+  res.json({ users: presenceUsers(noteId) });
+});
+
+app.delete("/api/notes/:id/presence/:connectionId", auth, (req, res) => {
+  const { connectionId } = req.params;
+  // A closed stream has already left every note
+  const owner = sseConnections.get(connectionId);
+  if (owner !== undefined && owner !== req.user.id) {
+    return res.status(400).json({ error: "Unknown event stream connection" });
+  }
+  if (leaveNotePresence(req.params.id, connectionId)) broadcastPresence(req.params.id);
+  res.json({ ok: true });
+});
+
 // ---------- Auth ----------
 app.post("/api/register", (req, res) => {
+  const { name, email, password } = req.body || {};
   // Check if new account creation is allowed
-  if (!adminSettings.allowNewAccounts) {
+  const settings = getAdminSettings();
+  if (settings.registrationMode === "closed") {
     return res.status(403).json({ error: "New account creation is currently disabled." });
   }
-
-  const { name, email, password } = req.body || {};
   if (!email || !password)
     return res.status(400).json({ error: "Email and password are required." });
+  if (settings.registrationMode === "domain" && !registrationDomainAllowed(email, settings.registrationDomains)) {
+    return res.status(403).json({
+      error: `New accounts are limited to ${settings.registrationDomains.map((d) => `@${d}`).join(", ") || "approved"} addresses.`,
+    });
+  }
   if (getUserByEmail.get(email))
     return res.status(409).json({ error: "Email already registered." });
 
@@ -488,6 +1524,12 @@ app.post("/api/register", (req, res) => {
   });
 });
 
+// Sessions live in the client; this only drops the attachment cookie
+app.post("/api/logout", (req, res) => {
+  setAttachmentCookie(req, res, "", 0);
+  res.json({ ok: true });
+});
+
 app.post("/api/login", (req, res) => {
   const { email, password } = req.body || {};
   const user = email ? getUserByEmail.get(email) : null;
@@ -558,7 +1600,7 @@ app.get("/api/notes", auth, (req, res) => {
     WHERE (n.user_id = ? OR EXISTS(
       SELECT 1 FROM note_collaborators nc 
       WHERE nc.note_id = n.id AND nc.user_id = ?
-    )) AND n.archived = 0
+    )) AND n.archived = 0 AND n.deleted_at IS NULL
     ORDER BY n.pinned DESC, n.position DESC, n.timestamp DESC
   `);
 
@@ -567,7 +1609,7 @@ app.get("/api/notes", auth, (req, res) => {
     WHERE (n.user_id = ? OR EXISTS(
       SELECT 1 FROM note_collaborators nc 
       WHERE nc.note_id = n.id AND nc.user_id = ?
-    )) AND n.archived = 0
+    )) AND n.archived = 0 AND n.deleted_at IS NULL
     ORDER BY n.pinned DESC, n.position DESC, n.timestamp DESC
     LIMIT ? OFFSET ?
   `);
@@ -576,40 +1618,13 @@ app.get("/api/notes", auth, (req, res) => {
     ? allNotesWithPagingQuery.all(req.user.id, req.user.id, lim, off)
     : allNotesQuery.all(req.user.id, req.user.id);
 
-  // Get collaborators for each note
-  const getNoteCollaboratorsCount = db.prepare(`
-    SELECT COUNT(*) as count FROM note_collaborators WHERE note_id = ?
-  `);
-
-  res.json(
-    rows.map((r) => {
-      const collabCount = getNoteCollaboratorsCount.get(r.id);
-      const hasCollaborators = (collabCount?.count || 0) > 0;
-      return {
-        id: r.id,
-        user_id: r.user_id,
-        type: r.type,
-        title: r.title,
-        content: r.content,
-        items: JSON.parse(r.items_json || "[]"),
-        tags: JSON.parse(r.tags_json || "[]"),
-        images: JSON.parse(r.images_json || "[]"),
-        color: r.color,
-        pinned: !!r.pinned,
-        position: r.position,
-        timestamp: r.timestamp,
-        updated_at: r.updated_at,
-        lastEditedBy: r.last_edited_by,
-        lastEditedAt: r.last_edited_at,
-        archived: !!r.archived,
-        collaborators: hasCollaborators ? [] : null, // Empty array to indicate has collaborators, null if none
-      };
-    })
-  );
+  res.json(rows.map((r) => noteForUser(r, req.user.id)));
 });
 
 app.post("/api/notes", auth, (req, res) => {
   const body = req.body || {};
+  const notebookId = notebookFromBody(req.user.id, body);
+  if (notebookId === false) return res.status(400).json({ error: NOTEBOOK_NOT_FOUND });
   const n = {
     id: body.id || uid(),
     user_id: req.user.id,
@@ -618,13 +1633,18 @@ app.post("/api/notes", auth, (req, res) => {
     content: body.type === "checklist" ? "" : String(body.content || ""),
     items_json: JSON.stringify(Array.isArray(body.items) ? body.items : []),
     tags_json: JSON.stringify(Array.isArray(body.tags) ? body.tags : []),
-    images_json: JSON.stringify(Array.isArray(body.images) ? body.images : []),
+    images_json: JSON.stringify(externalizeImages(body.images, req.user.id)),
     color: body.color && typeof body.color === "string" ? body.color : "default",
     pinned: body.pinned ? 1 : 0,
     position: typeof body.position === "number" ? body.position : Date.now(),
     timestamp: body.timestamp || nowISO(),
   };
   insertNote.run(n);
+  if (notebookId) setNoteNotebook.run({ notebookId, id: n.id });
+  recordRevision(n.id, req.user);
+  indexNote(n.id);
+  syncNoteAttachments(n.id);
+  broadcastNoteCreated(n.id);
   res.status(201).json({
     id: n.id,
     type: n.type,
@@ -637,6 +1657,8 @@ app.post("/api/notes", auth, (req, res) => {
     pinned: !!n.pinned,
     position: n.position,
     timestamp: n.timestamp,
+    version: getNoteById.get(n.id).version,
+    notebookId: notebookId ?? null,
   });
 });
 
@@ -644,17 +1666,27 @@ app.put("/api/notes/:id", auth, (req, res) => {
   const id = req.params.id;
   const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
   if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  const version = requestedVersion(req);
+  if (version === null) {
+    return res.status(428).json({ error: "Note version is required (If-Match header or version field)" });
+  }
+  if (Number.isNaN(version)) return res.status(400).json({ error: "Invalid note version" });
 
   const b = req.body || {};
+  // Only the owner files a note; collaborators' copies of notebookId are ignored
+  const notebookId = existing.user_id === req.user.id ? notebookFromBody(req.user.id, b) : undefined;
+  if (notebookId === false) return res.status(400).json({ error: NOTEBOOK_NOT_FOUND });
   const updated = {
     id,
+    version,
     user_id: req.user.id,
     type: b.type === "checklist" ? "checklist" : b.type === "draw" ? "draw" : "text",
     title: String(b.title || ""),
     content: b.type === "checklist" ? "" : String(b.content || ""),
     items_json: JSON.stringify(Array.isArray(b.items) ? b.items : []),
     tags_json: JSON.stringify(Array.isArray(b.tags) ? b.tags : []),
-    images_json: JSON.stringify(Array.isArray(b.images) ? b.images : []),
+    images_json: JSON.stringify(externalizeImages(b.images, req.user.id, id)),
     color: b.color && typeof b.color === "string" ? b.color : "default",
     pinned: b.pinned ? 1 : 0,
     position: typeof b.position === "number" ? b.position : existing.position,
@@ -664,27 +1696,44 @@ app.put("/api/notes/:id", auth, (req, res) => {
   const result = updateNoteWithCollaboration.run(updated);
 
   if (result.changes === 0) {
+    if (existing.version !== version) return sendVersionConflict(res, id);
     return res.status(404).json({ error: "Note not found or access denied" });
   }
 
+  if (notebookId !== undefined) setNoteNotebook.run({ notebookId, id });
   // Update editor tracking (store display name)
   updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), id);
+  recordRevision(id, req.user, existing);
+  indexNote(id);
+  syncNoteAttachments(id);
   broadcastNoteUpdated(id);
-  res.json({ ok: true });
+  relinkRenamedNote(existing, updated.title, req.user);
+  const { version: newVersion } = getNoteById.get(id);
+  res.setHeader("ETag", `"${newVersion}"`);
+  res.json({ ok: true, version: newVersion });
 });
 
 app.patch("/api/notes/:id", auth, (req, res) => {
   const id = req.params.id;
   const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
   if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  // Optional for partial updates; checked when given
+  const version = requestedVersion(req);
+  if (Number.isNaN(version)) return res.status(400).json({ error: "Invalid note version" });
+  const notebookId = existing.user_id === req.user.id ? notebookFromBody(req.user.id, req.body || {}) : undefined;
+  if (notebookId === false) return res.status(400).json({ error: NOTEBOOK_NOT_FOUND });
   const p = {
     id,
+    version,
     user_id: req.user.id,
     title: typeof req.body.title === "string" ? String(req.body.title) : null,
     content: typeof req.body.content === "string" ? String(req.body.content) : null,
     items_json: Array.isArray(req.body.items) ? JSON.stringify(req.body.items) : null,
     tags_json: Array.isArray(req.body.tags) ? JSON.stringify(req.body.tags) : null,
-    images_json: Array.isArray(req.body.images) ? JSON.stringify(req.body.images) : null,
+    images_json: Array.isArray(req.body.images)
+      ? JSON.stringify(externalizeImages(req.body.images, req.user.id, id))
+      : null,
     color: typeof req.body.color === "string" ? req.body.color : null,
     pinned: typeof req.body.pinned === "boolean" ? (req.body.pinned ? 1 : 0) : null,
     timestamp: req.body.timestamp || null,
@@ -693,21 +1742,185 @@ app.patch("/api/notes/:id", auth, (req, res) => {
   const result = patchPartialWithCollaboration.run(p);
 
   if (result.changes === 0) {
+    if (version !== null && existing.version !== version) return sendVersionConflict(res, id);
     return res.status(404).json({ error: "Note not found or access denied" });
   }
 
+  if (notebookId !== undefined) setNoteNotebook.run({ notebookId, id });
   // Update editor tracking (store display name)
   updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), id);
+  recordRevision(id, req.user, existing);
+  indexNote(id);
+  syncNoteAttachments(id);
   broadcastNoteUpdated(id);
+  if (p.title !== null) relinkRenamedNote(existing, p.title, req.user);
 
-  res.json({ ok: true });
+  const { version: newVersion } = getNoteById.get(id);
+  res.setHeader("ETag", `"${newVersion}"`);
+  res.json({ ok: true, version: newVersion });
+});
+
+// ---------- Checklist items ----------
+// Single-item edits are applied to the stored list inside a transaction, so
+// two people ticking different items at once both stick. Clients get the
+// delta as a "checklist_item" event instead of refetching every note.
+const writeChecklistItems = db.prepare(`
+  UPDATE notes SET items_json=?, version=version+1, updated_at=?, last_edited_by=?, last_edited_at=?
+  WHERE id=? AND type='checklist'
+`);
+
+const clampIndex = (index, length) =>
+  Number.isInteger(index) ? Math.max(0, Math.min(index, length)) : length;
+
+/**
+ * Wrap an item operation as a route. `apply(items, req)` mutates the list and
+ * returns { op, item?, itemId, index? } or { status, error }.
+ */
+function checklistItemRoute(apply) {
+  return (req, res) => {
+    const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+    if (!note) return res.status(404).json({ error: "Note not found" });
+    if (!canEditNote(note, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+    if (note.type !== "checklist") return res.status(409).json({ error: "Note is not a checklist" });
+
+    const editor = req.user.name || req.user.email;
+    const result = db.transaction(() => {
+      const items = parseJSONArray(getNoteById.get(note.id).items_json);
+      const out = apply(items, req);
+      if (out.error) return out;
+      const now = nowISO();
+      writeChecklistItems.run(JSON.stringify(items), now, editor, now, note.id);
+      return out;
+    })();
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    recordRevision(note.id, req.user, note);
+    indexNote(note.id);
+    const current = getNoteById.get(note.id);
+    const delta = { ...result, version: current.version, updatedAt: current.updated_at, editedBy: editor };
+    broadcastNoteEvent(note.id, "checklist_item", delta);
+    res.json({ ok: true, ...delta });
+  };
+}
+
+const findItemIndex = (items, itemId) => items.findIndex((it) => it && String(it.id) === String(itemId));
+const ITEM_NOT_FOUND = { status: 404, error: "Item not found" };
+
+// Body: { text, done?, id?, index? } -- appended unless index is given
+app.post("/api/notes/:id/items", auth, checklistItemRoute((items, req) => {
+  const b = req.body || {};
+  const text = typeof b.text === "string" ? b.text : "";
+  if (!text.trim()) return { status: 400, error: "Item text is required" };
+  const id = typeof b.id === "string" && b.id && findItemIndex(items, b.id) === -1
+    ? b.id
+    : `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const item = { id, text, done: !!b.done };
+  const index = clampIndex(b.index, items.length);
+  items.splice(index, 0, item);
+  return { op: "add", item, itemId: id, index };
+}));
+
+// Body: { text?, done? }
+app.patch("/api/notes/:id/items/:itemId", auth, checklistItemRoute((items, req) => {
+  const b = req.body || {};
+  const index = findItemIndex(items, req.params.itemId);
+  if (index === -1) return ITEM_NOT_FOUND;
+  const item = { ...items[index] };
+  if (typeof b.text === "string") item.text = b.text;
+  if (typeof b.done === "boolean") item.done = b.done;
+  items[index] = item;
+  return { op: "update", item, itemId: item.id, index };
+}));
+
+// Body: { index } -- position in the list after the move
+app.post("/api/notes/:id/items/:itemId/move", auth, checklistItemRoute((items, req) => {
+  const to = (req.body || {}).index;
+  if (!Number.isInteger(to)) return { status: 400, error: "Target index is required" };
+  const from = findItemIndex(items, req.params.itemId);
+  if (from === -1) return ITEM_NOT_FOUND;
+  const [item] = items.splice(from, 1);
+  const index = clampIndex(to, items.length);
+  items.splice(index, 0, item);
+  return { op: "move", item, itemId: item.id, index };
+}));
+
+app.delete("/api/notes/:id/items/:itemId", auth, checklistItemRoute((items, req) => {
+  const index = findItemIndex(items, req.params.itemId);
+  if (index === -1) return ITEM_NOT_FOUND;
+  const [item] = items.splice(index, 1);
+  return { op: "delete", itemId: item.id, index };
+}));
+
+// ---------- Trash ----------
+app.get("/api/notes/trash", auth, (req, res) => {
+  const rows = listTrashedNotes.all(req.user.id);
+  res.json(rows.map((r) => ({ ...noteToJSON(r), deleted_at: r.deleted_at })));
 });
 
+// Permanently delete everything in the trash
+app.delete("/api/notes/trash", auth, (req, res) => {
+  const trashedIds = listTrashedIds.all(req.user.id).map((r) => r.id);
+  const result = emptyTrash.run(req.user.id);
+  removeFromSearchIndex();
+  for (const noteId of trashedIds) {
+    sendEventToUser(req.user.id, { type: "note_deleted", noteId, permanent: true });
+  }
+  res.json({ ok: true, deleted: result.changes });
+});
+
+// Move a note to the trash (soft delete)
 app.delete("/api/notes/:id", auth, (req, res) => {
+  const id = req.params.id;
+  const result = trashNote.run(nowISO(), id, req.user.id);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: "Note not found" });
+  }
+  broadcastNoteEvent(id, "note_deleted", { trashed: true });
+  res.json({ ok: true });
+});
+
+app.post("/api/notes/:id/restore", auth, (req, res) => {
+  const id = req.params.id;
+  const result = restoreNote.run(id, req.user.id);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: "Note not found in trash" });
+  }
+  broadcastNoteUpdated(id);
+  res.json({ ok: true });
+});
+
+// Permanently delete a single note that is already in the trash
+app.delete("/api/notes/:id/permanent", auth, (req, res) => {
+  const existing = getNote.get(req.params.id, req.user.id);
+  if (!existing || !existing.deleted_at) {
+    return res.status(404).json({ error: "Note not found in trash" });
+  }
+  // Only the owner sees trashed notes, so only their other sessions need telling
   deleteNote.run(req.params.id, req.user.id);
+  removeFromSearchIndex(req.params.id);
+  sendEventToUser(req.user.id, { type: "note_deleted", noteId: existing.id, permanent: true });
   res.json({ ok: true });
 });
 
+// Purge notes that have been in the trash longer than the retention period
+function purgeExpiredTrash() {
+  if (!TRASH_RETENTION_DAYS) return;
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const result = purgeTrash.run(cutoff);
+    if (result.changes > 0) {
+      removeFromSearchIndex();
+      console.log(`Purged ${result.changes} note(s) from trash`);
+    }
+  } catch (e) {
+    console.error("Failed to purge trash:", e);
+  }
+}
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000);
+purgeOrphanAttachments();
+setInterval(purgeOrphanAttachments, 60 * 60 * 1000);
+
 // Reorder within sections
 app.post("/api/notes/reorder", auth, (req, res) => {
   const { pinnedIds = [], otherIds = [] } = req.body || {};
@@ -735,20 +1948,404 @@ app.post("/api/notes/reorder", auth, (req, res) => {
   res.json({ ok: true });
 });
 
+// ---------- Reminders ----------
+// A note has at most one reminder. The scheduler marks it fired and sends an SSE
+// "reminder" event; it stays listed (as due) until snoozed, marked done or removed.
+// Repeating reminders store their schedule in reminder_repeat (see parseRepeat).
+const REMINDER_CHECK_MS = 30 * 1000;
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+const setNoteReminder = db.prepare(
+  "UPDATE notes SET reminder_at = ?, reminder_fired_at = NULL WHERE id = ?"
+);
+const setNoteReminderRepeat = db.prepare("UPDATE notes SET reminder_repeat = ? WHERE id = ?");
+const listDueReminders = db.prepare(`
+  SELECT * FROM notes
+  WHERE reminder_at IS NOT NULL AND reminder_fired_at IS NULL AND reminder_at <= ? AND deleted_at IS NULL
+`);
+const listFiredRepeatingReminders = db.prepare(`
+  SELECT * FROM notes
+  WHERE reminder_fired_at IS NOT NULL AND reminder_repeat IS NOT NULL AND deleted_at IS NULL
+`);
+const markReminderFired = db.prepare(
+  "UPDATE notes SET reminder_fired_at = ? WHERE id = ? AND reminder_fired_at IS NULL"
+);
+const setChecklistItems = db.prepare(
+  "UPDATE notes SET items_json = ?, updated_at = ?, version = version + 1 WHERE id = ?"
+);
+const listUserReminders = db.prepare(`
+  SELECT n.* FROM notes n
+  WHERE (n.user_id = ? OR EXISTS(
+    SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = ?
+  )) AND n.reminder_at IS NOT NULL AND n.deleted_at IS NULL
+  ORDER BY n.reminder_at ASC
+`);
+
+// --- Recurrence (iCalendar RRULE subset) ---
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (WEEKLY: MO,TU,...;
+// MONTHLY: with ordinal, e.g. 1MO or -1FR), BYMONTHDAY (MONTHLY, -1 = last day), UNTIL.
+// Occurrences keep the wall-clock time of the first reminder in the user's time zone.
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next occurrence
+const MAX_RECURRENCE_SCAN_DAYS = 366 * 10;
+
+function parseRRule(text) {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null };
+  const parts = String(text || "").trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+  for (const part of parts) {
+    const [key, value = ""] = part.split("=");
+    switch (key.toUpperCase()) {
+      case "FREQ":
+        rule.freq = value.toUpperCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        break;
+      case "BYDAY":
+        for (const d of value.toUpperCase().split(",")) {
+          const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(d);
+          if (!m) return null;
+          rule.byDay.push({ weekday: RRULE_WEEKDAYS.indexOf(m[2]), nth: m[1] ? Number(m[1]) : 0 });
+        }
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = value.split(",").map(Number);
+        if (rule.byMonthDay.some((n) => !Number.isInteger(n) || n === 0 || Math.abs(n) > 31)) return null;
+        break;
+      case "UNTIL": {
+        const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+        if (!m) return null;
+        rule.until = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59)));
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(rule.freq)) return null;
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 1000) return null;
+  return rule;
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+function zonedParts(date, tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map((x) => [x.type, x.value]));
+  return { year: +p.year, month: +p.month, day: +p.day, hour: +p.hour, minute: +p.minute };
+}
+
+// Instant for a wall-clock time in a time zone (DST gaps resolve forward)
+function zonedTimeToDate({ year, month, day, hour, minute }, tz) {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = target;
+  for (let i = 0; i < 3; i++) {
+    const p = zonedParts(new Date(guess), tz);
+    const diff = target - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    if (diff === 0) break;
+    guess += diff;
+  }
+  return new Date(guess);
+}
+
+// Calendar days are handled as UTC-midnight timestamps
+const dayNumber = (p) => Date.UTC(p.year, p.month - 1, p.day) / DAY_MS;
+const dayFields = (n) => {
+  const d = new Date(n * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+};
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+function dayMatchesRule(rule, startDay, dayNum) {
+  const start = dayFields(startDay);
+  const d = dayFields(dayNum);
+  const monthsApart = (d.year - start.year) * 12 + (d.month - start.month);
+  switch (rule.freq) {
+    case "DAILY":
+      return (dayNum - startDay) % rule.interval === 0;
+    case "WEEKLY": {
+      // Weeks start on Monday
+      const weekOf = (n) => Math.floor((n - ((dayFields(n).weekday + 6) % 7)) / 7);
+      if ((weekOf(dayNum) - weekOf(startDay)) % rule.interval !== 0) return false;
+      const weekdays = rule.byDay.length ? rule.byDay.map((b) => b.weekday) : [start.weekday];
+      return weekdays.includes(d.weekday);
+    }
+    case "MONTHLY": {
+      if (monthsApart % rule.interval !== 0) return false;
+      const last = daysInMonth(d.year, d.month);
+      if (rule.byMonthDay.length) {
+        return rule.byMonthDay.some((n) => (n > 0 ? n : last + 1 + n) === d.day);
+      }
+      if (rule.byDay.length) {
+        return rule.byDay.some((b) => {
+          if (b.weekday !== d.weekday) return false;
+          if (!b.nth) return true;
+          const nth = b.nth > 0 ? Math.ceil(d.day / 7) : -Math.ceil((last - d.day + 1) / 7);
+          return nth === b.nth;
+        });
+      }
+      return d.day === start.day;
+    }
+    case "YEARLY":
+      return monthsApart % (12 * rule.interval) === 0 && d.day === start.day;
+    default:
+      return false;
+  }
+}
+
+// Normalise/validate a client repeat object; returns null for "doesn't repeat"
+// and throws on invalid input.
+function parseRepeat(input, startAt) {
+  if (!input || !input.rule) return null;
+  const rule = parseRRule(input.rule);
+  if (!rule) throw new Error("Unsupported repeat rule.");
+  const tz = typeof input.tz === "string" && isValidTimeZone(input.tz) ? input.tz : "UTC";
+  return {
+    rule: String(input.rule).trim().replace(/^RRULE:/i, "").toUpperCase(),
+    tz,
+    start: startAt,
+    fromCompletion: !!input.fromCompletion,
+    resetChecked: !!input.resetChecked,
+  };
+}
+
+function readRepeat(json) {
+  if (!json) return null;
+  try {
+    const repeat = JSON.parse(json);
+    return repeat && parseRRule(repeat.rule) ? repeat : null;
+  } catch {
+    return null;
+  }
+}
+
+// First occurrence strictly after `after`, or null when the rule has ended
+function nextOccurrence(repeat, after) {
+  const rule = parseRRule(repeat.rule);
+  if (!rule) return null;
+  const start = zonedParts(new Date(repeat.start), repeat.tz);
+  const startDay = dayNumber(start);
+  const time = { hour: start.hour, minute: start.minute };
+
+  if (repeat.fromCompletion) {
+    // Count the interval from the day the reminder was completed
+    const done = zonedParts(after, repeat.tz);
+    const base = new Date(Date.UTC(done.year, done.month - 1, done.day));
+    if (rule.freq === "DAILY") base.setUTCDate(base.getUTCDate() + rule.interval);
+    if (rule.freq === "WEEKLY") base.setUTCDate(base.getUTCDate() + 7 * rule.interval);
+    if (rule.freq === "MONTHLY") base.setUTCMonth(base.getUTCMonth() + rule.interval);
+    if (rule.freq === "YEARLY") base.setUTCFullYear(base.getUTCFullYear() + rule.interval);
+    const next = zonedTimeToDate(
+      { year: base.getUTCFullYear(), month: base.getUTCMonth() + 1, day: base.getUTCDate(), ...time },
+      repeat.tz
+    );
+    return rule.until && next > rule.until ? null : next;
+  }
+
+  const fromDay = Math.max(startDay, dayNumber(zonedParts(after, repeat.tz)));
+  for (let n = fromDay; n < fromDay + MAX_RECURRENCE_SCAN_DAYS; n++) {
+    if (!dayMatchesRule(rule, startDay, n)) continue;
+    const { year, month, day } = dayFields(n);
+    const candidate = zonedTimeToDate({ year, month, day, ...time }, repeat.tz);
+    if (rule.until && candidate > rule.until) return null;
+    if (candidate > after) return candidate;
+  }
+  return null;
+}
+
+// Latest occurrence after `after` that is already due at `now`, or null. After
+// downtime this skips every missed occurrence but the last, so it fires once.
+function latestDueOccurrence(repeat, after, now) {
+  let latest = null;
+  for (let next = nextOccurrence(repeat, after); next && next <= now; next = nextOccurrence(repeat, next)) {
+    latest = next;
+  }
+  return latest;
+}
+
+// Short plain-text preview for the notification body
+function reminderPreview(note) {
+  if (note.type === "checklist") {
+    return parseJSONArray(note.items_json)
+      .filter((it) => it && !it.done)
+      .map((it) => `☐ ${it.text || ""}`)
+      .join("\n")
+      .slice(0, 200);
+  }
+  if (note.type === "draw") return "";
+  return String(note.content || "").slice(0, 200);
+}
+
+// Uncheck every item of a checklist note (repeating reminders with resetChecked)
+function resetChecklist(note) {
+  const items = parseJSONArray(note.items_json);
+  if (note.type !== "checklist" || !items.some((it) => it && it.done)) return note;
+  const itemsJson = JSON.stringify(items.map((it) => (it ? { ...it, done: false } : it)));
+  setChecklistItems.run(itemsJson, nowISO(), note.id);
+  return { ...note, items_json: itemsJson };
+}
+
+function fireDueReminders() {
+  try {
+    const now = new Date();
+
+    // Schedule-based repeats that were never acknowledged move on by themselves
+    for (const note of listFiredRepeatingReminders.all()) {
+      const repeat = readRepeat(note.reminder_repeat);
+      if (!repeat || repeat.fromCompletion) continue;
+      const latest = latestDueOccurrence(repeat, new Date(note.reminder_at), now);
+      if (latest) setNoteReminder.run(latest.toISOString(), note.id);
+    }
+
+    for (let note of listDueReminders.all(now.toISOString())) {
+      const repeat = readRepeat(note.reminder_repeat);
+      // An overdue schedule fires once, for its most recent occurrence
+      const latest = repeat && !repeat.fromCompletion && latestDueOccurrence(repeat, new Date(note.reminder_at), now);
+      if (latest) {
+        setNoteReminder.run(latest.toISOString(), note.id);
+        note = { ...note, reminder_at: latest.toISOString() };
+      }
+      if (markReminderFired.run(now.toISOString(), note.id).changes === 0) continue;
+      if (repeat && repeat.resetChecked) note = resetChecklist(note);
+      const evt = {
+        type: "reminder",
+        noteId: note.id,
+        title: note.title,
+        preview: reminderPreview(note),
+        reminderAt: note.reminder_at,
+      };
+      const recipientIds = new Set([note.user_id, ...getCollaboratorUserIdsForNote(note.id)]);
+      for (const uid of recipientIds) sendEventToUser(uid, evt);
+      broadcastNoteUpdated(note.id);
+    }
+  } catch (e) {
+    console.error("Failed to fire reminders:", e);
+  }
+}
+setInterval(fireDueReminders, REMINDER_CHECK_MS);
+
+function reminderResponse(noteId) {
+  return { ok: true, ...reminderFields(getNoteById.get(noteId) || {}) };
+}
+
+app.get("/api/notes/reminders", auth, (req, res) => {
+  const rows = listUserReminders.all(req.user.id, req.user.id);
+  res.json(rows.map((r) => ({ ...noteToJSON(r), accessRole: accessRoleFor(r, req.user.id) })));
+});
+
+// Set or move a reminder: { at: ISO date, repeat?: { rule, tz, fromCompletion, resetChecked } }
+app.put("/api/notes/:id/reminder", auth, (req, res) => {
+  const id = req.params.id;
+  const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
+  if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  const body = req.body || {};
+  const at = new Date(body.at);
+  if (isNaN(at.getTime())) return res.status(400).json({ error: "A valid reminder time is required." });
+  let repeat;
+  try {
+    repeat = parseRepeat(body.repeat, at.toISOString());
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  db.transaction(() => {
+    setNoteReminder.run(at.toISOString(), id);
+    setNoteReminderRepeat.run(repeat ? JSON.stringify(repeat) : null, id);
+  })();
+  broadcastNoteUpdated(id);
+  res.json(reminderResponse(id));
+});
+
+app.delete("/api/notes/:id/reminder", auth, (req, res) => {
+  const id = req.params.id;
+  const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
+  if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  db.transaction(() => {
+    setNoteReminder.run(null, id);
+    setNoteReminderRepeat.run(null, id);
+  })();
+  broadcastNoteUpdated(id);
+  res.json(reminderResponse(id));
+});
+
+// Push the reminder back: { minutes } from now (default 10)
+app.post("/api/notes/:id/reminder/snooze", auth, (req, res) => {
+  const id = req.params.id;
+  const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
+  if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  if (!existing.reminder_at) return res.status(400).json({ error: "Note has no reminder." });
+  const minutes = Number((req.body || {}).minutes ?? DEFAULT_SNOOZE_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return res.status(400).json({ error: "Snooze minutes must be a positive number." });
+  }
+
+  setNoteReminder.run(new Date(Date.now() + minutes * 60 * 1000).toISOString(), id);
+  broadcastNoteUpdated(id);
+  res.json(reminderResponse(id));
+});
+
+// Done: one-off reminders are cleared, repeating ones move to the next occurrence
+app.post("/api/notes/:id/reminder/done", auth, (req, res) => {
+  const id = req.params.id;
+  const existing = getNoteWithCollaboration.get(req.user.id, id, req.user.id);
+  if (!existing) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(existing, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  if (!existing.reminder_at) return res.status(400).json({ error: "Note has no reminder." });
+
+  const repeat = readRepeat(existing.reminder_repeat);
+  const now = new Date();
+  const after = repeat && !repeat.fromCompletion
+    ? new Date(Math.max(now.getTime(), new Date(existing.reminder_at).getTime()))
+    : now;
+  const next = repeat ? nextOccurrence(repeat, after) : null;
+  db.transaction(() => {
+    setNoteReminder.run(next ? next.toISOString() : null, id);
+    if (!next) setNoteReminderRepeat.run(null, id);
+  })();
+  broadcastNoteUpdated(id);
+  res.json(reminderResponse(id));
+});
+
 // ---------- Collaboration ----------
 app.post("/api/notes/:id/collaborate", auth, (req, res) => {
   const noteId = req.params.id;
-  const { username } = req.body || {};
+  const { username, role = "editor" } = req.body || {};
 
   if (!username || typeof username !== "string") {
     return res.status(400).json({ error: "Username is required" });
   }
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
 
-  // Check if note exists and user owns it
-  const note = getNote.get(noteId, req.user.id);
+  // Owner or a collaborator allowed to re-share
+  const note = getNoteWithCollaboration.get(req.user.id, noteId, req.user.id);
   if (!note) {
     return res.status(404).json({ error: "Note not found" });
   }
+  if (!canShareNote(note, req.user.id)) {
+    return res.status(403).json({ error: "You are not allowed to share this note" });
+  }
 
   // Find user to collaborate with (by email or name)
   const collaborator = getUserByEmail.get(username) || getUserByName.get(username);
@@ -760,14 +2357,18 @@ app.post("/api/notes/:id/collaborate", auth, (req, res) => {
   if (collaborator.id === req.user.id) {
     return res.status(400).json({ error: "Cannot collaborate with yourself" });
   }
+  if (collaborator.id === note.user_id) {
+    return res.status(409).json({ error: "User already owns this note" });
+  }
 
   try {
     // Add collaborator
-    addCollaborator.run(noteId, collaborator.id, req.user.id, nowISO());
+    addCollaborator.run(noteId, collaborator.id, req.user.id, nowISO(), role);
 
     // Update note with editor info
     updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), noteId);
-    broadcastNoteUpdated(noteId);
+    const added = { id: collaborator.id, name: collaborator.name, email: collaborator.email, role };
+    broadcastNoteEvent(noteId, "collaborator_added", (uid, n) => ({ collaborator: added, note: noteForUser(n, uid) }));
 
     res.json({
       ok: true,
@@ -775,7 +2376,8 @@ app.post("/api/notes/:id/collaborate", auth, (req, res) => {
       collaborator: {
         id: collaborator.id,
         name: collaborator.name,
-        email: collaborator.email
+        email: collaborator.email,
+        role
       }
     });
   } catch (e) {
@@ -801,10 +2403,39 @@ app.get("/api/notes/:id/collaborators", auth, (req, res) => {
     name: c.name,
     email: c.email,
     added_at: c.added_at,
-    added_by: c.added_by
+    added_by: c.added_by,
+    role: c.role
   })));
 });
 
+// Change a collaborator's role: { role: "viewer" | "editor" | "reshare" }
+app.patch("/api/notes/:id/collaborate/:userId", auth, (req, res) => {
+  const noteId = req.params.id;
+  const { role } = req.body || {};
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
+
+  const note = getNoteWithCollaboration.get(req.user.id, noteId, req.user.id);
+  if (!note) {
+    return res.status(404).json({ error: "Note not found" });
+  }
+  if (!canShareNote(note, req.user.id)) {
+    return res.status(403).json({ error: "You are not allowed to change sharing for this note" });
+  }
+  if (String(req.params.userId) === String(req.user.id)) {
+    return res.status(400).json({ error: "You cannot change your own role" });
+  }
+
+  const result = setCollaboratorRole.run(role, noteId, req.params.userId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: "Collaborator not found" });
+  }
+
+  broadcastNoteUpdated(noteId);
+  res.json({ ok: true, role });
+});
+
 app.delete("/api/notes/:id/collaborate/:userId", auth, (req, res) => {
   const noteId = req.params.id;
   const userIdToRemove = req.params.userId;
@@ -815,12 +2446,11 @@ app.delete("/api/notes/:id/collaborate/:userId", auth, (req, res) => {
     return res.status(404).json({ error: "Note not found" });
   }
 
-  // Check if user is the owner (can remove anyone) or is removing themselves
-  const isOwner = note.user_id === req.user.id;
+  // Owner and re-sharers can remove anyone; everyone can remove themselves
   const isRemovingSelf = String(userIdToRemove) === String(req.user.id);
 
-  if (!isOwner && !isRemovingSelf) {
-    return res.status(403).json({ error: "Only note owner can remove other collaborators" });
+  if (!canShareNote(note, req.user.id) && !isRemovingSelf) {
+    return res.status(403).json({ error: "You are not allowed to remove other collaborators" });
   }
 
   // Remove collaborator
@@ -837,13 +2467,25 @@ app.delete("/api/notes/:id/collaborate/:userId", auth, (req, res) => {
 
   // Update note with editor info
   updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), noteId);
-  broadcastNoteUpdated(noteId);
+  // The removed user gets the event too (without the note) so it leaves their list
+  const removedId = Number(userIdToRemove);
+  broadcastNoteEvent(noteId, "collaborator_removed", (uid, n) => (
+    uid === removedId ? { userId: removedId } : { userId: removedId, note: noteForUser(n, uid) }
+  ), [removedId]);
 
   res.json({ ok: true, message: "Collaborator removed" });
 });
 
-app.get("/api/notes/collaborated", auth, (req, res) => {
-  const rows = getCollaboratedNotes.all(req.user.id);
+// ---------- Revision history ----------
+app.get("/api/notes/:id/revisions", auth, (req, res) => {
+  const noteId = req.params.id;
+  const note = getNoteWithCollaboration.get(req.user.id, noteId, req.user.id);
+  if (!note) {
+    return res.status(404).json({ error: "Note not found" });
+  }
+
+  // Images are left out to keep the payload small; restore happens server-side
+  const rows = listRevisions.all(noteId);
   res.json(
     rows.map((r) => ({
       id: r.id,
@@ -852,34 +2494,315 @@ app.get("/api/notes/collaborated", auth, (req, res) => {
       content: r.content,
       items: JSON.parse(r.items_json || "[]"),
       tags: JSON.parse(r.tags_json || "[]"),
-      images: JSON.parse(r.images_json || "[]"),
       color: r.color,
-      pinned: !!r.pinned,
-      position: r.position,
-      timestamp: r.timestamp,
-      updated_at: r.updated_at,
-      lastEditedBy: r.last_edited_by,
-      lastEditedAt: r.last_edited_at,
+      imageCount: JSON.parse(r.images_json || "[]").length,
+      editedBy: r.edited_by,
+      createdAt: r.created_at,
     }))
   );
 });
 
-// Archive/Unarchive notes
-app.post("/api/notes/:id/archive", auth, (req, res) => {
-  const id = req.params.id;
-  const { archived } = req.body || {};
+// Notes linking here with [[title]], newest first
+app.get("/api/notes/:id/backlinks", auth, (req, res) => {
+  const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+  if (!note) return res.status(404).json({ error: "Note not found" });
+  const key = wikiLinkKey(note.title);
+  if (!key) return res.json([]);
+  res.json(
+    listBacklinks.all({ key, noteId: note.id, userId: req.user.id }).map((r) => ({
+      id: r.id,
+      title: r.title,
+      archived: !!r.archived,
+      snippet: backlinkSnippet(r.content, key),
+    }))
+  );
+});
 
-  // Check if note exists and user owns it
-  const existing = getNote.get(id, req.user.id);
+// Target of a [[link]] that isn't loaded on the client (e.g. archived)
+app.get("/api/notes/by-title", auth, (req, res) => {
+  const key = wikiLinkKey(req.query.title);
+  if (!key) return res.status(400).json({ error: "title is required" });
+  const r = findNoteByTitle.get({ key, userId: req.user.id });
+  if (!r) return res.status(404).json({ error: "No note with that title" });
+  res.json(noteForUser(r, req.user.id));
+});
+
+app.post("/api/notes/:id/revisions/:revisionId/restore", auth, (req, res) => {
+  const noteId = req.params.id;
+  const existing = getNoteWithCollaboration.get(req.user.id, noteId, req.user.id);
   if (!existing) {
     return res.status(404).json({ error: "Note not found" });
   }
+  if (!canEditNote(existing, req.user.id)) {
+    return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  }
+  const rev = getRevision.get(Number(req.params.revisionId), noteId);
+  if (!rev) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+  // Restoring overwrites the whole note, so it is checked like a PUT
+  const version = requestedVersion(req);
+  if (version === null) {
+    return res.status(428).json({ error: "Note version is required (If-Match header or version field)" });
+  }
+  if (Number.isNaN(version)) return res.status(400).json({ error: "Invalid note version" });
+
+  const result = updateNoteWithCollaboration.run({
+    id: noteId,
+    version,
+    user_id: req.user.id,
+    type: rev.type,
+    title: rev.title,
+    content: rev.content,
+    items_json: rev.items_json,
+    tags_json: rev.tags_json,
+    images_json: JSON.stringify(externalizeImages(parseJSONArray(rev.images_json), req.user.id, noteId)),
+    color: rev.color,
+    pinned: existing.pinned,
+    position: existing.position,
+    timestamp: existing.timestamp,
+  });
+  if (result.changes === 0) {
+    if (existing.version !== version) return sendVersionConflict(res, noteId);
+    return res.status(404).json({ error: "Note not found or access denied" });
+  }
+
+  updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), noteId);
+  recordRevision(noteId, req.user, existing, { coalesce: false });
+  indexNote(noteId);
+  syncNoteAttachments(noteId);
+  broadcastNoteUpdated(noteId);
+  relinkRenamedNote(existing, rev.title, req.user);
+  res.json(noteToJSON(getNoteById.get(noteId)));
+});
+
+// ---------- Co-editing (CRDT) ----------
+// Text notes are co-edited as a Y.Doc with a single Y.Text ("content").
+// Clients POST binary updates (base64) and receive everyone's updates as
+// "note_crdt" SSE events; the merged text is written back to notes.content.
+const CRDT_IDLE_MS = 30 * 60 * 1000;
+// Quiet period before list views are told to refetch a co-edited note
+const CRDT_NOTIFY_MS = 2000;
+
+const getCrdtState = db.prepare("SELECT state FROM note_crdt WHERE note_id = ?");
+const saveCrdtState = db.prepare(`
+  INSERT INTO note_crdt (note_id,state,updated_at) VALUES (?,?,?)
+  ON CONFLICT(note_id) DO UPDATE SET state=excluded.state, updated_at=excluded.updated_at
+`);
+const setNoteContentFromCrdt = db.prepare(`
+  UPDATE notes SET content=?, version=version+1, updated_at=?, last_edited_by=?, last_edited_at=?
+  WHERE id=? AND type='text'
+`);
+
+// noteId -> { doc, lastUsed }
+const noteDocs = new Map();
+const crdtNotifyTimers = new Map();
+
+// Apply the single splice that turns `ytext` into `next` (common prefix/suffix kept)
+function spliceText(ytext, next) {
+  const prev = ytext.toString();
+  if (prev === next) return;
+  const max = Math.min(prev.length, next.length);
+  let start = 0;
+  while (start < max && prev[start] === next[start]) start++;
+  // Never split a surrogate pair
+  if (start > 0 && /[\uD800-\uDBFF]/.test(prev[start - 1])) start--;
+  let end = 0;
+  while (end < max - start && prev[prev.length - 1 - end] === next[next.length - 1 - end]) end++;
+  if (end > 0 && /[\uDC00-\uDFFF]/.test(prev[prev.length - end])) end--;
+  const removed = prev.length - start - end;
+  if (removed > 0) ytext.delete(start, removed);
+  const inserted = next.slice(start, next.length - end);
+  if (inserted) ytext.insert(start, inserted);
+}
+
+const persistNoteDoc = (noteId, doc) =>
+  saveCrdtState.run(noteId, Buffer.from(Y.encodeStateAsUpdate(doc)), nowISO());
+
+function broadcastCrdtUpdate(note, update, clientId) {
+  const evt = {
+    type: "note_crdt",
+    noteId: note.id,
+    update: Buffer.from(update).toString("base64"),
+    clientId: clientId ?? null,
+    version: note.version,
+  };
+  const recipientIds = new Set([note.user_id, ...getCollaboratorUserIdsForNote(note.id)]);
+  for (const uid of recipientIds) sendEventToUser(uid, evt);
+}
+
+/**
+ * Bring the doc's text in line with notes.content and return the update that
+ * did it (null when they already match).
+ */
+function foldContentIntoDoc(doc, note) {
+  const text = doc.getText("content");
+  const content = note.type === "text" ? note.content || "" : "";
+  if (text.toString() === content) return null;
+  const before = Y.encodeStateVector(doc);
+  doc.transact(() => spliceText(text, content));
+  persistNoteDoc(note.id, doc);
+  return Y.encodeStateAsUpdate(doc, before);
+}
+
+function getNoteDoc(note) {
+  const key = String(note.id);
+  let entry = noteDocs.get(key);
+  if (!entry) {
+    const doc = new Y.Doc();
+    const row = getCrdtState.get(key);
+    if (row) Y.applyUpdate(doc, row.state);
+    entry = { doc };
+    noteDocs.set(key, entry);
+    foldContentIntoDoc(doc, note);
+  }
+  entry.lastUsed = Date.now();
+  return entry.doc;
+}
+
+// Called for every note write; only docs currently loaded need the edit as ops
+function syncNoteDoc(noteId) {
+  const entry = noteDocs.get(String(noteId));
+  if (!entry) return;
+  try {
+    const note = getNoteById.get(noteId);
+    if (!note) return;
+    const update = foldContentIntoDoc(entry.doc, note);
+    if (update) broadcastCrdtUpdate(note, update, null);
+  } catch (e) {
+    console.error("Failed to sync note doc:", e);
+  }
+}
+
+function scheduleCrdtNotify(noteId) {
+  clearTimeout(crdtNotifyTimers.get(noteId));
+  crdtNotifyTimers.set(noteId, setTimeout(() => {
+    crdtNotifyTimers.delete(noteId);
+    broadcastNoteUpdated(noteId);
+  }, CRDT_NOTIFY_MS));
+}
+
+function evictIdleNoteDocs() {
+  const cutoff = Date.now() - CRDT_IDLE_MS;
+  for (const [key, entry] of noteDocs) {
+    if (entry.lastUsed < cutoff) {
+      entry.doc.destroy();
+      noteDocs.delete(key);
+    }
+  }
+}
+setInterval(evictIdleNoteDocs, 10 * 60 * 1000);
+
+app.get("/api/notes/:id/crdt", auth, (req, res) => {
+  const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+  if (!note) return res.status(404).json({ error: "Note not found" });
+  if (note.type !== "text") return res.status(409).json({ error: "Only text notes can be co-edited" });
+  const doc = getNoteDoc(note);
+  res.json({
+    state: Buffer.from(Y.encodeStateAsUpdate(doc)).toString("base64"),
+    stateVector: Buffer.from(Y.encodeStateVector(doc)).toString("base64"),
+    version: getNoteById.get(note.id).version,
+  });
+});
+
+// Body: { update: base64 Yjs update, clientId: the sender's Y.Doc clientID }
+app.post("/api/notes/:id/crdt", auth, (req, res) => {
+  const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+  if (!note) return res.status(404).json({ error: "Note not found" });
+  if (!canEditNote(note, req.user.id)) return res.status(403).json({ error: VIEW_ONLY_ERROR });
+  if (note.type !== "text") return res.status(409).json({ error: "Only text notes can be co-edited" });
+  const b = req.body || {};
+  if (typeof b.update !== "string" || !b.update) return res.status(400).json({ error: "Missing update" });
+
+  const doc = getNoteDoc(note);
+  const before = Y.encodeStateVector(doc);
+  try {
+    Y.applyUpdate(doc, Buffer.from(b.update, "base64"));
+  } catch {
+    return res.status(400).json({ error: "Invalid update" });
+  }
+  const update = Y.encodeStateAsUpdate(doc, before);
+  persistNoteDoc(note.id, doc);
+
+  const content = doc.getText("content").toString();
+  if (content !== (note.content || "")) {
+    setNoteContentFromCrdt.run(content, nowISO(), req.user.name || req.user.email, nowISO(), note.id);
+    recordRevision(note.id, req.user, note);
+    indexNote(note.id);
+    scheduleCrdtNotify(note.id);
+  }
+  const current = getNoteById.get(note.id);
+  broadcastCrdtUpdate(current, update, b.clientId);
+  res.json({ ok: true, version: current.version });
+});
+
+// ---------- Search ----------
+// GET /api/notes/search?q=...&scope=notes|archived|trash
+// Ranked by bm25 (title and tags weigh more than body text). The snippet marks
+// matched terms with \u0002 ... \u0003.
+app.get("/api/notes/search", auth, (req, res) => {
+  const query = toSearchQuery(req.query.q);
+  if (!query) return res.json([]);
+  const stmt = searchNotesByScope[req.query.scope || "notes"];
+  if (!stmt) return res.status(400).json({ error: "Invalid search scope." });
+  const lim = Number(req.query.limit ?? SEARCH_RESULT_LIMIT);
+  const limit = Number.isFinite(lim) && lim > 0 ? Math.min(lim, SEARCH_RESULT_LIMIT) : SEARCH_RESULT_LIMIT;
+
+  try {
+    const rows = stmt.all({ query, userId: req.user.id, limit });
+    res.json(rows.map((r) => ({
+      ...noteToJSON(r),
+      accessRole: accessRoleFor(r, req.user.id),
+      snippet: r.snippet,
+      rank: r.rank,
+    })));
+  } catch (e) {
+    console.error("Search failed:", e);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+app.get("/api/notes/collaborated", auth, (req, res) => {
+  const rows = getCollaboratedNotes.all(req.user.id);
+  res.json(
+    rows.map((r) => ({
+      id: r.id,
+      type: r.type,
+      title: r.title,
+      content: r.content,
+      items: JSON.parse(r.items_json || "[]"),
+      tags: JSON.parse(r.tags_json || "[]"),
+      images: JSON.parse(r.images_json || "[]"),
+      color: r.color,
+      pinned: !!r.pinned,
+      position: r.position,
+      timestamp: r.timestamp,
+      updated_at: r.updated_at,
+      lastEditedBy: r.last_edited_by,
+      lastEditedAt: r.last_edited_at,
+      version: r.version,
+      ...reminderFields(r),
+      accessRole: accessRoleFor(r, req.user.id),
+    }))
+  );
+});
+
+// Archive/Unarchive notes
+app.post("/api/notes/:id/archive", auth, (req, res) => {
+  const id = req.params.id;
+  const { archived } = req.body || {};
+
+  // Check if note exists and user owns it
+  const existing = getNote.get(id, req.user.id);
+  if (!existing) {
+    return res.status(404).json({ error: "Note not found" });
+  }
+
+  // Update archived status
+  const updateArchived = db.prepare(`
+    UPDATE notes SET archived = ? WHERE id = ? AND user_id = ?
+  `);
 
-  // Update archived status
-  const updateArchived = db.prepare(`
-    UPDATE notes SET archived = ? WHERE id = ? AND user_id = ?
-  `);
-
   const result = updateArchived.run(archived ? 1 : 0, id, req.user.id);
 
   if (result.changes === 0) {
@@ -888,7 +2811,7 @@ app.post("/api/notes/:id/archive", auth, (req, res) => {
 
   // Update editor tracking
   updateNoteWithEditor.run(nowISO(), req.user.name || req.user.email, nowISO(), id);
-  broadcastNoteUpdated(id);
+  broadcastNoteEvent(id, "note_archived", (uid, n) => ({ archived: !!archived, note: noteForUser(n, uid) }));
 
   res.json({ ok: true });
 });
@@ -913,34 +2836,92 @@ app.get("/api/notes/archived", auth, (req, res) => {
       lastEditedBy: r.last_edited_by,
       lastEditedAt: r.last_edited_at,
       archived: !!r.archived,
+      version: r.version,
+      ...reminderFields(r),
     }))
   );
 });
 
 // Export/Import
+// Format version 2 adds archived notes, notes shared with the user (shared: true,
+// restored only when the original is gone), collaborators by email, reminders and
+// all timestamps. Version 1 files (active own notes only) still import.
+const EXPORT_FORMAT_VERSION = 2;
+const listExportNotes = db.prepare(
+  "SELECT * FROM notes WHERE user_id = ? AND deleted_at IS NULL ORDER BY pinned DESC, position DESC, timestamp DESC"
+);
+const restoreNoteMeta = db.prepare(`
+  UPDATE notes SET archived=@archived, updated_at=@updated_at, last_edited_by=@last_edited_by,
+                   last_edited_at=@last_edited_at, reminder_at=@reminder_at,
+                   reminder_fired_at=@reminder_fired_at, reminder_repeat=@reminder_repeat
+  WHERE id=@id
+`);
+const isNoteVisibleTo = db.prepare(`
+  SELECT 1 FROM notes n WHERE n.id = @id AND (n.user_id = @userId OR EXISTS(
+    SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = @userId
+  ))
+`);
+
+function exportNoteJSON(r) {
+  return {
+    id: r.id,
+    type: r.type,
+    title: r.title,
+    content: r.content,
+    items: JSON.parse(r.items_json || "[]"),
+    tags: JSON.parse(r.tags_json || "[]"),
+    images: inlineImages(JSON.parse(r.images_json || "[]")),
+    color: r.color,
+    pinned: !!r.pinned,
+    archived: !!r.archived,
+    position: r.position,
+    timestamp: r.timestamp,
+    updated_at: r.updated_at,
+    lastEditedBy: r.last_edited_by,
+    lastEditedAt: r.last_edited_at,
+    ...reminderFields(r),
+  };
+}
+
+// ISO timestamp from an imported field, or null
+const importedTime = (v) => (typeof v === "string" && !Number.isNaN(Date.parse(v)) ? v : null);
+
 app.get("/api/notes/export", auth, (req, res) => {
-  const rows = listNotes.all(req.user.id);
+  if (req.query.format === "zip") return sendZipExport(req, res);
+  const owners = new Map();
+  const ownerEmail = (userId) => {
+    if (!owners.has(userId)) owners.set(userId, getUserById.get(userId)?.email || null);
+    return owners.get(userId);
+  };
   res.json({
     app: "glass-keep",
-    version: 1,
+    version: EXPORT_FORMAT_VERSION,
     user: req.user.email,
     exportedAt: nowISO(),
-    notes: rows.map((r) => ({
-      id: r.id,
-      type: r.type,
-      title: r.title,
-      content: r.content,
-      items: JSON.parse(r.items_json || "[]"),
-      tags: JSON.parse(r.tags_json || "[]"),
-      images: JSON.parse(r.images_json || "[]"),
-      color: r.color,
-      pinned: !!r.pinned,
-      position: r.position,
-      timestamp: r.timestamp,
-    })),
+    notebooks: listNotebookRows.all(req.user.id).map(({ id, name, color, icon, position }) => ({ id, name, color, icon, position })),
+    notes: [
+      ...listExportNotes.all(req.user.id).map((r) => ({
+        ...exportNoteJSON(r),
+        notebookId: r.notebook_id ?? null,
+        collaborators: getNoteCollaborators.all(r.id).map((c) => ({
+          email: c.email,
+          role: c.role,
+          addedAt: c.added_at,
+        })),
+      })),
+      ...getCollaboratedNotes.all(req.user.id).map((r) => ({
+        ...exportNoteJSON(r),
+        shared: true,
+        owner: ownerEmail(r.user_id),
+        role: accessRoleFor(r, req.user.id),
+      })),
+    ],
   });
 });
 
+// Body: an export ({ version, notes, notebooks }) or a bare notes array.
+// skipDuplicates: true leaves notes whose id the user already has alone
+// instead of importing them again under a new id.
 app.post("/api/notes/import", auth, (req, res) => {
   const payload = req.body || {};
   const src = Array.isArray(payload.notes)
@@ -949,14 +2930,74 @@ app.post("/api/notes/import", auth, (req, res) => {
       ? payload
       : [];
   if (!src.length) return res.status(400).json({ error: "No notes to import." });
+  const formatVersion = Number(payload.version) || 1;
+  if (formatVersion > EXPORT_FORMAT_VERSION) {
+    return res.status(400).json({ error: `Unsupported export version ${formatVersion}.` });
+  }
+  const skipDuplicates = payload.skipDuplicates === true;
+
+  // Exported notebooks are matched to the user's by name; notes may also
+  // name their notebook directly ({ notebook: "Work" })
+  const exportedNotebooks = new Map(
+    (Array.isArray(payload.notebooks) ? payload.notebooks : [])
+      .filter((nb) => nb && nb.id != null)
+      .map((nb) => [String(nb.id), nb])
+  );
+  const notebookIds = new Map();
+  const notebookFor = (n) => {
+    const nb = n.notebookId != null ? exportedNotebooks.get(String(n.notebookId)) : null;
+    if (nb) return importNotebook(req.user.id, nb.name, notebookIds, nb);
+    return typeof n.notebook === "string" ? importNotebook(req.user.id, n.notebook, notebookIds) : null;
+  };
 
-  const rows = listNotes.all(req.user.id);
-  const existing = new Set(rows.map((r) => r.id));
+  // Share the restored note again with everyone who still has an account
+  const restoreCollaborators = (noteId, list) => {
+    const seen = new Set([req.user.id]);
+    for (const c of Array.isArray(list) ? list : []) {
+      const user = typeof c?.email === "string" ? getUserByEmail.get(c.email) : null;
+      if (!user || seen.has(user.id)) continue;
+      seen.add(user.id);
+      const role = COLLABORATOR_ROLES.includes(c.role) ? c.role : "editor";
+      addCollaborator.run(noteId, user.id, req.user.id, importedTime(c.addedAt) || nowISO(), role);
+    }
+  };
+
+  const restoreMeta = (id, n) => {
+    const reminderAt = importedTime(n.reminderAt);
+    let repeat = null;
+    try {
+      repeat = reminderAt ? parseRepeat(n.reminderRepeat, reminderAt) : null;
+    } catch {
+      repeat = null; // unsupported rule: keep the one-off reminder
+    }
+    restoreNoteMeta.run({
+      id,
+      archived: n.archived ? 1 : 0,
+      updated_at: importedTime(n.updated_at),
+      last_edited_by: typeof n.lastEditedBy === "string" ? n.lastEditedBy : null,
+      last_edited_at: importedTime(n.lastEditedAt),
+      reminder_at: reminderAt,
+      reminder_fired_at: reminderAt ? importedTime(n.reminderFiredAt) : null,
+      reminder_repeat: repeat ? JSON.stringify(repeat) : null,
+    });
+  };
 
+  const importedIds = [];
+  let skipped = 0;
   const tx = db.transaction((arr) => {
+    // Bring over empty notebooks too
+    for (const nb of exportedNotebooks.values()) importNotebook(req.user.id, nb.name, notebookIds, nb);
     for (const n of arr) {
-      const id = existing.has(String(n.id)) ? uid() : String(n.id);
-      existing.add(id);
+      if (!n || typeof n !== "object") continue;
+      const taken = n.id != null && !!getNoteById.get(String(n.id));
+      const visible = taken && !!isNoteVisibleTo.get({ id: String(n.id), userId: req.user.id });
+      // A note shared with the user is only restored (as their own copy) once the original is gone
+      if (visible && (skipDuplicates || n.shared)) {
+        skipped++;
+        continue;
+      }
+      const id = taken || n.id == null ? uid() : String(n.id);
+      importedIds.push(id);
       insertNote.run({
         id,
         user_id: req.user.id,
@@ -965,16 +3006,1032 @@ app.post("/api/notes/import", auth, (req, res) => {
         content: n.type === "checklist" ? "" : String(n.content || ""),
         items_json: JSON.stringify(Array.isArray(n.items) ? n.items : []),
         tags_json: JSON.stringify(Array.isArray(n.tags) ? n.tags : []),
-        images_json: JSON.stringify(Array.isArray(n.images) ? n.images : []),
+        images_json: JSON.stringify(externalizeImages(n.images, req.user.id)),
         color: typeof n.color === "string" ? n.color : "default",
         pinned: n.pinned ? 1 : 0,
         position: typeof n.position === "number" ? n.position : Date.now(),
         timestamp: n.timestamp || nowISO(),
       });
+      if (formatVersion >= 2) {
+        restoreMeta(id, n);
+        if (!n.shared) restoreCollaborators(id, n.collaborators);
+      }
+      const notebookId = n.shared ? null : notebookFor(n);
+      if (notebookId) setNoteNotebook.run({ notebookId, id });
     }
   });
   tx(src);
-  res.json({ ok: true, imported: src.length });
+  db.transaction(() => {
+    for (const id of importedIds) {
+      indexNote(id);
+      syncNoteAttachments(id);
+    }
+  })();
+  for (const id of importedIds) broadcastNoteCreated(id);
+  if (notebookIds.size) broadcastNotebooks(req.user.id);
+  res.json({ ok: true, imported: importedIds.length, skipped });
+});
+
+// ---------- ZIP export (Markdown vault) ----------
+// GET /api/notes/export?format=zip: one Markdown file per note with YAML front
+// matter, notebooks as folders, images under attachments/ and drawings as SVG
+// next to their note -- a folder Obsidian can open as a vault.
+const EXPORT_ATTACHMENTS_DIR = "attachments";
+
+// CRC-32 (zip checksums); zlib.crc32 needs Node 22
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// Resolves once `out` can take more data (or has gone away)
+function drained(out) {
+  return new Promise((resolve) => {
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+  });
+}
+
+/**
+ * Streams a ZIP archive of [{ name, data: () => Buffer, date? }] to `out`, one
+ * entry at a time: each entry's data is only read when it is written, so the
+ * archive is never held in memory. Entries are deflated unless that doesn't
+ * make them smaller (images usually), with UTF-8 names; an entry whose data
+ * can't be read is left out.
+ */
+async function writeZip(out, entries) {
+  const central = [];
+  let count = 0;
+  let offset = 0;
+  const write = async (...bufs) => {
+    for (const buf of bufs) {
+      offset += buf.length;
+      if (!out.write(buf)) await drained(out);
+    }
+  };
+  for (const e of entries) {
+    if (out.destroyed) return;
+    let data;
+    try {
+      data = e.data();
+    } catch (err) {
+      console.error("Failed to read export entry:", e.name, err);
+      continue;
+    }
+    const name = Buffer.from(e.name, "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const { time, date } = dosDateTime(e.date || new Date());
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(stored ? 0 : 8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(body.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+    count++;
+
+    await write(local, name, body);
+  }
+  const centralOffset = offset;
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  await write(...central, end);
+  out.end();
+}
+
+// Safe as a file or folder name on Windows, macOS and Linux, and in Obsidian links
+const exportFileName = (s, fallback) =>
+  Array.from(String(s || ""), (ch) => (ch.charCodeAt(0) < 32 ? " " : ch))
+    .join("")
+    .replace(/[\\/:*?"<>|#^[\]]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "")
+    .slice(0, 100)
+    .trim() || fallback;
+
+// "Name", "Name 2", ... per folder, case-insensitively
+function uniqueName(taken, base, ext) {
+  let name = `${base}${ext}`;
+  for (let i = 2; taken.has(name.toLowerCase()); i++) name = `${base} ${i}${ext}`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+// Relative link from a note in `fromDir` to `target` (both archive paths)
+function relativeLink(fromDir, target) {
+  const rel = path.posix.relative(fromDir || ".", target);
+  return rel.split("/").map(encodeURIComponent).join("/");
+}
+
+const EXT_BY_MIME = {
+  "image/png": ".png", "image/jpeg": ".jpg", "image/gif": ".gif", "image/webp": ".webp",
+  "image/svg+xml": ".svg", "image/bmp": ".bmp", "image/avif": ".avif",
+};
+
+// Image type and a reader for its bytes, for an attachment reference or data URL
+function readExportImage(im) {
+  if (!im || typeof im.src !== "string") return null;
+  if (im.src.startsWith("data:")) {
+    const parsed = parseDataURL(im.src);
+    return parsed && { mime: parsed.mime, data: () => parsed.buffer };
+  }
+  const id = attachmentIdFromSrc(im.src);
+  const att = id && getAttachmentById.get(id);
+  if (!att || !fs.existsSync(blobPath(att.sha256))) return null;
+  return { mime: att.mime, data: () => fs.readFileSync(blobPath(att.sha256)) };
+}
+
+// Drawing notes store { paths: [{ points, color, size, tool }], dimensions } as JSON
+function drawingToSVG(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content || "null");
+  } catch {
+    parsed = null;
+  }
+  const paths = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.paths) ? parsed.paths : [];
+  const width = Number(parsed?.dimensions?.width) || 800;
+  const height = Number(parsed?.dimensions?.height) || 600;
+  const color = (c) => (/^#[0-9a-f]{3,8}$/i.test(c) ? c : "#000000");
+  const stroke = (p, c) => {
+    const pts = p.points.filter((pt) => Number.isFinite(pt?.x) && Number.isFinite(pt?.y));
+    if (!pts.length) return "";
+    const d = pts.map((pt, i) => `${i ? "L" : "M"}${pt.x.toFixed(1)} ${pt.y.toFixed(1)}`).join(" ");
+    // A single point still draws a dot
+    const dot = pts.length === 1 ? ` L${pts[0].x.toFixed(1)} ${pts[0].y.toFixed(1)}` : "";
+    return `<path d="${d}${dot}" fill="none" stroke="${c}" stroke-width="${Number(p.size) || 4}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  };
+
+  // The eraser removes what was drawn before it: wrap that in a mask
+  const masks = [];
+  let body = "";
+  for (const p of paths) {
+    if (!p || !Array.isArray(p.points)) continue;
+    if (p.tool === "eraser") {
+      const id = `erase${masks.length}`;
+      masks.push(
+        `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+        `<rect width="${width}" height="${height}" fill="#fff"/>${stroke(p, "#000")}</mask>`
+      );
+      body = `<g mask="url(#${id})">${body}</g>`;
+    } else {
+      body += stroke(p, color(p.color));
+    }
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    masks.length ? `<defs>${masks.join("")}</defs>` : "",
+    body,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+const yamlString = (s) => JSON.stringify(String(s ?? ""));
+function frontMatter(fields) {
+  const lines = ["---"];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value)) {
+      lines.push(value.length ? `${key}:` : `${key}: []`);
+      for (const v of value) lines.push(`  - ${yamlString(v)}`);
+    } else if (typeof value === "string") {
+      lines.push(`${key}: ${yamlString(value)}`);
+    } else {
+      lines.push(`${key}: ${value}`);
+    }
+  }
+  lines.push("---", "");
+  return lines.join("\n");
+}
+
+function sendZipExport(req, res) {
+  const notebooksById = new Map(listNotebookRows.all(req.user.id).map((nb) => [nb.id, nb]));
+  const folderNames = new Map(); // notebook id -> folder
+  const takenFolders = new Set([EXPORT_ATTACHMENTS_DIR]);
+  for (const nb of notebooksById.values()) {
+    folderNames.set(nb.id, uniqueName(takenFolders, exportFileName(nb.name, "Notebook"), ""));
+  }
+  const takenFiles = new Map(); // folder -> Set of names
+  const takenIn = (folder) => {
+    if (!takenFiles.has(folder)) takenFiles.set(folder, new Set());
+    return takenFiles.get(folder);
+  };
+  const attachmentNames = takenIn(EXPORT_ATTACHMENTS_DIR);
+
+  const entries = [];
+  for (const r of listExportNotes.all(req.user.id)) {
+    const folder = (r.notebook_id && folderNames.get(r.notebook_id)) || "";
+    const taken = takenIn(folder);
+    const base = exportFileName(r.title, `Untitled ${r.id}`);
+    const noteName = uniqueName(taken, base, ".md");
+    const stem = noteName.slice(0, -3);
+    const inFolder = (name) => (folder ? `${folder}/${name}` : name);
+    const date = new Date(r.updated_at || r.timestamp || Date.now());
+
+    const body = [];
+    if (r.type === "checklist") {
+      for (const it of parseJSONArray(r.items_json)) body.push(`- [${it?.done ? "x" : " "}] ${it?.text || ""}`);
+    } else if (r.type === "draw") {
+      const svgName = uniqueName(taken, stem, ".svg");
+      entries.push({ name: inFolder(svgName), data: () => Buffer.from(drawingToSVG(r.content), "utf8"), date });
+      body.push(`![Drawing](${relativeLink(folder, inFolder(svgName))})`);
+    } else {
+      body.push(r.content || "");
+    }
+
+    const images = parseJSONArray(r.images_json);
+    images.forEach((im, i) => {
+      const img = readExportImage(im);
+      if (!img) return;
+      const ext = EXT_BY_MIME[img.mime] || path.extname(im.name || "") || ".bin";
+      const fileName = uniqueName(attachmentNames, `${exportFileName(stem, "note").replace(/ /g, "-")}-${i + 1}`, ext);
+      const target = `${EXPORT_ATTACHMENTS_DIR}/${fileName}`;
+      entries.push({ name: target, data: img.data, date });
+      if (i === 0) body.push("");
+      body.push(`![${String(im.name || fileName).replace(/[[\]]/g, "")}](${relativeLink(folder, target)})`);
+    });
+
+    const meta = frontMatter({
+      id: r.id,
+      title: r.title || "",
+      type: r.type,
+      tags: parseJSONArray(r.tags_json).map(String),
+      notebook: r.notebook_id ? notebooksById.get(r.notebook_id)?.name : undefined,
+      color: r.color,
+      pinned: !!r.pinned,
+      archived: !!r.archived,
+      created: r.timestamp,
+      updated: r.updated_at || r.timestamp,
+    });
+    const markdown = meta + body.join("\n") + "\n";
+    entries.push({ name: inFolder(noteName), data: () => Buffer.from(markdown, "utf8"), date });
+  }
+
+  // The archive's length isn't known until the last entry is written
+  const stamp = nowISO().slice(0, 10);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="glass-keep-notes-${stamp}.zip"`);
+  writeZip(res, entries).catch((e) => {
+    console.error("ZIP export failed:", e);
+    res.destroy();
+  });
+}
+
+// ---------- Tags ----------
+// Tags live as strings in each note's tags_json (matched case-insensitively,
+// like the sidebar filter). Rename/merge/delete rewrite every note the user
+// owns in one transaction; the tags table only holds optional display metadata.
+// A "/" in a name nests it under its parent path ("work/clients/acme").
+const MAX_TAG_LENGTH = 64;
+
+const listTagSources = db.prepare("SELECT id, tags_json, deleted_at FROM notes WHERE user_id = ?");
+const listTagMeta = db.prepare("SELECT name, color, icon, position FROM tags WHERE user_id = ?");
+const getTagMeta = db.prepare("SELECT * FROM tags WHERE user_id = ? AND name = ?");
+const upsertTagMeta = db.prepare(`
+  INSERT INTO tags (user_id,name,color,icon,position) VALUES (@user_id,@name,@color,@icon,@position)
+  ON CONFLICT(user_id,name) DO UPDATE SET
+    name=excluded.name, color=excluded.color, icon=excluded.icon, position=excluded.position
+`);
+const deleteTagMeta = db.prepare("DELETE FROM tags WHERE user_id = ? AND name = ?");
+const setTagPosition = db.prepare("UPDATE tags SET position = ? WHERE user_id = ? AND name = ?");
+const clearTagPositions = db.prepare("UPDATE tags SET position = NULL WHERE user_id = ?");
+const setNoteTags = db.prepare(
+  "UPDATE notes SET tags_json = ?, version = version + 1, updated_at = ?, last_edited_by = ?, last_edited_at = ? WHERE id = ?"
+);
+
+const tagKey = (t) => String(t ?? "").trim().toLowerCase();
+const cleanTagName = (t) => (typeof t === "string" ? t.trim().slice(0, MAX_TAG_LENGTH) : "");
+// "work / clients/" -> "work/clients"
+const normalizeTagPath = (t) => String(t ?? "").split("/").map((s) => s.trim()).filter(Boolean).join("/");
+const isTagOrDescendant = (key, parentKey) => key === parentKey || key.startsWith(parentKey + "/");
+
+// Tag names as used on the user's (non-trashed) notes, with counts
+function userTagCounts(userId) {
+  const counts = new Map(); // key -> { name, count }
+  for (const r of listTagSources.all(userId)) {
+    if (r.deleted_at) continue;
+    for (const t of parseJSONArray(r.tags_json)) {
+      const key = tagKey(t);
+      if (!key) continue;
+      const entry = counts.get(key) || { name: String(t).trim(), count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return counts;
+}
+
+function listUserTags(userId) {
+  const tags = userTagCounts(userId);
+  const out = new Map([...tags].map(([key, t]) => [key, { ...t, color: null, icon: null, position: null }]));
+  for (const m of listTagMeta.all(userId)) {
+    const key = tagKey(m.name);
+    out.set(key, { name: tags.get(key)?.name || m.name, count: tags.get(key)?.count || 0, color: m.color, icon: m.icon, position: m.position });
+  }
+  return [...out.values()].sort((a, b) =>
+    (a.position ?? Infinity) - (b.position ?? Infinity) || a.name.toLowerCase().localeCompare(b.name.toLowerCase())
+  );
+}
+
+// Rename function for retagNotes: every tag in `from` becomes `to` (null drops it)
+const renameTo = (from, to) => {
+  const keys = new Set(from.map(tagKey));
+  return (t) => (keys.has(tagKey(t)) ? to : t);
+};
+
+/**
+ * Rewrite the tags on all of `user`'s notes through `rename(tag)`, which
+ * returns the new name (or null to drop the tag). Duplicates left behind are
+ * collapsed, and each rewrite is an edit by `user` with its own revision.
+ * Returns the ids of notes that changed; runs inside the caller's transaction.
+ */
+function retagNotes(user, rename) {
+  const changed = [];
+  const editor = user.name || user.email;
+  for (const r of listTagSources.all(user.id)) {
+    const tags = parseJSONArray(r.tags_json);
+    if (!tags.some((t) => rename(t) !== t)) continue;
+    const seen = new Set();
+    const next = [];
+    for (const t of tags) {
+      const name = rename(t);
+      if (name == null || seen.has(tagKey(name))) continue;
+      seen.add(tagKey(name));
+      next.push(name);
+    }
+    const previous = getNoteById.get(r.id);
+    const now = nowISO();
+    setNoteTags.run(JSON.stringify(next), now, editor, now, r.id);
+    recordRevision(r.id, user, previous);
+    changed.push(r.id);
+  }
+  return changed;
+}
+
+// Search index and other sessions pick up the rewritten notes
+function afterRetag(noteIds) {
+  for (const id of noteIds) {
+    indexNote(id);
+    broadcastNoteUpdated(id);
+  }
+}
+
+// Metadata fields from a request body; undefined means "leave as is"
+function tagMetaFromBody(b, current = {}) {
+  const pick = (field, max) => {
+    if (b[field] === undefined) return current[field] ?? null;
+    if (b[field] === null || b[field] === "") return null;
+    return String(b[field]).slice(0, max);
+  };
+  return {
+    color: pick("color", 32),
+    icon: pick("icon", 16),
+    position: b.position === undefined
+      ? current.position ?? null
+      : Number.isInteger(b.position) ? b.position : null,
+  };
+}
+
+app.get("/api/tags", auth, (req, res) => {
+  res.json(listUserTags(req.user.id));
+});
+
+// Body: { name?, color?, icon?, position? } -- a new name renames the tag on every note
+app.patch("/api/tags/:name", auth, (req, res) => {
+  const uid = req.user.id;
+  const name = cleanTagName(req.params.name);
+  if (!name) return res.status(400).json({ error: "Tag name is required" });
+  const b = req.body || {};
+  const newName = b.name === undefined ? name : cleanTagName(b.name);
+  if (!newName) return res.status(400).json({ error: "Tag name is required" });
+
+  const renaming = newName !== name;
+  // Renaming onto another existing tag is a merge; only a change of case is allowed here
+  if (renaming && tagKey(newName) !== tagKey(name)) {
+    if (userTagCounts(uid).has(tagKey(newName)) || getTagMeta.get(uid, newName)) {
+      return res.status(409).json({ error: "A tag with that name already exists; merge the tags instead" });
+    }
+  }
+  let changed = [];
+  db.transaction(() => {
+    const current = getTagMeta.get(uid, name) || {};
+    if (renaming) {
+      changed = retagNotes(req.user, renameTo([name], newName));
+      deleteTagMeta.run(uid, name);
+    }
+    upsertTagMeta.run({ user_id: uid, name: newName, ...tagMetaFromBody(b, current) });
+  })();
+  afterRetag(changed);
+  res.json({ ok: true, notesUpdated: changed.length, tags: listUserTags(uid) });
+});
+
+// Body: { from: [names], into: name } -- into may be one of from or a new name
+app.post("/api/tags/merge", auth, (req, res) => {
+  const uid = req.user.id;
+  const b = req.body || {};
+  const into = cleanTagName(b.into);
+  const from = Array.isArray(b.from) ? b.from.map(cleanTagName).filter(Boolean) : [];
+  if (!into || from.length === 0) return res.status(400).json({ error: "Tags to merge and a target name are required" });
+
+  let changed = [];
+  db.transaction(() => {
+    // Keep the target's look, else borrow the first merged tag's
+    const meta = getTagMeta.get(uid, into) || from.map((t) => getTagMeta.get(uid, t)).find(Boolean) || {};
+    changed = retagNotes(req.user, renameTo([...from, into], into));
+    for (const t of from) deleteTagMeta.run(uid, t);
+    upsertTagMeta.run({ user_id: uid, name: into, ...tagMetaFromBody({}, meta) });
+  })();
+  afterRetag(changed);
+  res.json({ ok: true, notesUpdated: changed.length, tags: listUserTags(uid) });
+});
+
+// Removes the tag from every note (the notes themselves stay)
+app.delete("/api/tags/:name", auth, (req, res) => {
+  const uid = req.user.id;
+  const name = cleanTagName(req.params.name);
+  if (!name) return res.status(400).json({ error: "Tag name is required" });
+  let changed = [];
+  db.transaction(() => {
+    changed = retagNotes(req.user, renameTo([name], null));
+    deleteTagMeta.run(uid, name);
+  })();
+  afterRetag(changed);
+  res.json({ ok: true, notesUpdated: changed.length, tags: listUserTags(uid) });
+});
+
+// Body: { tag, parent } -- re-parent a tag and everything nested under it
+// (parent null/"" moves it to the top level): work/acme -> clients/acme
+app.post("/api/tags/move", auth, (req, res) => {
+  const uid = req.user.id;
+  const b = req.body || {};
+  const tag = normalizeTagPath(cleanTagName(b.tag));
+  const parent = normalizeTagPath(cleanTagName(b.parent));
+  if (!tag) return res.status(400).json({ error: "Tag name is required" });
+  if (parent && isTagOrDescendant(tagKey(parent), tagKey(tag))) {
+    return res.status(400).json({ error: "A tag can't be moved under itself" });
+  }
+  const leaf = tag.split("/").pop();
+  const target = parent ? `${parent}/${leaf}` : leaf;
+  if (target.length > MAX_TAG_LENGTH) return res.status(400).json({ error: "Tag name is too long" });
+  if (tagKey(target) === tagKey(tag)) return res.json({ ok: true, notesUpdated: 0, tags: listUserTags(uid) });
+
+  const fromKey = tagKey(tag);
+  const existing = [...userTagCounts(uid).keys(), ...listTagMeta.all(uid).map((m) => tagKey(m.name))];
+  if (existing.some((k) => isTagOrDescendant(k, tagKey(target)))) {
+    return res.status(409).json({ error: "A tag with that name already exists there; merge the tags instead" });
+  }
+  // Descendant names must still fit once the prefix changes
+  const moved = (t) => target + normalizeTagPath(t).slice(tag.length);
+  const rename = (t) => (isTagOrDescendant(tagKey(normalizeTagPath(t)), fromKey) ? moved(t) : t);
+  if (existing.some((k) => isTagOrDescendant(k, fromKey) && moved(k).length > MAX_TAG_LENGTH)) {
+    return res.status(400).json({ error: "Tag name is too long" });
+  }
+
+  let changed = [];
+  db.transaction(() => {
+    changed = retagNotes(req.user, rename);
+    for (const m of listTagMeta.all(uid)) {
+      if (!isTagOrDescendant(tagKey(m.name), fromKey)) continue;
+      deleteTagMeta.run(uid, m.name);
+      upsertTagMeta.run({ user_id: uid, name: moved(m.name), color: m.color, icon: m.icon, position: m.position });
+    }
+  })();
+  afterRetag(changed);
+  res.json({ ok: true, notesUpdated: changed.length, tags: listUserTags(uid) });
+});
+
+// Body: { names: [...] } -- sidebar order; tags not listed lose their position
+app.put("/api/tags/order", auth, (req, res) => {
+  const uid = req.user.id;
+  const names = Array.isArray(req.body?.names) ? req.body.names.map(cleanTagName).filter(Boolean) : null;
+  if (!names) return res.status(400).json({ error: "names must be an array" });
+  db.transaction(() => {
+    clearTagPositions.run(uid);
+    names.forEach((name, i) => {
+      const current = getTagMeta.get(uid, name);
+      if (current) setTagPosition.run(i, uid, name);
+      else upsertTagMeta.run({ user_id: uid, name, color: null, icon: null, position: i });
+    });
+  })();
+  res.json({ ok: true, tags: listUserTags(uid) });
+});
+
+// ---------- Notebooks ----------
+// A notebook is a named container owned by one user; a note points at one via
+// notes.notebook_id (NULL = not filed). Deleting a notebook unfiles its notes.
+const MAX_NOTEBOOK_NAME_LENGTH = 80;
+const NOTEBOOK_NOT_FOUND = "Notebook not found";
+
+const listNotebookRows = db.prepare(`
+  SELECT b.*, (
+    SELECT COUNT(*) FROM notes n WHERE n.notebook_id = b.id AND n.deleted_at IS NULL
+  ) AS count
+  FROM notebooks b WHERE b.user_id = ?
+  ORDER BY b.position IS NULL, b.position, b.name COLLATE NOCASE
+`);
+const getNotebook = db.prepare("SELECT * FROM notebooks WHERE id = ? AND user_id = ?");
+const getNotebookByName = db.prepare("SELECT * FROM notebooks WHERE user_id = ? AND name = ?");
+const insertNotebook = db.prepare(`
+  INSERT INTO notebooks (id,user_id,name,color,icon,position,created_at)
+  VALUES (@id,@user_id,@name,@color,@icon,@position,@created_at)
+`);
+const updateNotebook = db.prepare(`
+  UPDATE notebooks SET name=@name, color=@color, icon=@icon, position=@position
+  WHERE id=@id AND user_id=@user_id
+`);
+const deleteNotebook = db.prepare("DELETE FROM notebooks WHERE id = ? AND user_id = ?");
+const setNotebookPosition = db.prepare("UPDATE notebooks SET position = ? WHERE id = ? AND user_id = ?");
+const clearNotebookPositions = db.prepare("UPDATE notebooks SET position = NULL WHERE user_id = ?");
+// A move is a change to the note, so it bumps the version like any other write
+const setNoteNotebook = db.prepare(
+  "UPDATE notes SET notebook_id = @notebookId, version = version + 1 WHERE id = @id AND notebook_id IS NOT @notebookId"
+);
+const listNotebookNoteIds = db.prepare("SELECT id FROM notes WHERE notebook_id = ? AND user_id = ?");
+const unfileNotebookNotes = db.prepare(
+  "UPDATE notes SET notebook_id = NULL, version = version + 1 WHERE notebook_id = ? AND user_id = ?"
+);
+
+const cleanNotebookName = (v) => (typeof v === "string" ? v.trim().slice(0, MAX_NOTEBOOK_NAME_LENGTH) : "");
+
+function notebookToJSON(b) {
+  return { id: b.id, name: b.name, color: b.color, icon: b.icon, position: b.position, count: b.count ?? 0 };
+}
+const listNotebooks = (userId) => listNotebookRows.all(userId).map(notebookToJSON);
+
+/**
+ * The notebook a note write asks for via `notebookId`: undefined when the
+ * body doesn't mention it, null to unfile, false when it isn't one of the
+ * user's notebooks.
+ */
+function notebookFromBody(userId, b) {
+  if (b.notebookId === undefined) return undefined;
+  if (b.notebookId === null || b.notebookId === "") return null;
+  return getNotebook.get(String(b.notebookId), userId) ? String(b.notebookId) : false;
+}
+
+// The user's other sessions refresh their notebook list from this
+function broadcastNotebooks(userId) {
+  sendEventToUser(userId, { type: "notebooks", notebooks: listNotebooks(userId) });
+}
+
+app.get("/api/notebooks", auth, (req, res) => {
+  res.json(listNotebooks(req.user.id));
+});
+
+// Body: { name, color?, icon? }
+app.post("/api/notebooks", auth, (req, res) => {
+  const uid = req.user.id;
+  const b = req.body || {};
+  const name = cleanNotebookName(b.name);
+  if (!name) return res.status(400).json({ error: "Notebook name is required" });
+  if (getNotebookByName.get(uid, name)) return res.status(409).json({ error: "A notebook with that name already exists" });
+  const nb = {
+    id: crypto.randomUUID(),
+    user_id: uid,
+    name,
+    ...tagMetaFromBody({ color: b.color, icon: b.icon }),
+    created_at: nowISO(),
+  };
+  insertNotebook.run(nb);
+  broadcastNotebooks(uid);
+  res.status(201).json(notebookToJSON(nb));
+});
+
+// Body: { name?, color?, icon?, position? }
+app.patch("/api/notebooks/:id", auth, (req, res) => {
+  const uid = req.user.id;
+  const current = getNotebook.get(req.params.id, uid);
+  if (!current) return res.status(404).json({ error: NOTEBOOK_NOT_FOUND });
+  const b = req.body || {};
+  const name = b.name === undefined ? current.name : cleanNotebookName(b.name);
+  if (!name) return res.status(400).json({ error: "Notebook name is required" });
+  const clash = getNotebookByName.get(uid, name);
+  if (clash && clash.id !== current.id) return res.status(409).json({ error: "A notebook with that name already exists" });
+  updateNotebook.run({ id: current.id, user_id: uid, name, ...tagMetaFromBody(b, current) });
+  broadcastNotebooks(uid);
+  res.json({ ok: true, notebooks: listNotebooks(uid) });
+});
+
+// Notes in the notebook stay, unfiled
+app.delete("/api/notebooks/:id", auth, (req, res) => {
+  const uid = req.user.id;
+  const current = getNotebook.get(req.params.id, uid);
+  if (!current) return res.status(404).json({ error: NOTEBOOK_NOT_FOUND });
+  const noteIds = listNotebookNoteIds.all(current.id, uid).map((r) => r.id);
+  db.transaction(() => {
+    unfileNotebookNotes.run(current.id, uid);
+    deleteNotebook.run(current.id, uid);
+  })();
+  for (const id of noteIds) broadcastNoteUpdated(id);
+  broadcastNotebooks(uid);
+  res.json({ ok: true, notesUpdated: noteIds.length, notebooks: listNotebooks(uid) });
+});
+
+// Body: { ids: [...] } -- sidebar order; notebooks not listed lose their position
+app.put("/api/notebooks/order", auth, (req, res) => {
+  const uid = req.user.id;
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+  if (!ids) return res.status(400).json({ error: "ids must be an array" });
+  db.transaction(() => {
+    clearNotebookPositions.run(uid);
+    ids.forEach((id, i) => setNotebookPosition.run(i, id, uid));
+  })();
+  broadcastNotebooks(uid);
+  res.json({ ok: true, notebooks: listNotebooks(uid) });
+});
+
+/**
+ * Notebook lookup for imports: reuses the user's notebook with the same name
+ * (case-insensitively) or creates it. `cache` maps lowercased names to ids
+ * across one import.
+ */
+function importNotebook(userId, name, cache, meta = {}) {
+  const clean = cleanNotebookName(name);
+  if (!clean) return null;
+  const key = clean.toLowerCase();
+  if (!cache.has(key)) {
+    const found = getNotebookByName.get(userId, clean);
+    if (found) {
+      cache.set(key, found.id);
+    } else {
+      const id = crypto.randomUUID();
+      insertNotebook.run({
+        id,
+        user_id: userId,
+        name: clean,
+        ...tagMetaFromBody({ color: meta.color, icon: meta.icon, position: meta.position }),
+        created_at: nowISO(),
+      });
+      cache.set(key, id);
+    }
+  }
+  return cache.get(key);
+}
+
+// ---------- Templates ----------
+// Saved per user so they follow them across devices. Placeholders such as
+// {{date}} are stored as typed and expanded when a note is created from one.
+const MAX_TEMPLATE_NAME_LENGTH = 80;
+const TEMPLATE_NOT_FOUND = "Template not found";
+
+const listTemplateRows = db.prepare("SELECT * FROM note_templates WHERE user_id = ? ORDER BY name COLLATE NOCASE");
+const getTemplate = db.prepare("SELECT * FROM note_templates WHERE id = ? AND user_id = ?");
+const insertTemplate = db.prepare(`
+  INSERT INTO note_templates (id,user_id,name,type,title,content,items_json,tags_json,color,created_at,updated_at)
+  VALUES (@id,@user_id,@name,@type,@title,@content,@items_json,@tags_json,@color,@created_at,@updated_at)
+`);
+const updateTemplate = db.prepare(`
+  UPDATE note_templates SET name=@name, type=@type, title=@title, content=@content, items_json=@items_json,
+    tags_json=@tags_json, color=@color, updated_at=@updated_at
+  WHERE id=@id AND user_id=@user_id
+`);
+const deleteTemplate = db.prepare("DELETE FROM note_templates WHERE id = ? AND user_id = ?");
+
+function templateToJSON(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    type: t.type,
+    title: t.title,
+    content: t.content,
+    items: parseJSONArray(t.items_json),
+    tags: parseJSONArray(t.tags_json),
+    color: t.color,
+    updatedAt: t.updated_at,
+  };
+}
+
+// Template fields from a request body, over `current` when editing
+function templateFromBody(b, current = {}) {
+  const has = (f) => b[f] !== undefined;
+  const type = has("type") ? (b.type === "checklist" ? "checklist" : "text") : current.type || "text";
+  const items = has("items") ? (Array.isArray(b.items) ? b.items : []) : parseJSONArray(current.items_json);
+  return {
+    name: has("name") ? (typeof b.name === "string" ? b.name.trim().slice(0, MAX_TEMPLATE_NAME_LENGTH) : "") : current.name,
+    type,
+    title: has("title") ? String(b.title || "") : current.title || "",
+    content: type === "checklist" ? "" : has("content") ? String(b.content || "") : current.content || "",
+    // Only the wording is kept; every new note starts unticked
+    items_json: JSON.stringify(
+      type === "checklist"
+        ? items.map((it) => ({ text: String(it?.text ?? "") })).filter((it) => it.text.trim())
+        : []
+    ),
+    tags_json: JSON.stringify(has("tags") ? (Array.isArray(b.tags) ? b.tags.map(String) : []) : parseJSONArray(current.tags_json)),
+    color: has("color") ? (typeof b.color === "string" && b.color ? b.color : "default") : current.color || "default",
+  };
+}
+
+app.get("/api/templates", auth, (req, res) => {
+  res.json(listTemplateRows.all(req.user.id).map(templateToJSON));
+});
+
+// Body: { name, type, title, content | items, tags, color }
+app.post("/api/templates", auth, (req, res) => {
+  const fields = templateFromBody(req.body || {});
+  if (!fields.name) return res.status(400).json({ error: "Template name is required" });
+  const now = nowISO();
+  const t = { id: crypto.randomUUID(), user_id: req.user.id, ...fields, created_at: now, updated_at: now };
+  insertTemplate.run(t);
+  res.status(201).json(templateToJSON(t));
+});
+
+app.patch("/api/templates/:id", auth, (req, res) => {
+  const current = getTemplate.get(req.params.id, req.user.id);
+  if (!current) return res.status(404).json({ error: TEMPLATE_NOT_FOUND });
+  const fields = templateFromBody(req.body || {}, current);
+  if (!fields.name) return res.status(400).json({ error: "Template name is required" });
+  updateTemplate.run({ id: current.id, user_id: req.user.id, ...fields, updated_at: nowISO() });
+  res.json(templateToJSON(getTemplate.get(current.id, req.user.id)));
+});
+
+app.delete("/api/templates/:id", auth, (req, res) => {
+  const result = deleteTemplate.run(req.params.id, req.user.id);
+  if (result.changes === 0) return res.status(404).json({ error: TEMPLATE_NOT_FOUND });
+  res.json({ ok: true });
+});
+
+// ---------- Attachments ----------
+// Multipart upload (field "file"). The file is hashed while it streams to disk.
+app.post("/api/attachments", auth, (req, res) => {
+  const maxUploadMB = adminSetting("maxUploadMB");
+  let busboy;
+  try {
+    busboy = Busboy({
+      headers: req.headers,
+      limits: { files: 1, fileSize: maxUploadMB * 1024 * 1024 },
+    });
+  } catch {
+    return res.status(400).json({ error: "Expected a multipart/form-data upload." });
+  }
+
+  let upload = null;
+  busboy.on("file", (_field, file, info) => {
+    const tmp = path.join(attachmentsDir, `.upload-${uid()}`);
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    file.on("data", (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+    const out = fs.createWriteStream(tmp);
+    upload = new Promise((resolve, reject) => {
+      out.on("finish", () =>
+        resolve({
+          tmp,
+          size,
+          sha256: hash.digest("hex"),
+          truncated: file.truncated,
+          mime: info.mimeType,
+          name: info.filename,
+        })
+      );
+      out.on("error", reject);
+      file.on("error", reject);
+    });
+    file.pipe(out);
+  });
+
+  busboy.on("close", async () => {
+    if (!upload) return res.status(400).json({ error: "No file uploaded." });
+    let f;
+    try {
+      f = await upload;
+      if (f.truncated) {
+        fs.rmSync(f.tmp, { force: true });
+        return res.status(413).json({ error: `File is larger than ${maxUploadMB} MB.` });
+      }
+      commitBlob(f.tmp, f.sha256);
+      const att = saveAttachment({
+        userId: req.user.id,
+        sha256: f.sha256,
+        mime: f.mime,
+        size: f.size,
+        name: f.name,
+      });
+      res.status(201).json({
+        id: att.id,
+        url: attachmentURL(att.id),
+        name: att.name,
+        mime: att.mime,
+        size: att.size,
+      });
+    } catch (e) {
+      if (f) fs.rmSync(f.tmp, { force: true });
+      console.error("Attachment upload failed:", e);
+      res.status(500).json({ error: "Upload failed" });
+    }
+  });
+  busboy.on("error", (e) => {
+    console.error("Attachment upload failed:", e);
+    if (!res.headersSent) res.status(400).json({ error: "Malformed upload." });
+  });
+  req.pipe(busboy);
+});
+
+app.get("/api/attachments/:id", attachmentAuth, (req, res) => {
+  const att = getAccessibleAttachment.get({ id: req.params.id, userId: req.user.id });
+  if (!att) return res.status(404).json({ error: "Attachment not found" });
+  sendAttachment(req, res, att);
+});
+
+// Stream a stored blob with its metadata headers
+function sendAttachment(req, res, att) {
+  const file = blobPath(att.sha256);
+  if (!fs.existsSync(file)) return res.status(404).json({ error: "Attachment not found" });
+
+  // Content never changes for an id, so the hash is a stable ETag
+  const etag = `"${att.sha256}"`;
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", "private, max-age=31536000, immutable");
+  if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+  res.setHeader("Content-Type", att.mime);
+  res.setHeader("Content-Length", att.size);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  // Only raster images render inline; everything else (incl. SVG) downloads
+  const inline = /^image\/(png|jpe?g|gif|webp|avif|bmp)$/.test(att.mime);
+  const filename = encodeURIComponent(att.name || att.id);
+  res.setHeader(
+    "Content-Disposition",
+    `${inline ? "inline" : "attachment"}; filename*=UTF-8''${filename}`
+  );
+  const stream = fs.createReadStream(file);
+  stream.on("error", (e) => {
+    console.error("Failed to stream attachment:", e);
+    res.destroy(e);
+  });
+  stream.pipe(res);
+}
+
+// ---------- Public share links ----------
+// Anyone with a link can read the note (no account needed) until the link is
+// revoked, expires, or the note is trashed.
+const SHARE_TOKEN_BYTES = 24;
+
+const listNoteShares = db.prepare(
+  "SELECT * FROM note_shares WHERE note_id = ? ORDER BY created_at DESC"
+);
+const insertNoteShare = db.prepare(`
+  INSERT INTO note_shares (note_id, token, created_by, created_at, expires_at)
+  VALUES (?, ?, ?, ?, ?)
+`);
+const getNoteShare = db.prepare("SELECT * FROM note_shares WHERE id = ?");
+const deleteNoteShare = db.prepare("DELETE FROM note_shares WHERE id = ? AND note_id = ?");
+const getSharedNote = db.prepare(`
+  SELECT n.* FROM note_shares s
+  JOIN notes n ON n.id = s.note_id
+  WHERE s.token = ? AND n.deleted_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > ?)
+`);
+// Public, so the file must also come from someone with access to the note: a
+// link that slipped in otherwise never publishes another user's upload
+const getSharedNoteAttachment = db.prepare(`
+  SELECT a.* FROM attachments a
+  JOIN note_attachments na ON na.attachment_id = a.id
+  JOIN notes n ON n.id = na.note_id
+  WHERE a.id = @id AND na.note_id = @noteId AND (
+    a.user_id = n.user_id OR EXISTS(
+      SELECT 1 FROM note_collaborators nc WHERE nc.note_id = n.id AND nc.user_id = a.user_id
+    )
+  )
+`);
+
+const shareToJSON = (s) => ({
+  id: s.id,
+  token: s.token,
+  createdAt: s.created_at,
+  expiresAt: s.expires_at,
+  expired: !!s.expires_at && s.expires_at <= nowISO(),
+});
+
+// Only people who may share the note can see or manage its links
+function getShareableNote(req, res) {
+  const note = getNoteWithCollaboration.get(req.user.id, req.params.id, req.user.id);
+  if (!note) {
+    res.status(404).json({ error: "Note not found" });
+    return null;
+  }
+  if (!canShareNote(note, req.user.id)) {
+    res.status(403).json({ error: "You are not allowed to share this note" });
+    return null;
+  }
+  return note;
+}
+
+app.get("/api/notes/:id/shares", auth, (req, res) => {
+  const note = getShareableNote(req, res);
+  if (!note) return;
+  res.json(listNoteShares.all(note.id).map(shareToJSON));
+});
+
+// Create a link: { expiresAt?: ISO date } (omit or null for a link that never expires)
+app.post("/api/notes/:id/shares", auth, (req, res) => {
+  const note = getShareableNote(req, res);
+  if (!note) return;
+  const { expiresAt = null } = req.body || {};
+  let expires = null;
+  if (expiresAt) {
+    const d = new Date(expiresAt);
+    if (isNaN(d.getTime()) || d.getTime() <= Date.now()) {
+      return res.status(400).json({ error: "Expiry must be a date in the future." });
+    }
+    expires = d.toISOString();
+  }
+
+  const token = generateSecretKey(SHARE_TOKEN_BYTES);
+  const info = insertNoteShare.run(note.id, token, req.user.id, nowISO(), expires);
+  res.status(201).json(shareToJSON(getNoteShare.get(info.lastInsertRowid)));
+});
+
+app.delete("/api/notes/:id/shares/:shareId", auth, (req, res) => {
+  const note = getShareableNote(req, res);
+  if (!note) return;
+  const result = deleteNoteShare.run(Number(req.params.shareId), note.id);
+  if (result.changes === 0) return res.status(404).json({ error: "Share link not found" });
+  res.json({ ok: true });
+});
+
+// Public, read-only view of a shared note
+app.get("/api/public/notes/:token", (req, res) => {
+  const note = getSharedNote.get(req.params.token, nowISO());
+  if (!note) return res.status(404).json({ error: "This link is invalid or has expired." });
+
+  const token = encodeURIComponent(req.params.token);
+  const images = JSON.parse(note.images_json || "[]").map((im) => {
+    const attachmentId = attachmentIdFromSrc(im?.src);
+    return attachmentId
+      ? { ...im, src: `/api/public/notes/${token}/attachments/${attachmentId}` }
+      : im;
+  });
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    type: note.type,
+    title: note.title,
+    content: note.content,
+    items: JSON.parse(note.items_json || "[]"),
+    tags: JSON.parse(note.tags_json || "[]"),
+    images,
+    color: note.color,
+    updatedAt: note.updated_at || note.timestamp,
+  });
+});
+
+app.get("/api/public/notes/:token/attachments/:id", (req, res) => {
+  const note = getSharedNote.get(req.params.token, nowISO());
+  const att = note && getSharedNoteAttachment.get({ id: req.params.id, noteId: note.id });
+  if (!att) return res.status(404).json({ error: "Attachment not found" });
+  sendAttachment(req, res, att);
 });
 
 // ---------- Admin ----------
@@ -984,30 +4041,134 @@ function adminOnly(req, res, next) {
   next();
 }
 
-// Admin settings storage (in-memory for now, could be moved to DB)
-let adminSettings = {
-  allowNewAccounts: process.env.ALLOW_REGISTRATION === "true" || false
+// Admin settings live in app_settings. Each key has a default (some seeded
+// from the environment) and a parser that returns the normalised value, or
+// undefined when the input is invalid.
+const REGISTRATION_MODES = ["open", "domain", "closed"]; // domain: only emails at registrationDomains
+const THEMES = ["system", "light", "dark"];
+const DOMAIN_RE = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+const parseBoolean = (v) => (typeof v === "boolean" ? v : undefined);
+const ADMIN_SETTINGS = {
+  instanceName: {
+    default: process.env.INSTANCE_NAME || "Glass Keep",
+    parse: (v) => (typeof v === "string" && v.trim() && v.trim().length <= 60 ? v.trim() : undefined),
+    error: "Instance name must be 1-60 characters.",
+  },
+  defaultTheme: {
+    default: "system",
+    parse: (v) => (THEMES.includes(v) ? v : undefined),
+    error: `Default theme must be one of: ${THEMES.join(", ")}.`,
+  },
+  maxUploadMB: {
+    default: MAX_UPLOAD_MB,
+    parse: (v) => (Number.isInteger(v) && v >= 1 && v <= 1024 ? v : undefined),
+    error: "Max upload size must be a whole number of MB between 1 and 1024.",
+  },
+  aiEnabled: {
+    default: process.env.AI_ENABLED !== "false",
+    parse: parseBoolean,
+    error: "aiEnabled must be true or false.",
+  },
+  registrationMode: {
+    default: process.env.ALLOW_REGISTRATION === "true" ? "open" : "closed",
+    parse: (v) => (REGISTRATION_MODES.includes(v) ? v : undefined),
+    error: `Registration mode must be one of: ${REGISTRATION_MODES.join(", ")}.`,
+  },
+  registrationDomains: {
+    default: [],
+    parse: (v) => {
+      if (!Array.isArray(v)) return undefined;
+      const domains = v.map((d) => String(d).trim().toLowerCase().replace(/^@/, "")).filter(Boolean);
+      return domains.every((d) => DOMAIN_RE.test(d)) ? [...new Set(domains)] : undefined;
+    },
+    error: "Registration domains must be a list of domain names like example.com.",
+  },
 };
 
+const listAppSettings = db.prepare("SELECT key, value FROM app_settings");
+const upsertAppSetting = db.prepare(`
+  INSERT INTO app_settings (key, value, updated_at, updated_by) VALUES (?, ?, ?, ?)
+  ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, updated_by = excluded.updated_by
+`);
+
+// Stored values over defaults, plus allowNewAccounts for older clients
+function getAdminSettings() {
+  const stored = new Map(listAppSettings.all().map((r) => [r.key, r.value]));
+  const settings = {};
+  for (const [key, def] of Object.entries(ADMIN_SETTINGS)) {
+    let value;
+    try {
+      value = stored.has(key) ? def.parse(JSON.parse(stored.get(key))) : undefined;
+    } catch {
+      value = undefined; // unreadable row: fall back to the default
+    }
+    settings[key] = value === undefined ? def.default : value;
+  }
+  settings.allowNewAccounts = settings.registrationMode !== "closed";
+  return settings;
+}
+const adminSetting = (key) => getAdminSettings()[key];
+
+// Only plain "name@host.tld" addresses qualify: exactly one "@", a dotted domain
+function registrationDomainAllowed(email, domains) {
+  const address = String(email).trim().toLowerCase();
+  const at = address.lastIndexOf("@");
+  if (at <= 0 || address.indexOf("@") !== at) return false;
+  const domain = address.slice(at + 1);
+  return domain.includes(".") && domains.includes(domain);
+}
+
+// What any client (signed in or not) needs to know about this instance
+function publicInstanceSettings() {
+  const { instanceName, defaultTheme, aiEnabled, maxUploadMB, registrationMode, allowNewAccounts } = getAdminSettings();
+  return { instanceName, defaultTheme, aiEnabled, maxUploadMB, registrationMode, allowNewAccounts };
+}
+
 // Get admin settings
 app.get("/api/admin/settings", auth, adminOnly, (_req, res) => {
-  res.json(adminSettings);
+  res.json(getAdminSettings());
 });
 
-// Update admin settings
+// Update admin settings: any subset of the ADMIN_SETTINGS keys.
+// { allowNewAccounts: bool } still works and switches registration open/closed.
 app.patch("/api/admin/settings", auth, adminOnly, (req, res) => {
-  const { allowNewAccounts } = req.body || {};
-
-  if (typeof allowNewAccounts === 'boolean') {
-    adminSettings.allowNewAccounts = allowNewAccounts;
+  const body = req.body || {};
+  const current = getAdminSettings();
+  const changes = {};
+  if (typeof body.allowNewAccounts === "boolean" && body.registrationMode === undefined) {
+    changes.registrationMode = body.allowNewAccounts
+      ? (current.registrationMode === "closed" ? "open" : current.registrationMode)
+      : "closed";
+  }
+  for (const [key, def] of Object.entries(ADMIN_SETTINGS)) {
+    if (body[key] === undefined) continue;
+    const value = def.parse(body[key]);
+    if (value === undefined) return res.status(400).json({ error: def.error });
+    changes[key] = value;
+  }
+  const next = { ...current, ...changes };
+  if (next.registrationMode === "domain" && !next.registrationDomains.length) {
+    return res.status(400).json({ error: "Add at least one domain to limit registration by domain." });
   }
 
-  res.json(adminSettings);
+  const now = nowISO();
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(changes)) {
+      upsertAppSetting.run(key, JSON.stringify(value), now, req.user.id);
+    }
+  })();
+  res.json(getAdminSettings());
 });
 
 // Check if new account creation is allowed (public endpoint)
 app.get("/api/admin/allow-registration", (_req, res) => {
-  res.json({ allowNewAccounts: adminSettings.allowNewAccounts });
+  const { allowNewAccounts, registrationMode } = getAdminSettings();
+  res.json({ allowNewAccounts, registrationMode });
+});
+
+// Instance name, theme and feature switches for the client (public endpoint)
+app.get("/api/instance", (_req, res) => {
+  res.json(publicInstanceSettings());
 });
 
 // Include a rough storage usage estimate (bytes) for each user
@@ -1027,7 +4188,7 @@ const listAllUsers = db.prepare(`
       COALESCE(LENGTH(n.items_json),0) +
       COALESCE(LENGTH(n.tags_json),0) +
       COALESCE(LENGTH(n.images_json),0)
-    ), 0) AS storage_bytes
+    ), 0) + COALESCE((SELECT SUM(a.size) FROM attachments a WHERE a.user_id = u.id), 0) AS storage_bytes
   FROM users u
   LEFT JOIN notes n ON n.user_id = u.id
   GROUP BY u.id
@@ -1084,7 +4245,11 @@ app.delete("/api/admin/users/:id", auth, adminOnly, (req, res) => {
     return res.status(400).json({ error: "Cannot delete the last admin." });
   }
 
+  // Attachment rows go with the user (ON DELETE CASCADE); clean up their blobs after
+  const hashes = db.prepare("SELECT sha256 FROM attachments WHERE user_id = ?").all(id).map((r) => r.sha256);
   deleteUserStmt.run(id);
+  removeFromSearchIndex();
+  deleteBlobsIfUnused(hashes);
   res.json({ ok: true });
 });
 
@@ -1196,9 +4361,16 @@ app.patch("/api/admin/users/:id", auth, adminOnly, (req, res) => {
 
 
 // ---------- AI Assistant (Server side) ----------
+// Admins can switch the assistant off for the whole instance
+function aiEnabledOnly(_req, res, next) {
+  if (!adminSetting("aiEnabled")) return res.status(403).json({ error: "The AI assistant is disabled on this server." });
+  next();
+}
+
 // Check AI status
 app.get("/api/ai/status", auth, (req, res) => {
   res.json({
+    enabled: adminSetting("aiEnabled"),
     initialized: !!aiGenerator,
     modelSize: "~700MB",
     modelName: "Llama-3.2-1B-Instruct-ONNX"
@@ -1206,7 +4378,7 @@ app.get("/api/ai/status", auth, (req, res) => {
 });
 
 // Initialize AI (on-demand)
-app.post("/api/ai/initialize", auth, async (req, res) => {
+app.post("/api/ai/initialize", auth, aiEnabledOnly, async (req, res) => {
   try {
     if (aiGenerator) {
       return res.json({ ok: true, message: "AI already initialized" });
@@ -1225,7 +4397,7 @@ app.post("/api/ai/initialize", auth, async (req, res) => {
   }
 });
 
-app.post("/api/ai/ask", auth, async (req, res) => {
+app.post("/api/ai/ask", auth, aiEnabledOnly, async (req, res) => {
   const { question, notes } = req.body || {};
   if (!question) return res.status(400).json({ error: "Missing question" });
 
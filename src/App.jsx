@@ -2,11 +2,18 @@ import React, { useEffect, useMemo, useRef, useState, useLayoutEffect, useCallba
 import { createPortal } from "react-dom";
 import { askAI } from "./ai";
 import { marked as markedParser } from "marked";
+import DOMPurify from "dompurify";
 import DrawingCanvas from "./DrawingCanvas";
+import {
+  parseEnex, parseJoplin, parseKeepNote, parseMarkdownNote, parseSimplenote, parseStandardNotes, readTar,
+} from "./importers";
+import * as Y from "yjs";
 
 // Ensure we can call marked.parse(...)
 const marked =
   typeof markedParser === "function" ? { parse: markedParser } : markedParser;
+// Note bodies may contain raw HTML, so whatever reaches innerHTML is sanitized first
+const renderMarkdown = (md) => DOMPurify.sanitize(marked.parse(md || ""));
 
 /** ---------- API Helpers ---------- */
 const API_BASE = "/api";
@@ -69,6 +76,7 @@ async function api(path, { method = "GET", body, token } = {}) {
     if (!res.ok) {
       const err = new Error(data?.error || `HTTP ${res.status}`);
       err.status = res.status;
+      err.data = data;
       throw err;
     }
     return data;
@@ -99,6 +107,29 @@ async function api(path, { method = "GET", body, token } = {}) {
   }
 }
 
+// Multipart upload to the attachment store -> { id, url, name, mime, size }
+async function uploadAttachment(file, { token, name } = {}) {
+  const form = new FormData();
+  form.append("file", file, name || file.name || "file");
+  const res = await fetch(`${API_BASE}/attachments`, {
+    method: "POST",
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: form,
+  });
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (e) {
+    data = null;
+  }
+  if (!res.ok) {
+    const err = new Error(data?.error || `HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
 /** ---------- Colors ---------- */
 /* Added 6 pastel boho colors + two-line picker layout via grid-cols-6 */
 const LIGHT_COLORS = {
@@ -150,6 +181,55 @@ const bgFor = (colorKey, dark) =>
   (dark ? DARK_COLORS : LIGHT_COLORS)[colorKey] ||
   (dark ? DARK_COLORS.default : LIGHT_COLORS.default);
 
+// Tag chips take their color key from tag metadata (same palette as notes)
+const tagChipStyle = (meta, dark) =>
+  meta?.color && meta.color !== "default" ? { backgroundColor: bgFor(meta.color, dark) } : undefined;
+const tagDisplayName = (tag, meta) => (meta?.icon ? `${meta.icon} ${tag}` : tag);
+
+// Nested tags: "/" separates levels ("work/clients/acme")
+const normalizeTagPath = (t) => String(t ?? "").split("/").map((s) => s.trim()).filter(Boolean).join("/");
+// A parent tag filter also matches every tag nested under it
+const tagMatchesFilter = (tag, filter) => {
+  const key = normalizeTagPath(tag).toLowerCase();
+  const parent = normalizeTagPath(filter).toLowerCase();
+  return key === parent || key.startsWith(parent + "/");
+};
+
+/**
+ * Sidebar tree from the tags on `notes`. Each node counts the notes carrying
+ * it or anything below it (a note is counted once per node).
+ */
+function buildTagTree(notes, tagMeta) {
+  const root = new Map();
+  for (const n of notes) {
+    const counted = new Set();
+    for (const t of n.tags || []) {
+      let level = root;
+      let path = "";
+      for (const part of normalizeTagPath(t).split("/").filter(Boolean)) {
+        path = path ? `${path}/${part}` : part;
+        const key = part.toLowerCase();
+        if (!level.has(key)) level.set(key, { tag: path, name: part, count: 0, children: new Map() });
+        const node = level.get(key);
+        if (!counted.has(path.toLowerCase())) {
+          counted.add(path.toLowerCase());
+          node.count++;
+        }
+        level = node.children;
+      }
+    }
+  }
+  // Manually ordered tags first, then alphabetical
+  const finish = (level) =>
+    Array.from(level.values())
+      .map((node) => ({ ...node, meta: tagMeta[node.tag.toLowerCase()], children: finish(node.children) }))
+      .sort((a, b) =>
+        (a.meta?.position ?? Infinity) - (b.meta?.position ?? Infinity) ||
+        a.name.toLowerCase().localeCompare(b.name.toLowerCase())
+      );
+  return finish(root);
+}
+
 /** ---------- Modal light boost ---------- */
 const parseRGBA = (str) => {
   const m = /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([0-9.]+))?\)/.exec(str || "");
@@ -172,6 +252,14 @@ const modalBgFor = (colorKey, dark) => {
 /** ---------- Special tag filters ---------- */
 const ALL_IMAGES = "__ALL_IMAGES__";
 
+/** ---------- Collaborator roles ---------- */
+const COLLABORATOR_ROLES = [
+  { value: "viewer", label: "Can view" },
+  { value: "editor", label: "Can edit" },
+  { value: "reshare", label: "Can edit & share" },
+];
+const roleLabel = (role) => COLLABORATOR_ROLES.find((r) => r.value === role)?.label || "Can edit";
+
 /** ---------- Icons ---------- */
 const PinOutline = () => (
   <svg className="w-5 h-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"
@@ -250,6 +338,12 @@ const ArrowRight = () => (
     <path strokeLinecap="round" strokeLinejoin="round" d="M9 5l7 7-7 7" />
   </svg>
 );
+const LinkIcon = () => (
+  <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M10 14a4 4 0 005.66 0l3-3a4 4 0 00-5.66-5.66l-1 1" />
+    <path strokeLinecap="round" strokeLinejoin="round" d="M14 10a4 4 0 00-5.66 0l-3 3a4 4 0 005.66 5.66l1-1" />
+  </svg>
+);
 const Kebab = () => (
   <svg className="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
     <circle cx="12" cy="5" r="1.5" />
@@ -345,6 +439,33 @@ const ArchiveIcon = () => (
   </svg>
 );
 
+// Restore icon (counter-clockwise arrow)
+const RestoreIcon = () => (
+  <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M3 12a9 9 0 1 0 3-6.7L3 8M3 3v5h5" />
+  </svg>
+);
+
+// Bell icon (reminders)
+const BellIcon = ({ className = "w-4 h-4" }) => (
+  <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M15 17h5l-1.4-1.4A2 2 0 0118 14.2V11a6 6 0 00-4-5.66V5a2 2 0 10-4 0v.34A6 6 0 006 11v3.2a2 2 0 01-.6 1.4L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+  </svg>
+);
+
+// History icon (clock)
+const HistoryIcon = () => (
+  <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 2m6-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+  </svg>
+);
+
+const TemplateIcon = () => (
+  <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M8 7h8M8 11h8M8 15h5M6 3h12a1 1 0 011 1v16a1 1 0 01-1 1H6a1 1 0 01-1-1V4a1 1 0 011-1z" />
+  </svg>
+);
+
 // Pin icon (using the same icon as individual notes)
 const PinIcon = () => (
   <svg className="w-4 h-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"
@@ -353,11 +474,53 @@ const PinIcon = () => (
   </svg>
 );
 
+/** ---------- Wiki links ---------- */
+// "[[Note Title]]" or "[[Note Title|label]]" links to another note by title
+const WIKI_LINK_RE = /\[\[([^[\]|\n]+)(\|[^[\]\n]*)?\]\]/g;
+const WIKI_LINK_SUGGESTIONS = 8;
+const wikiLinkKey = (title) => String(title ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+// Code (fenced or inline) is left alone: fn only sees the prose between
+const mapOutsideCode = (md, fn) =>
+  String(md || "")
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 ? part : fn(part)))
+    .join("");
+// Markdown -> HTML with wiki links as in-app anchors (see onModalBodyClick)
+const renderNoteMarkdown = (md) =>
+  renderMarkdown(mapOutsideCode(md, (text) =>
+    text.replace(WIKI_LINK_RE, (_, target, label) =>
+      `<a href="#" class="wiki-link" data-wiki-link="${escapeHtml(target.trim())}">${escapeHtml((label ? label.slice(1) : target).trim())}</a>`
+    )
+  ));
+// The "[[partial" being typed just before the caret, if any
+const wikiLinkQueryAt = (text, caret) => {
+  const m = /\[\[([^[\]|\n]*)$/.exec(text.slice(0, caret));
+  return m ? { start: caret - m[1].length, query: m[1] } : null;
+};
+
+/** ---------- Templates ---------- */
+// Placeholders expanded when a note is created from a template
+const TEMPLATE_PLACEHOLDERS = {
+  date: ({ now }) =>
+    `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`,
+  time: ({ now }) => now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+  weekday: ({ now }) => now.toLocaleDateString(undefined, { weekday: "long" }),
+  user: ({ user }) => user,
+};
+// Unknown {{names}} are left as typed
+const expandTemplateText = (text, ctx) =>
+  String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, name) => {
+    const fill = TEMPLATE_PLACEHOLDERS[name.toLowerCase()];
+    return fill ? fill(ctx) : whole;
+  });
+
 /** ---------- Utils ---------- */
 const uid = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 const mdToPlain = (md) => {
   try {
-    const html = marked.parse(md || "");
+    const html = renderNoteMarkdown(md);
     const tmp = document.createElement("div");
     tmp.innerHTML = html;
     const text = tmp.textContent || tmp.innerText || "";
@@ -447,6 +610,8 @@ const imageExtFromDataURL = (dataUrl) => {
 };
 const normalizeImageFilename = (name, dataUrl, index = 1) => {
   const base = sanitizeFilename(name && name.trim() ? name : `image-${index}`);
+  // Attachment URLs carry no MIME type, so trust the stored file name
+  if (!String(dataUrl || "").startsWith("data:") && /\.(jpe?g|png|webp|gif)$/i.test(base)) return base;
   const withoutExt = base.replace(/\.[^.]+$/, "");
   const ext = imageExtFromDataURL(dataUrl);
   return `${withoutExt}.${ext}`;
@@ -477,6 +642,178 @@ function formatEditedStamp(iso) {
   return `${month} ${day}, '${yy}`;
 }
 
+/** ---------- Reminders ---------- */
+// "Today, 9:00 AM" / "Tomorrow, 9:00 AM" / "Oct 20, 9:00 AM"
+function formatReminder(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return "";
+  const now = new Date();
+  const startOfDay = (x) => new Date(x.getFullYear(), x.getMonth(), x.getDate()).getTime();
+  const dayDiff = Math.round((startOfDay(d) - startOfDay(now)) / 86400000);
+  const timeStr = d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+  if (dayDiff === 0) return `Today, ${timeStr}`;
+  if (dayDiff === 1) return `Tomorrow, ${timeStr}`;
+  if (dayDiff === -1) return `Yesterday, ${timeStr}`;
+  const dateStr = d.toLocaleDateString([], {
+    month: "short",
+    day: "numeric",
+    ...(d.getFullYear() !== now.getFullYear() ? { year: "numeric" } : {}),
+  });
+  return `${dateStr}, ${timeStr}`;
+}
+
+const isReminderDue = (n) =>
+  !!n?.reminderAt && (!!n.reminderFiredAt || new Date(n.reminderAt).getTime() <= Date.now());
+
+// Quick picks for the reminder picker
+function reminderPresets(now = new Date()) {
+  const at = (days, hour) => {
+    const d = new Date(now);
+    d.setDate(d.getDate() + days);
+    d.setHours(hour, 0, 0, 0);
+    return d;
+  };
+  const presets = [];
+  if (now.getHours() < 17) presets.push({ label: "Later today", at: at(0, 18) });
+  presets.push({ label: "Tomorrow", at: at(1, 9) });
+  presets.push({ label: "Next week", at: at(((8 - now.getDay()) % 7) || 7, 9) });
+  return presets;
+}
+
+// Date -> value for <input type="datetime-local"> (local time)
+const toDateTimeLocalValue = (d) => {
+  const pad = (x) => String(x).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Repeat choices offered by the picker; weekly/monthly/yearly follow the reminder's date
+const REPEAT_OPTIONS = [
+  { key: "none", label: "Doesn't repeat" },
+  { key: "DAILY", label: "Daily", unit: "days" },
+  { key: "WEEKDAYS", label: "Every weekday (Mon–Fri)" },
+  { key: "WEEKLY", label: "Weekly", unit: "weeks" },
+  { key: "MONTHLY", label: "Monthly", unit: "months" },
+  { key: "YEARLY", label: "Yearly", unit: "years" },
+  { key: "custom", label: "Custom (RRULE)…" },
+];
+const WEEKDAYS_RULE = "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR";
+const RRULE_DAY_NAMES = { MO: "Mon", TU: "Tue", WE: "Wed", TH: "Thu", FR: "Fri", SA: "Sat", SU: "Sun" };
+
+const parseRuleText = (rule) =>
+  Object.fromEntries(String(rule || "").split(";").filter(Boolean).map((p) => p.split("=")));
+
+// Picker state for an existing repeat rule
+function repeatToPickerState(repeat) {
+  if (!repeat?.rule) return { key: "none", interval: 1, custom: "" };
+  const r = parseRuleText(repeat.rule);
+  const interval = Number(r.INTERVAL || 1);
+  const known = Object.keys(r).every((k) => k === "FREQ" || k === "INTERVAL");
+  if (repeat.rule === WEEKDAYS_RULE) return { key: "WEEKDAYS", interval: 1, custom: "" };
+  if (known && REPEAT_OPTIONS.some((o) => o.key === r.FREQ)) return { key: r.FREQ, interval, custom: "" };
+  return { key: "custom", interval: 1, custom: repeat.rule };
+}
+
+function pickerStateToRule({ key, interval, custom }) {
+  if (key === "none") return null;
+  if (key === "WEEKDAYS") return WEEKDAYS_RULE;
+  if (key === "custom") return custom.trim() || null;
+  const n = Math.max(1, Math.floor(Number(interval) || 1));
+  return n > 1 ? `FREQ=${key};INTERVAL=${n}` : `FREQ=${key}`;
+}
+
+// "Daily", "Every 2 weeks", "Weekly on Mon, Thu", "Monthly on the last Fri"…
+function describeRepeat(repeat) {
+  if (!repeat?.rule) return "";
+  if (repeat.rule === WEEKDAYS_RULE) return "Every weekday";
+  const r = parseRuleText(repeat.rule);
+  const n = Number(r.INTERVAL || 1);
+  const units = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+  const names = { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly", YEARLY: "Yearly" };
+  if (!units[r.FREQ]) return "Repeats";
+  let text = n > 1 ? `Every ${n} ${units[r.FREQ]}s` : names[r.FREQ];
+  if (r.BYDAY) {
+    const ordinals = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", 5: "5th", "-1": "last" };
+    const days = r.BYDAY.split(",").map((d) => {
+      const m = /^([+-]?\d+)?([A-Z]{2})$/.exec(d);
+      if (!m) return d;
+      const day = RRULE_DAY_NAMES[m[2]] || m[2];
+      return m[1] ? `the ${ordinals[Number(m[1])] || m[1]} ${day}` : day;
+    });
+    text += ` on ${days.join(", ")}`;
+  } else if (r.BYMONTHDAY) {
+    text += ` on day ${r.BYMONTHDAY.replace("-1", "last")}`;
+  }
+  if (repeat.fromCompletion) text += " after done";
+  return text;
+}
+
+const requestNotificationPermission = () => {
+  try {
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+  } catch (e) { }
+};
+
+/** ---------- Line diff (revision history) ---------- */
+// Plain-text view of a note used for diffing revisions
+const noteToDiffText = (n) => {
+  if (!n) return "";
+  if (n.type === "checklist") {
+    return (n.items || []).map((it) => `[${it.done ? "x" : " "}] ${it.text || ""}`).join("\n");
+  }
+  if (n.type === "draw") return "(drawing)";
+  return String(n.content || "");
+};
+// Title, tags, images, color and pin match (everything but the body)
+const sameNoteMeta = (a, b) =>
+  (a.title || "") === (b.title || "")
+  && JSON.stringify(a.tags || []) === JSON.stringify(b.tags || [])
+  && JSON.stringify(a.images || []) === JSON.stringify(b.images || [])
+  && (a.color || "default") === (b.color || "default")
+  && !!a.pinned === !!b.pinned;
+
+// LCS line diff -> side-by-side rows: { left, right, kind: "same" | "changed" | "removed" | "added" }
+function diffLinesSideBySide(oldText, newText) {
+  const a = String(oldText || "").split("\n");
+  const b = String(newText || "").split("\n");
+  const n = a.length, m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let dels = [], adds = [];
+  const flush = () => {
+    const len = Math.max(dels.length, adds.length);
+    for (let k = 0; k < len; k++) {
+      const left = k < dels.length ? dels[k] : null;
+      const right = k < adds.length ? adds[k] : null;
+      rows.push({ left, right, kind: left != null && right != null ? "changed" : left != null ? "removed" : "added" });
+    }
+    dels = []; adds = [];
+  };
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      flush();
+      rows.push({ left: a[i], right: b[j], kind: "same" });
+      i++; j++;
+    } else if (j < m && (i >= n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      adds.push(b[j++]);
+    } else {
+      dels.push(a[i++]);
+    }
+  }
+  flush();
+  return rows;
+}
+
 /** ---------- Global CSS injection ---------- */
 const globalCSS = `
 :root {
@@ -549,6 +886,10 @@ body {
   color: #2563eb;
   text-decoration: underline;
 }
+/* [[Wiki links]] to other notes */
+.note-content a.wiki-link {
+  text-decoration-style: dotted;
+}
 
 /* Inline code and fenced code styling */
 .note-content code {
@@ -680,6 +1021,45 @@ async function fileToCompressedDataURL(file, maxDim = 1600, quality = 0.85) {
   return canvas.toDataURL("image/jpeg", quality);
 }
 
+// Compress and upload an image for a note; stays inline if the upload fails
+// (the server moves inline images into the attachment store on save)
+async function fileToNoteImage(file, token) {
+  const dataUrl = await fileToCompressedDataURL(file);
+  try {
+    const blob = await (await fetch(dataUrl)).blob();
+    const att = await uploadAttachment(blob, { token, name: file.name });
+    return { id: uid(), src: att.url, name: file.name };
+  } catch (e) {
+    console.warn("Image upload failed, keeping it inline", e);
+    return { id: uid(), src: dataUrl, name: file.name };
+  }
+}
+
+// Image MIME type from a file name, or null when it isn't an image
+const IMAGE_MIME_BY_EXT = {
+  png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp",
+  svg: "image/svg+xml", bmp: "image/bmp", avif: "image/avif", heic: "image/heic",
+};
+const imageMimeFromName = (name) => IMAGE_MIME_BY_EXT[String(name).split(".").pop().toLowerCase()] || null;
+
+// Upload an image pulled out of another app's export; stays inline if the upload fails
+async function importedImageToNoteImage({ name, mime, bytes }, token) {
+  const blob = new Blob([bytes], { type: mime });
+  try {
+    const att = await uploadAttachment(blob, { token, name });
+    return { id: uid(), src: att.url, name };
+  } catch (e) {
+    console.warn("Image upload failed, keeping it inline", e);
+    const src = await new Promise((res, rej) => {
+      const fr = new FileReader();
+      fr.onload = () => res(fr.result);
+      fr.onerror = rej;
+      fr.readAsDataURL(blob);
+    });
+    return { id: uid(), src, name };
+  }
+}
+
 /** ---------- Shared UI pieces ---------- */
 function ChecklistRow({
   item,
@@ -1141,6 +1521,189 @@ function DrawingPreview({ data, width, height, darkMode = false }) {
   );
 }
 
+/** ---------- Search snippet ---------- */
+// Server snippets wrap matched terms in \u0002 ... \u0003
+const SNIPPET_MARK_START = "\u0002";
+const SNIPPET_MARK_END = "\u0003";
+const snippetPlainText = (text) => String(text || "").split(SNIPPET_MARK_START).join("").split(SNIPPET_MARK_END).join("");
+
+function SearchSnippet({ text }) {
+  // "before\u0002match\u0003after" -> ["before", "match\u0003after"]
+  const parts = String(text || "").split(SNIPPET_MARK_START);
+  return (
+    <div className="text-xs mb-2 text-gray-600 dark:text-gray-300 break-words">
+      {parts.map((part, i) => {
+        const end = i === 0 ? -1 : part.indexOf(SNIPPET_MARK_END);
+        if (end < 0) return <React.Fragment key={i}>{part}</React.Fragment>;
+        return (
+          <React.Fragment key={i}>
+            <mark className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded px-0.5">{part.slice(0, end)}</mark>
+            {part.slice(end + 1)}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+}
+
+/** ---------- Reminder picker ---------- */
+function ReminderPicker({ reminderAt, repeat, isChecklist, due, onSet, onClear, onSnooze, onDone }) {
+  const [custom, setCustom] = useState(() =>
+    toDateTimeLocalValue(reminderAt ? new Date(reminderAt) : reminderPresets()[0].at)
+  );
+  const [repeatState, setRepeatState] = useState(() => repeatToPickerState(repeat));
+  const [fromCompletion, setFromCompletion] = useState(!!repeat?.fromCompletion);
+  const [resetChecked, setResetChecked] = useState(!!repeat?.resetChecked);
+  const btn = "px-2 py-1 rounded-md hover:bg-black/5 dark:hover:bg-white/10";
+  const field = "bg-transparent border border-[var(--border-light)] rounded-md px-2 py-1 text-xs";
+  const repeatOption = REPEAT_OPTIONS.find((o) => o.key === repeatState.key);
+  const rule = pickerStateToRule(repeatState);
+
+  const set = (at) => onSet(at, rule ? {
+    rule,
+    tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    fromCompletion,
+    resetChecked: isChecklist && resetChecked,
+  } : null);
+
+  return (
+    <div className="w-64 space-y-2 text-sm">
+      <div className="font-semibold">Reminder</div>
+      {reminderAt && (
+        <div className={`text-xs ${due ? "text-amber-600 dark:text-amber-400 font-medium" : "text-gray-500 dark:text-gray-400"}`}>
+          {due ? "Due" : "Set for"} {formatReminder(reminderAt)}
+          {repeat && <> · ↻ {describeRepeat(repeat)}</>}
+        </div>
+      )}
+      {due && (
+        <div className="flex flex-wrap gap-1">
+          <button className={`${btn} border border-[var(--border-light)]`} onClick={() => onSnooze(10)}>Snooze 10 min</button>
+          <button className={`${btn} border border-[var(--border-light)]`} onClick={() => onSnooze(60)}>Snooze 1 hour</button>
+          <button className="px-2 py-1 rounded-md bg-indigo-600 text-white hover:bg-indigo-700" onClick={onDone}>Done</button>
+        </div>
+      )}
+      <div className="flex flex-col">
+        {reminderPresets().map((p) => (
+          <button key={p.label} className={`${btn} flex justify-between text-left`} onClick={() => set(p.at.toISOString())}>
+            <span>{p.label}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{formatReminder(p.at)}</span>
+          </button>
+        ))}
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="datetime-local"
+          value={custom}
+          onChange={(e) => setCustom(e.target.value)}
+          className={`flex-1 min-w-0 ${field}`}
+        />
+        <button
+          className="px-2 py-1 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          disabled={!custom || (repeatState.key === "custom" && !rule)}
+          onClick={() => set(new Date(custom).toISOString())}
+        >
+          Set
+        </button>
+      </div>
+      <div className="space-y-1.5 pt-1 border-t border-[var(--border-light)]">
+        <div className="flex items-center gap-2 pt-1.5">
+          <select
+            value={repeatState.key}
+            onChange={(e) => setRepeatState((s) => ({ ...s, key: e.target.value }))}
+            className={`flex-1 min-w-0 ${field}`}
+            aria-label="Repeat"
+          >
+            {REPEAT_OPTIONS.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+          {repeatOption?.unit && (
+            <label className="flex items-center gap-1 text-xs whitespace-nowrap">
+              every
+              <input
+                type="number"
+                min={1}
+                value={repeatState.interval}
+                onChange={(e) => setRepeatState((s) => ({ ...s, interval: e.target.value }))}
+                className={`w-12 ${field}`}
+              />
+              {repeatOption.unit}
+            </label>
+          )}
+        </div>
+        {repeatState.key === "custom" && (
+          <input
+            type="text"
+            value={repeatState.custom}
+            onChange={(e) => setRepeatState((s) => ({ ...s, custom: e.target.value }))}
+            placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+            className={`w-full font-mono ${field}`}
+          />
+        )}
+        {rule && (
+          <>
+            <label className="flex items-center gap-2 text-xs">
+              <input type="checkbox" checked={fromCompletion} onChange={(e) => setFromCompletion(e.target.checked)} />
+              Count from when it's marked done
+            </label>
+            {isChecklist && (
+              <label className="flex items-center gap-2 text-xs">
+                <input type="checkbox" checked={resetChecked} onChange={(e) => setResetChecked(e.target.checked)} />
+                Uncheck all items when it fires
+              </label>
+            )}
+          </>
+        )}
+      </div>
+      {reminderAt && (
+        <button className={`${btn} w-full text-left text-red-600 dark:text-red-400`} onClick={onClear}>
+          Remove reminder
+        </button>
+      )}
+    </div>
+  );
+}
+
+/** ---------- Presence ---------- */
+// Open notes are re-announced this often; the server forgets them after a minute
+const PRESENCE_HEARTBEAT_MS = 20 * 1000;
+
+const presenceInitials = (name) =>
+  String(name || "").trim().split(/\s+/).slice(0, 2).map((w) => w[0] || "").join("").toUpperCase() || "?";
+
+// Initials of the other people who have a note open; a pencil badge marks editors
+function PresenceAvatars({ users, max = 3, size = "md" }) {
+  if (!users?.length) return null;
+  const dim = size === "sm" ? "w-6 h-6 text-[10px]" : "w-8 h-8 text-xs";
+  const shown = users.slice(0, max);
+  const hidden = users.slice(max);
+  return (
+    <div className="flex items-center -space-x-2" aria-label="People with this note open">
+      {shown.map((u) => (
+        <span
+          key={u.id}
+          className={`relative inline-flex items-center justify-center rounded-full font-semibold text-white ring-2 ring-white dark:ring-gray-800 ${dim}`}
+          style={{ backgroundColor: `hsl(${(Number(u.id) * 67) % 360} 55% 45%)` }}
+          title={`${u.name} — ${u.mode === "edit" ? "editing" : "viewing"}`}
+        >
+          {presenceInitials(u.name)}
+          {u.mode === "edit" && (
+            <span className="absolute -bottom-1 -right-1 w-3.5 h-3.5 rounded-full bg-emerald-500 text-white text-[8px] leading-none flex items-center justify-center ring-1 ring-white dark:ring-gray-800">
+              ✎
+            </span>
+          )}
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <span
+          className={`relative inline-flex items-center justify-center rounded-full font-semibold bg-gray-300 text-gray-800 dark:bg-gray-600 dark:text-gray-100 ring-2 ring-white dark:ring-gray-800 ${dim}`}
+          title={hidden.map((u) => `${u.name} — ${u.mode === "edit" ? "editing" : "viewing"}`).join("\n")}
+        >
+          +{hidden.length}
+        </span>
+      )}
+    </div>
+  );
+}
+
 /** ---------- Note Card ---------- */
 function NoteCard({
   n, dark,
@@ -1156,10 +1719,18 @@ function NoteCard({
   // checklist update callback
   onUpdateChecklistItem,
   currentUser,
+  // reminder actions (omitted where reminders can't be changed)
+  onSnoozeReminder,
+  onCompleteReminder,
+  // other people with this note open
+  presence,
+  // tag display metadata by lowercased name
+  tagMeta = {},
 }) {
 
   const isChecklist = n.type === "checklist";
   const isDraw = n.type === "draw";
+  const viewOnly = n.accessRole === "viewer";
   const previewText = useMemo(() => mdToPlain(n.content || ""), [n.content]);
   const MAX_CHARS = 600;
   const isLong = previewText.length > MAX_CHARS;
@@ -1233,10 +1804,11 @@ function NoteCard({
       {/* Collaboration icon - bottom right - show if note has collaborators (empty array means has collaborators) or if user is viewing a note they don't own */}
       {/* Show icon if note has collaborators (empty array) or if user is viewing someone else's note */}
       {((n.collaborators !== undefined && n.collaborators !== null) || (n.user_id && currentUser && n.user_id !== currentUser.id)) && (
-        <div className="absolute bottom-3 right-3 z-10">
+        <div className="absolute bottom-3 right-3 z-10 flex items-center gap-2">
+          <PresenceAvatars users={presence} size="sm" />
           <div
             className="relative"
-            title="Collaborated note"
+            title={viewOnly ? "Shared with you (view only)" : "Collaborated note"}
           >
             <svg className="w-5 h-5 text-black dark:text-white" fill="currentColor" viewBox="0 0 20 20">
               <path d="M13 6a3 3 0 11-6 0 3 3 0 016 0zM18 8a2 2 0 11-4 0 2 2 0 014 0zM14 15a4 4 0 00-8 0v3h8v-3z" />
@@ -1247,7 +1819,7 @@ function NoteCard({
           </div>
         </div>
       )}
-      {!multiMode && !disablePin && (
+      {!multiMode && !disablePin && !viewOnly && (
         <div className="absolute top-3 right-3 h-8 opacity-0 group-hover:opacity-100 transition-opacity">
           <div
             className="absolute inset-0 rounded-full"
@@ -1267,6 +1839,10 @@ function NoteCard({
 
       {n.title && <h3 className="font-bold text-lg mb-2 break-words">{n.title}</h3>}
 
+      {n.searchSnippet && snippetPlainText(n.searchSnippet) !== n.title && (
+        <SearchSnippet text={n.searchSnippet} />
+      )}
+
       {mainImg && (
         <div className="mb-3 relative overflow-hidden rounded-lg border border-[var(--border-light)]">
           <img src={mainImg.src} alt={mainImg.name || "note image"} className="w-full h-40 object-cover" />
@@ -1292,6 +1868,7 @@ function NoteCard({
               item={it}
               size="md"
               readOnly={true}
+              disableToggle={viewOnly}
               showRemove={false}
               onToggle={async (checked, e) => {
                 e?.stopPropagation(); // Prevent opening the note modal
@@ -1306,14 +1883,48 @@ function NoteCard({
         </div>
       )}
 
+      {n.reminderAt && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+          <span
+            className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full ${isReminderDue(n)
+              ? "bg-amber-200 text-amber-900 dark:bg-amber-500/30 dark:text-amber-100 font-medium"
+              : "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200"}`}
+            title={n.reminderRepeat ? `Reminder · ${describeRepeat(n.reminderRepeat)}` : "Reminder"}
+          >
+            <BellIcon className="w-3.5 h-3.5" />
+            {formatReminder(n.reminderAt)}
+            {n.reminderRepeat && <span aria-label="Repeats">↻</span>}
+          </span>
+          {isReminderDue(n) && !multiMode && isOnline && onSnoozeReminder && !viewOnly && (
+            <>
+              <button
+                className="px-2 py-0.5 rounded-full border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
+                onClick={(e) => { e.stopPropagation(); onSnoozeReminder(n.id, 60); }}
+                title="Snooze for 1 hour"
+              >
+                Snooze
+              </button>
+              <button
+                className="px-2 py-0.5 rounded-full border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
+                onClick={(e) => { e.stopPropagation(); onCompleteReminder(n.id); }}
+                title="Mark reminder done"
+              >
+                Done
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {!!displayTags.length && (
         <div className="mt-4 text-xs flex flex-wrap gap-2">
           {displayTags.map((tag) => (
             <span
               key={tag}
               className="bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 text-xs font-medium px-2.5 py-0.5 rounded-full"
+              style={tagChipStyle(tagMeta[tag.toLowerCase()], dark)}
             >
-              {tag}
+              {tagDisplayName(tag, tagMeta[tag.toLowerCase()])}
             </span>
           ))}
           {showEllipsisChip && (
@@ -1328,12 +1939,12 @@ function NoteCard({
 }
 
 /** ---------- Auth Shell ---------- */
-function AuthShell({ title, dark, onToggleDark, children }) {
+function AuthShell({ title, dark, onToggleDark, instanceName = "Glass Keep", children }) {
   return (
     <div className="min-h-screen flex items-center justify-center px-4">
       <div className="w-full max-w-md">
         <div className="text-center mb-6">
-          <h1 className="text-3xl font-bold">Glass Keep</h1>
+          <h1 className="text-3xl font-bold">{instanceName}</h1>
           <p className="text-gray-500 dark:text-gray-400">{title}</p>
         </div>
         <div className="glass-card rounded-xl p-6 shadow-lg">{children}</div>
@@ -1352,7 +1963,7 @@ function AuthShell({ title, dark, onToggleDark, children }) {
 }
 
 /** ---------- Login / Register / Secret Login ---------- */
-function LoginView({ dark, onToggleDark, onLogin, goRegister, goSecret, allowRegistration }) {
+function LoginView({ dark, onToggleDark, instanceName, onLogin, goRegister, goSecret, allowRegistration }) {
   const [email, setEmail] = useState("");
   const [pw, setPw] = useState("");
   const [err, setErr] = useState("");
@@ -1368,7 +1979,7 @@ function LoginView({ dark, onToggleDark, onLogin, goRegister, goSecret, allowReg
   };
 
   return (
-    <AuthShell title="Sign in to your account" dark={dark} onToggleDark={onToggleDark}>
+    <AuthShell title="Sign in to your account" dark={dark} onToggleDark={onToggleDark} instanceName={instanceName}>
       <form onSubmit={handleSubmit} className="space-y-4">
         <input
           type="text"
@@ -1407,7 +2018,7 @@ function LoginView({ dark, onToggleDark, onLogin, goRegister, goSecret, allowReg
   );
 }
 
-function RegisterView({ dark, onToggleDark, onRegister, goLogin }) {
+function RegisterView({ dark, onToggleDark, instanceName, onRegister, goLogin }) {
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [pw, setPw] = useState("");
@@ -1427,7 +2038,7 @@ function RegisterView({ dark, onToggleDark, onRegister, goLogin }) {
   };
 
   return (
-    <AuthShell title="Create a new account" dark={dark} onToggleDark={onToggleDark}>
+    <AuthShell title="Create a new account" dark={dark} onToggleDark={onToggleDark} instanceName={instanceName}>
       <form onSubmit={handleSubmit} className="space-y-4">
         <input
           type="text"
@@ -1476,7 +2087,7 @@ function RegisterView({ dark, onToggleDark, onRegister, goLogin }) {
   );
 }
 
-function SecretLoginView({ dark, onToggleDark, onLoginWithKey, goLogin }) {
+function SecretLoginView({ dark, onToggleDark, instanceName, onLoginWithKey, goLogin }) {
   const [key, setKey] = useState("");
   const [err, setErr] = useState("");
 
@@ -1491,7 +2102,7 @@ function SecretLoginView({ dark, onToggleDark, onLoginWithKey, goLogin }) {
   };
 
   return (
-    <AuthShell title="Sign in with Secret Key" dark={dark} onToggleDark={onToggleDark}>
+    <AuthShell title="Sign in with Secret Key" dark={dark} onToggleDark={onToggleDark} instanceName={instanceName}>
       <form onSubmit={handleSubmit} className="space-y-4">
         <textarea
           className="w-full bg-transparent border border-[var(--border-light)] rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500 min-h-[100px] text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
@@ -1516,10 +2127,164 @@ function SecretLoginView({ dark, onToggleDark, onLoginWithKey, goLogin }) {
 }
 
 /** ---------- Tag Sidebar / Drawer ---------- */
-function TagSidebar({ open, onClose, tagsWithCounts, activeTag, onSelect, dark, permanent = false, width = 288, onResize }) {
-  const isAllNotes = activeTag === null;
+const TAG_DRAG_TYPE = "application/x-glass-keep-tag";
+const NOTE_DRAG_TYPE = "application/x-glass-keep-note";
+const NOTEBOOK_DRAG_TYPE = "application/x-glass-keep-notebook";
+
+// Sidebar notebook row: drop a note on it to file the note there, or another
+// notebook to move that one above it
+function NotebookItem({ notebook, dark, active, onSelect, onClose, onEdit, onMoveNote, onReorder }) {
+  const [dropping, setDropping] = useState(false);
+  const acceptsDrop = (e) =>
+    (onMoveNote && e.dataTransfer.types.includes(NOTE_DRAG_TYPE)) ||
+    (onReorder && e.dataTransfer.types.includes(NOTEBOOK_DRAG_TYPE));
+
+  return (
+    <div
+      className={`group w-full rounded-md mb-1 flex items-center ${active ? (dark ? "bg-white/10" : "bg-black/5") : (dark ? "hover:bg-white/10" : "hover:bg-black/5")} ${dropping ? "ring-2 ring-indigo-500" : ""}`}
+      draggable={!!onReorder}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(NOTEBOOK_DRAG_TYPE, notebook.id);
+        e.dataTransfer.effectAllowed = "move";
+      }}
+      onDragOver={(e) => {
+        if (!acceptsDrop(e)) return;
+        e.preventDefault();
+        setDropping(true);
+      }}
+      onDragLeave={() => setDropping(false)}
+      onDrop={(e) => {
+        setDropping(false);
+        if (!acceptsDrop(e)) return;
+        e.preventDefault();
+        const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+        const notebookId = e.dataTransfer.getData(NOTEBOOK_DRAG_TYPE);
+        if (noteId) onMoveNote(noteId, notebook.id);
+        else if (notebookId && notebookId !== notebook.id) onReorder(notebookId, notebook.id);
+      }}
+    >
+      <button
+        className="flex-1 min-w-0 text-left px-3 py-2 flex items-center justify-between"
+        onClick={() => { onSelect(notebook.id); onClose(); }}
+        title={notebook.name}
+      >
+        <span className="truncate flex items-center gap-2">
+          <span
+            className="w-2.5 h-2.5 rounded-sm flex-none border border-black/10"
+            style={tagChipStyle(notebook, dark) || { backgroundColor: "transparent" }}
+          />
+          {tagDisplayName(notebook.name, notebook)}
+        </span>
+        <span className="text-xs opacity-70">{notebook.count}</span>
+      </button>
+      {onEdit && (
+        <button
+          className="px-2 text-xs opacity-0 group-hover:opacity-70 hover:opacity-100"
+          onClick={() => onEdit(notebook)}
+          title="Edit notebook"
+        >
+          ✏️
+        </button>
+      )}
+    </div>
+  );
+}
+
+function TagTreeItem({ node, depth, dark, activeTag, collapsed, onToggle, onSelect, onClose, onMoveTag }) {
+  const [dropping, setDropping] = useState(false);
+  const active = typeof activeTag === "string" && activeTag !== ALL_IMAGES &&
+    activeTag.toLowerCase() === node.tag.toLowerCase();
+  const isCollapsed = collapsed.has(node.tag.toLowerCase());
+  const acceptsDrop = (e) => onMoveTag && e.dataTransfer.types.includes(TAG_DRAG_TYPE);
+
+  return (
+    <>
+      <div
+        className={`w-full rounded-md mb-1 flex items-center ${active ? (dark ? "bg-white/10" : "bg-black/5") : (dark ? "hover:bg-white/10" : "hover:bg-black/5")} ${dropping ? "ring-2 ring-indigo-500" : ""}`}
+        style={{ paddingLeft: `${depth * 14}px` }}
+        draggable={!!onMoveTag}
+        onDragStart={(e) => {
+          e.dataTransfer.setData(TAG_DRAG_TYPE, node.tag);
+          e.dataTransfer.effectAllowed = "move";
+        }}
+        onDragOver={(e) => {
+          if (!acceptsDrop(e)) return;
+          e.preventDefault();
+          setDropping(true);
+        }}
+        onDragLeave={() => setDropping(false)}
+        onDrop={(e) => {
+          setDropping(false);
+          if (!acceptsDrop(e)) return;
+          e.preventDefault();
+          e.stopPropagation();
+          const dragged = e.dataTransfer.getData(TAG_DRAG_TYPE);
+          if (dragged && !tagMatchesFilter(node.tag, dragged)) onMoveTag(dragged, node.tag);
+        }}
+      >
+        <button
+          className={`w-5 h-5 flex-none flex items-center justify-center text-xs opacity-60 ${node.children.length ? "" : "invisible"}`}
+          onClick={() => onToggle(node.tag)}
+          title={isCollapsed ? "Expand" : "Collapse"}
+        >
+          {isCollapsed ? "▸" : "▾"}
+        </button>
+        <button
+          className="flex-1 min-w-0 text-left pl-1 pr-3 py-2 flex items-center justify-between"
+          onClick={() => { onSelect(node.tag); onClose(); }}
+          title={node.tag}
+        >
+          <span className="truncate flex items-center gap-2">
+            {node.meta?.color && node.meta.color !== "default" && (
+              <span className="w-2.5 h-2.5 rounded-full flex-none border border-black/10" style={tagChipStyle(node.meta, dark)} />
+            )}
+            {tagDisplayName(node.name, node.meta)}
+          </span>
+          <span className="text-xs opacity-70">{node.count}</span>
+        </button>
+      </div>
+      {!isCollapsed && node.children.map((child) => (
+        <TagTreeItem
+          key={child.tag}
+          node={child}
+          depth={depth + 1}
+          dark={dark}
+          activeTag={activeTag}
+          collapsed={collapsed}
+          onToggle={onToggle}
+          onSelect={onSelect}
+          onClose={onClose}
+          onMoveTag={onMoveTag}
+        />
+      ))}
+    </>
+  );
+}
+
+function TagSidebar({
+  open, onClose, tagTree, activeTag, onSelect, dark, permanent = false, width = 288, onResize, reminders = [], onOpenReminder, onManageTags, onMoveTag,
+  notebooks = [], activeNotebook, onSelectNotebook, onEditNotebook, onMoveNoteToNotebook, onReorderNotebook,
+}) {
+  const isAllNotes = activeTag === null && !activeNotebook;
   const isAllImages = activeTag === ALL_IMAGES;
 
+  // Collapsed tree branches (lowercased paths), remembered across sessions
+  const [collapsed, setCollapsed] = useState(() => {
+    try { return new Set(JSON.parse(localStorage.getItem("collapsedTags") || "[]")); } catch { return new Set(); }
+  });
+  const toggleCollapsed = (tag) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      const key = tag.toLowerCase();
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      try { localStorage.setItem("collapsedTags", JSON.stringify([...next])); } catch { /* storage full or disabled */ }
+      return next;
+    });
+  };
+  const [rootDropping, setRootDropping] = useState(false);
+  const [unfileDropping, setUnfileDropping] = useState(false);
+
   return (
     <>
       {open && !permanent && (
@@ -1539,6 +2304,16 @@ function TagSidebar({ open, onClose, tagsWithCounts, activeTag, onSelect, dark,
       >
         <div className="p-4 flex items-center justify-between">
           <h3 className="text-lg font-semibold">Tags</h3>
+          <div className="flex-1" />
+          {onManageTags && tagTree.length > 0 && (
+            <button
+              className="px-2 py-1 text-xs rounded-md hover:bg-black/5 dark:hover:bg-white/10"
+              onClick={() => { onManageTags(); onClose(); }}
+              title="Rename, merge, color or delete tags"
+            >
+              Manage
+            </button>
+          )}
           {!permanent && (
             <button
               className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10"
@@ -1574,23 +2349,120 @@ function TagSidebar({ open, onClose, tagsWithCounts, activeTag, onSelect, dark,
             Archived Notes
           </button>
 
-          {/* User tags */}
-          {tagsWithCounts.map(({ tag, count }) => {
-            const active = typeof activeTag === "string" && activeTag !== ALL_IMAGES &&
-              activeTag.toLowerCase() === tag.toLowerCase();
-            return (
-              <button
-                key={tag}
-                className={`w-full text-left px-3 py-2 rounded-md mb-1 flex items-center justify-between ${active ? (dark ? "bg-white/10" : "bg-black/5") : (dark ? "hover:bg-white/10" : "hover:bg-black/5")}`}
-                onClick={() => { onSelect(tag); onClose(); }}
-                title={tag}
+          {/* Trash */}
+          <button
+            className={`w-full text-left px-3 py-2 rounded-md mb-2 ${activeTag === 'TRASH' ? (dark ? "bg-white/10" : "bg-black/5") : (dark ? "hover:bg-white/10" : "hover:bg-black/5")}`}
+            onClick={() => { onSelect('TRASH'); onClose(); }}
+          >
+            Trash
+          </button>
+
+          {/* Reminders */}
+          {reminders.length > 0 && (
+            <div className="mb-2">
+              <div className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 flex items-center gap-1">
+                <BellIcon className="w-3.5 h-3.5" />
+                Reminders
+              </div>
+              {reminders.map((r) => (
+                <button
+                  key={r.id}
+                  className={`w-full text-left px-3 py-2 rounded-md mb-1 ${dark ? "hover:bg-white/10" : "hover:bg-black/5"}`}
+                  onClick={() => { onOpenReminder?.(r); onClose(); }}
+                  title={r.title || "Untitled"}
+                >
+                  <span className="block truncate">{r.title || "Untitled"}</span>
+                  <span className={`text-xs ${isReminderDue(r) ? "text-amber-600 dark:text-amber-400 font-medium" : "opacity-70"}`}>
+                    {formatReminder(r.reminderAt)}
+                    {r.reminderRepeat && ` · ↻ ${describeRepeat(r.reminderRepeat)}`}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Notebooks; drop a note on the heading to take it out of its notebook */}
+          {(notebooks.length > 0 || onEditNotebook) && (
+            <div className="mb-2">
+              <div
+                className={`px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 rounded-md flex items-center justify-between ${unfileDropping ? "ring-2 ring-indigo-500" : ""}`}
+                onDragOver={(e) => {
+                  if (!onMoveNoteToNotebook || !e.dataTransfer.types.includes(NOTE_DRAG_TYPE)) return;
+                  e.preventDefault();
+                  setUnfileDropping(true);
+                }}
+                onDragLeave={() => setUnfileDropping(false)}
+                onDrop={(e) => {
+                  setUnfileDropping(false);
+                  const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+                  if (!onMoveNoteToNotebook || !noteId) return;
+                  e.preventDefault();
+                  onMoveNoteToNotebook(noteId, null);
+                }}
               >
-                <span className="truncate">{tag}</span>
-                <span className="text-xs opacity-70">{count}</span>
-              </button>
-            );
-          })}
-          {tagsWithCounts.length === 0 && (
+                Notebooks
+                {onEditNotebook && (
+                  <button
+                    className="px-1.5 rounded hover:bg-black/5 dark:hover:bg-white/10 text-base leading-none normal-case"
+                    onClick={() => onEditNotebook(null)}
+                    title="New notebook"
+                  >
+                    +
+                  </button>
+                )}
+              </div>
+              {notebooks.map((nb) => (
+                <NotebookItem
+                  key={nb.id}
+                  notebook={nb}
+                  dark={dark}
+                  active={String(activeNotebook) === String(nb.id)}
+                  onSelect={onSelectNotebook}
+                  onClose={onClose}
+                  onEdit={onEditNotebook}
+                  onMoveNote={onMoveNoteToNotebook}
+                  onReorder={onReorderNotebook}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* User tags ("a/b" nests b under a); drop a tag on this heading to move it to the top level */}
+          {tagTree.length > 0 && (
+            <div
+              className={`px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 rounded-md ${rootDropping ? "ring-2 ring-indigo-500" : ""}`}
+              onDragOver={(e) => {
+                if (!onMoveTag || !e.dataTransfer.types.includes(TAG_DRAG_TYPE)) return;
+                e.preventDefault();
+                setRootDropping(true);
+              }}
+              onDragLeave={() => setRootDropping(false)}
+              onDrop={(e) => {
+                setRootDropping(false);
+                const dragged = e.dataTransfer.getData(TAG_DRAG_TYPE);
+                if (!onMoveTag || !dragged) return;
+                e.preventDefault();
+                if (dragged.includes("/")) onMoveTag(dragged, null);
+              }}
+            >
+              Tags
+            </div>
+          )}
+          {tagTree.map((node) => (
+            <TagTreeItem
+              key={node.tag}
+              node={node}
+              depth={0}
+              dark={dark}
+              activeTag={activeTag}
+              collapsed={collapsed}
+              onToggle={toggleCollapsed}
+              onSelect={onSelect}
+              onClose={onClose}
+              onMoveTag={onMoveTag}
+            />
+          ))}
+          {tagTree.length === 0 && (
             <p className="text-sm text-gray-500 mt-2">No tags yet. Add tags to your notes!</p>
           )}
         </nav>
@@ -1629,7 +2501,7 @@ function TagSidebar({ open, onClose, tagsWithCounts, activeTag, onSelect, dark,
 }
 
 /** ---------- Settings Panel ---------- */
-function SettingsPanel({ open, onClose, dark, onExportAll, onImportAll, onImportGKeep, onImportMd, onDownloadSecretKey, alwaysShowSidebarOnWide, setAlwaysShowSidebarOnWide, localAiEnabled, setLocalAiEnabled, showGenericConfirm, showToast }) {
+function SettingsPanel({ open, onClose, dark, onExportAll, onExportZip, onImportAll, onImportGKeep, onImportMd, onImportVault, onImportEnex, onImportOtherApp, onImportJoplinFolder, onDownloadSecretKey, alwaysShowSidebarOnWide, setAlwaysShowSidebarOnWide, localAiEnabled, setLocalAiEnabled, aiAvailable = true, showGenericConfirm, showToast }) {
   // Prevent body scroll when settings panel is open
   React.useEffect(() => {
     if (open) {
@@ -1685,18 +2557,26 @@ function SettingsPanel({ open, onClose, dark, onExportAll, onImportAll, onImport
 
               <button
                 className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
-                onClick={() => { onClose(); onImportAll?.(); }}
+                onClick={() => { onClose(); onExportZip?.(); }}
               >
-                <div className="font-medium">Import notes (.json)</div>
-                <div className="text-sm text-gray-500">Import notes from JSON file</div>
+                <div className="font-medium">Export ALL notes (.zip, Markdown)</div>
+                <div className="text-sm text-gray-500">One Markdown file per note with images and drawings, ready to open as an Obsidian vault</div>
+              </button>
+
+              <button
+                className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
+                onClick={() => { onClose(); onImportAll?.(); }}
+              >
+                <div className="font-medium">Import notes (.json)</div>
+                <div className="text-sm text-gray-500">Import notes from JSON file</div>
               </button>
 
               <button
                 className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
                 onClick={() => { onClose(); onImportGKeep?.(); }}
               >
-                <div className="font-medium">Import Google Keep notes (.json)</div>
-                <div className="text-sm text-gray-500">Import notes from Google Keep JSON export</div>
+                <div className="font-medium">Import Google Keep notes (Takeout .zip or .json)</div>
+                <div className="text-sm text-gray-500">Import notes with images, colors and archive state from a Google Takeout export</div>
               </button>
 
               <button
@@ -1707,6 +2587,38 @@ function SettingsPanel({ open, onClose, dark, onExportAll, onImportAll, onImport
                 <div className="text-sm text-gray-500">Import notes from Markdown files</div>
               </button>
 
+              <button
+                className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
+                onClick={() => { onClose(); onImportVault?.(); }}
+              >
+                <div className="font-medium">Import Markdown vault (.zip)</div>
+                <div className="text-sm text-gray-500">Import a zipped Obsidian vault or Markdown folder with front matter, tags and images</div>
+              </button>
+
+              <button
+                className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
+                onClick={() => { onClose(); onImportEnex?.(); }}
+              >
+                <div className="font-medium">Import Evernote notes (.enex)</div>
+                <div className="text-sm text-gray-500">Import notes, checklists, tags, notebooks and images from Evernote exports</div>
+              </button>
+
+              <button
+                className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
+                onClick={() => { onClose(); onImportOtherApp?.(); }}
+              >
+                <div className="font-medium">Import from Joplin, Simplenote or Standard Notes</div>
+                <div className="text-sm text-gray-500">Joplin .jex, Simplenote JSON export or a decrypted Standard Notes backup</div>
+              </button>
+
+              <button
+                className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
+                onClick={() => { onClose(); onImportJoplinFolder?.(); }}
+              >
+                <div className="font-medium">Import Joplin RAW export (folder)</div>
+                <div className="text-sm text-gray-500">Pick the folder Joplin's "RAW - Joplin Export Directory" created</div>
+              </button>
+
               <button
                 className={`block w-full text-left px-4 py-3 border border-[var(--border-light)] rounded-lg ${dark ? "hover:bg-white/10" : "hover:bg-gray-50"} transition-colors`}
                 onClick={() => { onClose(); onDownloadSecretKey?.(); }}
@@ -1721,43 +2633,46 @@ function SettingsPanel({ open, onClose, dark, onExportAll, onImportAll, onImport
           <div className="mb-8">
             <h4 className="text-md font-semibold mb-4">UI Preferences</h4>
             <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <div>
-                  <div className="font-medium">Local AI Assistant</div>
-                  <div className="text-sm text-gray-500">Ask questions about your notes (server-side model)</div>
-                </div>
-                <button
-                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${localAiEnabled
-                    ? 'bg-indigo-600'
-                    : 'bg-gray-300 dark:bg-gray-600'
-                    }`}
-                  onClick={() => {
-                    if (!localAiEnabled) {
-                      // Show confirmation dialog when enabling
-                      showGenericConfirm({
-                        title: "Enable AI Assistant?",
-                        message: "This will download a ~700MB AI model (Llama-3.2-1B) to the server and may use significant CPU resources. The download will happen in the background. Continue?",
-                        confirmText: "Enable AI",
-                        cancelText: "Cancel",
-                        danger: false,
-                        onConfirm: async () => {
-                          setLocalAiEnabled(true);
-                          showToast("AI Assistant enabled. Model will download on first use.", "success");
-                        }
-                      });
-                    } else {
-                      // Disable without confirmation
-                      setLocalAiEnabled(false);
-                      showToast("AI Assistant disabled", "info");
-                    }
-                  }}
-                >
-                  <span
-                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${localAiEnabled ? 'translate-x-6' : 'translate-x-1'
+              {/* Admins can switch the assistant off for the whole instance */}
+              {aiAvailable && (
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium">Local AI Assistant</div>
+                    <div className="text-sm text-gray-500">Ask questions about your notes (server-side model)</div>
+                  </div>
+                  <button
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${localAiEnabled
+                      ? 'bg-indigo-600'
+                      : 'bg-gray-300 dark:bg-gray-600'
                       }`}
-                  />
-                </button>
-              </div>
+                    onClick={() => {
+                      if (!localAiEnabled) {
+                        // Show confirmation dialog when enabling
+                        showGenericConfirm({
+                          title: "Enable AI Assistant?",
+                          message: "This will download a ~700MB AI model (Llama-3.2-1B) to the server and may use significant CPU resources. The download will happen in the background. Continue?",
+                          confirmText: "Enable AI",
+                          cancelText: "Cancel",
+                          danger: false,
+                          onConfirm: async () => {
+                            setLocalAiEnabled(true);
+                            showToast("AI Assistant enabled. Model will download on first use.", "success");
+                          }
+                        });
+                      } else {
+                        // Disable without confirmation
+                        setLocalAiEnabled(false);
+                        showToast("AI Assistant disabled", "info");
+                      }
+                    }}
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${localAiEnabled ? 'translate-x-6' : 'translate-x-1'
+                        }`}
+                    />
+                  </button>
+                </div>
+              )}
 
               <div className="flex items-center justify-between">
                 <div>
@@ -1792,6 +2707,35 @@ function AdminPanel({ open, onClose, dark, adminSettings, allUsers, newUserForm,
   const [editingUser, setEditingUser] = useState(null);
   const [editUserForm, setEditUserForm] = useState({ name: '', email: '', password: '', is_admin: false });
   const [isUpdatingUser, setIsUpdatingUser] = useState(false);
+  // Text fields are saved on blur / Enter, so edit a draft of them
+  const [settingsDraft, setSettingsDraft] = useState({ instanceName: "", maxUploadMB: "", registrationDomains: "" });
+
+  useEffect(() => {
+    setSettingsDraft({
+      instanceName: adminSettings.instanceName || "",
+      maxUploadMB: String(adminSettings.maxUploadMB ?? ""),
+      registrationDomains: (adminSettings.registrationDomains || []).join(", "),
+    });
+  }, [adminSettings.instanceName, adminSettings.maxUploadMB, adminSettings.registrationDomains]);
+
+  const saveDraftSetting = (key) => {
+    const raw = settingsDraft[key];
+    const value = key === "maxUploadMB"
+      ? Number(raw)
+      : key === "registrationDomains"
+        ? raw.split(/[\s,]+/).filter(Boolean)
+        : raw.trim();
+    const current = key === "registrationDomains" ? adminSettings.registrationDomains || [] : adminSettings[key];
+    if (JSON.stringify(value) === JSON.stringify(current)) return;
+    updateAdminSettings({ [key]: value });
+  };
+  const draftInputProps = (key) => ({
+    value: settingsDraft[key],
+    onChange: (e) => setSettingsDraft((prev) => ({ ...prev, [key]: e.target.value })),
+    onBlur: () => saveDraftSetting(key),
+    onKeyDown: (e) => { if (e.key === "Enter") e.currentTarget.blur(); },
+    className: "w-full px-3 py-2 border border-[var(--border-light)] rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-indigo-500",
+  });
 
   console.log("AdminPanel render:", { open, adminSettings, allUsers: allUsers?.length });
 
@@ -1904,17 +2848,60 @@ function AdminPanel({ open, onClose, dark, adminSettings, allUsers, newUserForm,
           <div className="mb-8">
             <h4 className="text-md font-semibold mb-4">Settings</h4>
             <div className="space-y-4">
+              <label className="block">
+                <span className="text-sm">Instance name</span>
+                <input type="text" maxLength={60} {...draftInputProps("instanceName")} />
+              </label>
+
+              <label className="block">
+                <span className="text-sm">New accounts</span>
+                <select
+                  value={adminSettings.registrationMode || "closed"}
+                  onChange={(e) => updateAdminSettings({ registrationMode: e.target.value })}
+                  className="w-full px-3 py-2 border border-[var(--border-light)] rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="open">Anyone can sign up</option>
+                  <option value="domain">Only emails at these domains</option>
+                  <option value="closed">Only admins create accounts</option>
+                </select>
+              </label>
+              {adminSettings.registrationMode === "domain" && (
+                <label className="block">
+                  <span className="text-sm">Allowed email domains</span>
+                  <input type="text" placeholder="example.com, example.org" {...draftInputProps("registrationDomains")} />
+                </label>
+              )}
+
+              <label className="block">
+                <span className="text-sm">Default theme</span>
+                <select
+                  value={adminSettings.defaultTheme || "system"}
+                  onChange={(e) => updateAdminSettings({ defaultTheme: e.target.value })}
+                  className="w-full px-3 py-2 border border-[var(--border-light)] rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="system">Follow the device</option>
+                  <option value="light">Light</option>
+                  <option value="dark">Dark</option>
+                </select>
+                <span className="text-xs text-gray-500">Used until a user toggles the theme themselves</span>
+              </label>
+
+              <label className="block">
+                <span className="text-sm">Max upload size (MB)</span>
+                <input type="number" min={1} max={1024} step={1} {...draftInputProps("maxUploadMB")} />
+              </label>
+
               <div className="flex items-center justify-between">
-                <span className="text-sm">Allow New Account Creation</span>
+                <span className="text-sm">AI assistant</span>
                 <button
-                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${adminSettings.allowNewAccounts
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${adminSettings.aiEnabled
                     ? 'bg-indigo-600'
                     : 'bg-gray-300 dark:bg-gray-600'
                     }`}
-                  onClick={() => updateAdminSettings({ allowNewAccounts: !adminSettings.allowNewAccounts })}
+                  onClick={() => updateAdminSettings({ aiEnabled: !adminSettings.aiEnabled })}
                 >
                   <span
-                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${adminSettings.allowNewAccounts ? 'translate-x-6' : 'translate-x-1'
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${adminSettings.aiEnabled ? 'translate-x-6' : 'translate-x-1'
                       }`}
                   />
                 </button>
@@ -2090,10 +3077,1052 @@ function AdminPanel({ open, onClose, dark, adminSettings, allUsers, newUserForm,
   );
 }
 
+/** ---------- Revision History Dialog ---------- */
+function RevisionHistoryDialog({ open, onClose, dark, revisions, loading, current, canRestore, onRestore }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    if (open) setSelectedId(revisions[0]?.id ?? null);
+  }, [open, revisions]);
+
+  const selected = revisions.find((r) => r.id === selectedId) || null;
+  const rows = useMemo(
+    () => (selected ? diffLinesSideBySide(noteToDiffText(selected), noteToDiffText(current)) : []),
+    [selected, current]
+  );
+
+  if (!open) return null;
+
+  const cellClass = (kind, side) => {
+    if (kind === "changed" || (kind === "removed" && side === "left") || (kind === "added" && side === "right")) {
+      return side === "left" ? "bg-red-500/15" : "bg-green-500/15";
+    }
+    return "";
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[95%] max-w-4xl h-[85vh] p-6 relative flex flex-col"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Version history</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onClose} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading versions…</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No earlier versions of this note yet.</p>
+        ) : (
+          <div className="flex flex-col sm:flex-row gap-4 flex-1 min-h-0">
+            {/* Revision list */}
+            <div className="sm:w-56 flex-none overflow-y-auto max-h-40 sm:max-h-none border border-[var(--border-light)] rounded-lg">
+              {revisions.map((r) => (
+                <button
+                  key={r.id}
+                  className={`w-full text-left px-3 py-2 text-sm border-b border-[var(--border-light)] last:border-b-0 ${r.id === selectedId ? (dark ? "bg-white/10" : "bg-black/5") : (dark ? "hover:bg-white/10" : "hover:bg-black/5")}`}
+                  onClick={() => setSelectedId(r.id)}
+                >
+                  <div className="font-medium">{formatEditedStamp(r.createdAt)}</div>
+                  <div className="text-xs text-gray-500 truncate">{r.editedBy || "Unknown"}</div>
+                </button>
+              ))}
+            </div>
+
+            {/* Side-by-side diff */}
+            <div className="flex-1 min-h-0 flex flex-col">
+              {selected && (
+                <>
+                  {selected.title !== (current?.title || "") && (
+                    <div className="text-sm mb-2">
+                      Title: <span className="line-through opacity-70">{selected.title || "(untitled)"}</span>{" → "}
+                      <span>{current?.title || "(untitled)"}</span>
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 text-xs font-semibold text-gray-500 mb-1">
+                    <div>This version</div>
+                    <div>Current</div>
+                  </div>
+                  <div className="flex-1 overflow-auto border border-[var(--border-light)] rounded-lg font-mono text-xs">
+                    {rows.map((row, idx) => (
+                      <div key={idx} className="grid grid-cols-2">
+                        <div className={`px-2 py-0.5 whitespace-pre-wrap break-words border-r border-[var(--border-light)] ${cellClass(row.kind, "left")}`}>
+                          {row.left ?? ""}
+                        </div>
+                        <div className={`px-2 py-0.5 whitespace-pre-wrap break-words ${cellClass(row.kind, "right")}`}>
+                          {row.right ?? ""}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="mt-4 flex items-center justify-between gap-3">
+                    <span className="text-xs text-gray-500">
+                      {selected.imageCount ? `${selected.imageCount} image(s) in this version` : ""}
+                    </span>
+                    {canRestore && (
+                      <button
+                        disabled={restoring}
+                        className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        onClick={async () => {
+                          setRestoring(true);
+                          try { await onRestore(selected.id); } finally { setRestoring(false); }
+                        }}
+                      >
+                        {restoring ? "Restoring…" : "Restore this version"}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** ---------- Share links ---------- */
+// Public links open the app at #/s/<token>
+const shareUrl = (token) =>
+  `${window.location.origin}${window.location.pathname}#/s/${encodeURIComponent(token)}`;
+
+const SHARE_EXPIRY_OPTIONS = [
+  { label: "Never expires", days: 0 },
+  { label: "Expires in 1 day", days: 1 },
+  { label: "Expires in 7 days", days: 7 },
+  { label: "Expires in 30 days", days: 30 },
+];
+
+function ShareLinksDialog({ open, onClose, dark, links, loading, onCreate, onRevoke }) {
+  const [expiryDays, setExpiryDays] = useState(0);
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  if (!open) return null;
+
+  const copy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(link.token));
+      setCopiedId(link.id);
+    } catch (e) {
+      setCopiedId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[90%] max-w-lg p-6 relative max-h-[90vh] overflow-y-auto"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">Share links</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onClose} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Anyone with a link can view this note without signing in. Revoke a link to stop sharing.
+        </p>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading links…</p>
+        ) : links.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No share links yet.</p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {links.map((l) => (
+              <div key={l.id} className="p-2 bg-gray-100 dark:bg-gray-700 rounded-lg">
+                <div className="flex items-center gap-2">
+                  <input
+                    readOnly
+                    value={shareUrl(l.token)}
+                    onFocus={(e) => e.target.select()}
+                    className={`flex-1 min-w-0 bg-transparent text-xs font-mono ${l.expired ? "line-through opacity-60" : ""}`}
+                  />
+                  {!l.expired && (
+                    <button
+                      className="px-2 py-1 text-xs rounded-md border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
+                      onClick={() => copy(l)}
+                    >
+                      {copiedId === l.id ? "Copied" : "Copy"}
+                    </button>
+                  )}
+                  <button
+                    className="px-2 py-1 text-xs rounded-md text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    onClick={() => onRevoke(l.id)}
+                  >
+                    Revoke
+                  </button>
+                </div>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Created {formatEditedStamp(l.createdAt)}
+                  {" · "}
+                  {l.expiresAt
+                    ? `${l.expired ? "Expired" : "Expires"} ${new Date(l.expiresAt).toLocaleString()}`
+                    : "Never expires"}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-2">
+          <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(Number(e.target.value))}
+            className="px-2 py-2 text-sm border border-[var(--border-light)] rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="Link expiry"
+          >
+            {SHARE_EXPIRY_OPTIONS.map((o) => <option key={o.days} value={o.days}>{o.label}</option>)}
+          </select>
+          <button
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            disabled={creating}
+            onClick={async () => {
+              setCreating(true);
+              try { await onCreate(expiryDays); } finally { setCreating(false); }
+            }}
+          >
+            {creating ? "Creating…" : "Create link"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Read-only page for a public share link (no account needed)
+function PublicNoteView({ shareToken, dark, onToggleDark }) {
+  const [note, setNote] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setNote(null);
+    setError("");
+    api(`/public/notes/${encodeURIComponent(shareToken)}`)
+      .then((data) => { if (!cancelled) setNote(data); })
+      .catch((e) => { if (!cancelled) setError(e.message || "This link is invalid or has expired."); });
+    return () => { cancelled = true; };
+  }, [shareToken]);
+
+  useEffect(() => {
+    if (note) document.title = note.title ? `${note.title} · Glass Keep` : "Glass Keep";
+  }, [note]);
+
+  const items = Array.isArray(note?.items) ? note.items : [];
+  const images = Array.isArray(note?.images) ? note.images : [];
+
+  return (
+    <div className="min-h-screen px-4 py-8">
+      <div className="w-full max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-xl font-bold">Glass Keep</h1>
+          <button
+            onClick={onToggleDark}
+            className={`inline-flex items-center gap-2 text-sm ${dark ? "text-gray-300" : "text-gray-700"} hover:underline`}
+            title="Toggle dark mode"
+          >
+            {dark ? <Moon /> : <Sun />} Toggle theme
+          </button>
+        </div>
+
+        {error ? (
+          <div className="glass-card rounded-xl p-6 shadow-lg text-sm">{error}</div>
+        ) : !note ? (
+          <div className="glass-card rounded-xl p-6 shadow-lg text-sm text-gray-500">Loading…</div>
+        ) : (
+          <article
+            className="glass-card rounded-xl p-6 shadow-lg"
+            style={{ backgroundColor: bgFor(note.color, dark) }}
+          >
+            {note.title && <h2 className="text-2xl font-bold mb-4 break-words">{note.title}</h2>}
+
+            {images.length > 0 && (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-4">
+                {images.map((im) => (
+                  <a key={im.id || im.src} href={im.src} target="_blank" rel="noreferrer">
+                    <img src={im.src} alt={im.name || ""} className="w-full h-40 object-cover rounded-lg" />
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {note.type === "checklist" ? (
+              <div className="space-y-2">
+                {items.map((it) => (
+                  <ChecklistRow key={it.id} item={it} size="md" readOnly={true} disableToggle={true} showRemove={false} />
+                ))}
+              </div>
+            ) : note.type === "draw" ? (
+              <DrawingPreview data={note.content} width={640} height={480} darkMode={dark} />
+            ) : (
+              <div
+                className="note-content whitespace-pre-wrap"
+                dangerouslySetInnerHTML={{ __html: renderMarkdown(note.content) }}
+              />
+            )}
+
+            {Array.isArray(note.tags) && note.tags.length > 0 && (
+              <div className="mt-4 text-xs flex flex-wrap gap-2">
+                {note.tags.map((tag) => (
+                  <span key={tag} className="bg-black/10 dark:bg-white/10 rounded-full px-2 py-0.5">{tag}</span>
+                ))}
+              </div>
+            )}
+            {note.updatedAt && (
+              <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">Edited {formatEditedStamp(note.updatedAt)}</p>
+            )}
+          </article>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** ---------- Checklist item deltas ---------- */
+// One item change: { op: "add" | "update" | "move" | "delete", itemId, item?, changes?, index? }.
+// Applying the same delta twice is harmless, so our own echo from SSE is fine.
+function applyChecklistDelta(items, d) {
+  const list = Array.isArray(items) ? items : [];
+  const at = (index, length) => (Number.isInteger(index) ? Math.max(0, Math.min(index, length)) : length);
+  const same = (it) => String(it.id) === String(d.itemId);
+  switch (d.op) {
+    case "add": {
+      if (list.some(same)) return list;
+      const next = [...list];
+      next.splice(at(d.index, next.length), 0, d.item);
+      return next;
+    }
+    case "update":
+      return list.map((it) => (same(it) ? { ...it, ...(d.item || d.changes) } : it));
+    case "move": {
+      const item = list.find(same);
+      if (!item) return list;
+      const next = list.filter((it) => !same(it));
+      next.splice(at(d.index, next.length), 0, item);
+      return next;
+    }
+    case "delete":
+      return list.filter((it) => !same(it));
+    default:
+      return list;
+  }
+}
+
+const withChecklistDelta = (notes, noteId, d) =>
+  notes.map((n) => (String(n.id) === String(noteId)
+    ? { ...n, items: applyChecklistDelta(n.items, d), version: Math.max(n.version || 0, d.version || 0) }
+    : n));
+
+/** ---------- Co-editing (CRDT) ---------- */
+// Yjs updates travel as base64 in JSON bodies and SSE events
+const bytesToBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+};
+const base64ToBytes = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+// Apply the single splice that turns `ytext` into `next` (same as the server)
+function spliceText(ytext, next) {
+  const prev = ytext.toString();
+  if (prev === next) return;
+  const max = Math.min(prev.length, next.length);
+  let start = 0;
+  while (start < max && prev[start] === next[start]) start++;
+  // Never split a surrogate pair
+  if (start > 0 && /[\uD800-\uDBFF]/.test(prev[start - 1])) start--;
+  let end = 0;
+  while (end < max - start && prev[prev.length - 1 - end] === next[next.length - 1 - end]) end++;
+  if (end > 0 && /[\uDC00-\uDFFF]/.test(prev[prev.length - end])) end--;
+  const removed = prev.length - start - end;
+  if (removed > 0) ytext.delete(start, removed);
+  const inserted = next.slice(start, next.length - end);
+  if (inserted) ytext.insert(start, inserted);
+}
+
+// Where a caret at `offset` ends up after someone else's Y.Text delta
+function shiftOffset(offset, delta) {
+  let pos = 0;
+  for (const op of delta) {
+    if (pos > offset) break;
+    if (op.retain) pos += op.retain;
+    else if (op.insert) {
+      const len = typeof op.insert === "string" ? op.insert.length : 1;
+      if (pos < offset) offset += len;
+      pos += len;
+    } else if (op.delete) {
+      offset -= Math.min(op.delete, Math.max(0, offset - pos));
+    }
+  }
+  return offset;
+}
+
+/** ---------- Conflict dialog (stale saves) ---------- */
+// Turn merged diff lines back into a note body; checklist lines keep their item ids
+function linesToNoteBody(lines, type, mineItems = [], theirsItems = []) {
+  if (type !== "checklist") return { content: lines.join("\n"), items: [] };
+  const pool = [...mineItems, ...theirsItems];
+  const used = new Set();
+  const items = lines.map((line) => {
+    const m = /^\[( |x)\] ?(.*)$/.exec(line);
+    const done = m ? m[1] === "x" : false;
+    const text = m ? m[2] : line;
+    const match = pool.find((it) => !used.has(it.id) && (it.text || "") === text);
+    if (match) used.add(match.id);
+    return { ...(match || {}), id: match ? match.id : uid(), text, done };
+  });
+  return { content: "", items };
+}
+
+const unionBy = (a = [], b = [], key) => {
+  const seen = new Set(a.map(key));
+  return [...a, ...b.filter((x) => !seen.has(key(x)))];
+};
+
+function ConflictDialog({ conflict, dark, onKeepMine, onKeepTheirs, onMerge }) {
+  const mine = conflict?.mine;
+  const theirs = conflict?.theirs;
+  const rows = useMemo(
+    () => (conflict ? diffLinesSideBySide(noteToDiffText(theirs), noteToDiffText(mine)) : []),
+    [conflict, mine, theirs]
+  );
+  // Which side(s) of each differing row go into the merge; by default
+  // lines only one side has are kept and changed lines take mine
+  const [picks, setPicks] = useState({});
+  const [titleFrom, setTitleFrom] = useState("mine");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setPicks(Object.fromEntries(rows.map((r, i) => [i, { left: r.kind === "removed", right: r.kind !== "removed" }])));
+    setTitleFrom("mine");
+  }, [rows]);
+
+  if (!conflict) return null;
+
+  const canMerge = mine.type === theirs.type && mine.type !== "draw";
+  const titlesDiffer = (mine.title || "") !== (theirs.title || "");
+
+  const buildMerged = () => {
+    const lines = rows.flatMap((r, i) => {
+      if (r.kind === "same") return [r.left];
+      const p = picks[i] || {};
+      return [...(p.left && r.left != null ? [r.left] : []), ...(p.right && r.right != null ? [r.right] : [])];
+    });
+    return {
+      ...mine,
+      title: titleFrom === "mine" ? mine.title : theirs.title,
+      ...linesToNoteBody(lines, mine.type, mine.items, theirs.items),
+      tags: unionBy(mine.tags, theirs.tags, (t) => String(t).toLowerCase()),
+      images: unionBy(mine.images, theirs.images, (im) => im.id || im.src),
+    };
+  };
+
+  const run = async (fn) => {
+    setBusy(true);
+    try { await fn(); } finally { setBusy(false); }
+  };
+
+  const toggle = (i, side) => setPicks((prev) => ({ ...prev, [i]: { ...prev[i], [side]: !prev[i]?.[side] } }));
+  const cellClass = (row, side) => {
+    if (row.kind === "same") return "opacity-60";
+    const text = side === "left" ? row.left : row.right;
+    if (text == null) return "";
+    return side === "left" ? "bg-amber-500/15" : "bg-indigo-500/15";
+  };
+
+  return (
+    <div className="fixed inset-0 z-[55] flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[95%] max-w-4xl max-h-[85vh] p-6 relative flex flex-col"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-lg font-semibold mb-1">This note was changed while you were editing</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          {theirs.lastEditedBy ? `${theirs.lastEditedBy} saved a newer version. ` : "Someone saved a newer version. "}
+          Keep your copy, take theirs, or pick lines from both.
+        </p>
+
+        {canMerge && (
+          <>
+            {titlesDiffer && (
+              <div className="text-sm mb-3 flex flex-wrap items-center gap-3">
+                <span className="font-medium">Title:</span>
+                <label className="flex items-center gap-1">
+                  <input type="radio" checked={titleFrom === "theirs"} onChange={() => setTitleFrom("theirs")} />
+                  {theirs.title || "(untitled)"}
+                </label>
+                <label className="flex items-center gap-1">
+                  <input type="radio" checked={titleFrom === "mine"} onChange={() => setTitleFrom("mine")} />
+                  {mine.title || "(untitled)"}
+                </label>
+              </div>
+            )}
+            <div className="grid grid-cols-2 text-xs font-semibold text-gray-500 mb-1">
+              <div>Theirs (saved)</div>
+              <div>Mine</div>
+            </div>
+            <div className="flex-1 min-h-0 overflow-auto border border-[var(--border-light)] rounded-lg font-mono text-xs">
+              {rows.map((row, idx) => (
+                <div key={idx} className="grid grid-cols-2">
+                  {["left", "right"].map((side) => {
+                    const text = side === "left" ? row.left : row.right;
+                    return (
+                      <label
+                        key={side}
+                        className={`flex items-start gap-2 px-2 py-0.5 whitespace-pre-wrap break-words ${side === "left" ? "border-r border-[var(--border-light)]" : ""} ${cellClass(row, side)}`}
+                      >
+                        {row.kind !== "same" && text != null && (
+                          <input
+                            type="checkbox"
+                            className="mt-0.5 flex-none"
+                            checked={!!picks[idx]?.[side]}
+                            onChange={() => toggle(idx, side)}
+                          />
+                        )}
+                        <span className="min-w-0">{text ?? ""}</span>
+                      </label>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-500">Ticked lines are kept in the merged note. Tags and images from both copies are kept.</p>
+          </>
+        )}
+
+        <div className="mt-4 flex flex-wrap justify-end gap-3">
+          <button
+            disabled={busy}
+            className="px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 disabled:opacity-50"
+            onClick={() => run(onKeepTheirs)}
+          >
+            Keep theirs
+          </button>
+          <button
+            disabled={busy}
+            className="px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 disabled:opacity-50"
+            onClick={() => run(onKeepMine)}
+          >
+            Keep mine
+          </button>
+          {canMerge && (
+            <button
+              disabled={busy}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+              onClick={() => run(() => onMerge(buildMerged()))}
+            >
+              Save merged
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ---------- Tag manager ---------- */
+const TAG_COLOR_KEYS = Object.keys(LIGHT_COLORS);
+
+function TagManagerRow({ t, dark, selected, onSelect, first, last, onRename, onUpdate, onDelete, onMerge, onMove }) {
+  const [name, setName] = useState(t.tag);
+  const [icon, setIcon] = useState(t.meta?.icon || "");
+  const [clash, setClash] = useState(null); // existing name the rename ran into
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => { setName(t.tag); setClash(null); }, [t.tag]);
+  useEffect(() => { setIcon(t.meta?.icon || ""); }, [t.meta?.icon]);
+
+  const commitName = async () => {
+    const next = name.trim();
+    if (!next || next === t.tag) return setName(t.tag);
+    try {
+      await onRename(t.tag, next);
+    } catch (e) {
+      if (e.status === 409) setClash(next);
+    }
+  };
+
+  return (
+    <div className="p-2 bg-gray-100 dark:bg-gray-700 rounded-lg">
+      <div className="flex items-center gap-2">
+        <input type="checkbox" checked={selected} onChange={(e) => onSelect(e.target.checked)} title="Select to merge" />
+        <input
+          value={icon}
+          onChange={(e) => setIcon(e.target.value)}
+          onBlur={() => icon !== (t.meta?.icon || "") && onUpdate(t.tag, { icon: icon.trim() || null })}
+          placeholder="🏷"
+          maxLength={4}
+          className="w-9 text-center bg-transparent border-b border-[var(--border-light)] focus:outline-none"
+          title="Icon"
+        />
+        <input
+          value={name}
+          onChange={(e) => { setName(e.target.value); setClash(null); }}
+          onBlur={commitName}
+          onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+          className="flex-1 min-w-0 bg-transparent border-b border-transparent focus:border-[var(--border-light)] focus:outline-none"
+          title="Rename"
+        />
+        <span className="text-xs opacity-70 w-6 text-right">{t.count}</span>
+        <select
+          value={t.meta?.color || "default"}
+          onChange={(e) => onUpdate(t.tag, { color: e.target.value === "default" ? null : e.target.value })}
+          className="text-xs rounded-md bg-transparent border border-[var(--border-light)] px-1 py-0.5"
+          style={tagChipStyle(t.meta, dark)}
+          title="Color"
+        >
+          {TAG_COLOR_KEYS.map((c) => (
+            <option key={c} value={c}>{c === "default" ? "No color" : c}</option>
+          ))}
+        </select>
+        <button className="px-1 disabled:opacity-30" disabled={first} onClick={() => onMove(-1)} title="Move up">↑</button>
+        <button className="px-1 disabled:opacity-30" disabled={last} onClick={() => onMove(1)} title="Move down">↓</button>
+        {confirmDelete ? (
+          <>
+            <button
+              className="px-2 py-1 text-xs rounded-md bg-red-600 text-white hover:bg-red-700"
+              onClick={() => onDelete(t.tag)}
+              title={`Remove "${t.tag}" from ${t.count} note(s)`}
+            >
+              Remove
+            </button>
+            <button className="px-2 py-1 text-xs rounded-md hover:bg-black/5 dark:hover:bg-white/10" onClick={() => setConfirmDelete(false)}>
+              Keep
+            </button>
+          </>
+        ) : (
+          <button
+            className="px-2 py-1 text-xs rounded-md text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+            onClick={() => setConfirmDelete(true)}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {clash && (
+        <p className="mt-1 text-xs text-amber-700 dark:text-amber-300 flex items-center gap-2">
+          “{clash}” already exists.
+          <button className="underline" onClick={() => onMerge([t.tag], clash)}>Merge into it</button>
+        </p>
+      )}
+    </div>
+  );
+}
+
+function TagManagerDialog({ open, onClose, dark, tags, onRename, onUpdate, onDelete, onMerge, onReorder }) {
+  const [selected, setSelected] = useState([]);
+  const [mergeInto, setMergeInto] = useState("");
+
+  useEffect(() => {
+    if (!open) { setSelected([]); setMergeInto(""); }
+  }, [open]);
+
+  if (!open) return null;
+
+  const toggle = (tag, on) => {
+    setSelected((prev) => (on ? [...prev, tag] : prev.filter((x) => x !== tag)));
+    if (on && !mergeInto) setMergeInto(tag);
+  };
+  const move = (index, delta) => {
+    const names = tags.map((t) => t.tag);
+    const [name] = names.splice(index, 1);
+    names.splice(index + delta, 0, name);
+    onReorder(names);
+  };
+  const merge = async () => {
+    if (selected.length < 2 || !mergeInto.trim()) return;
+    await onMerge(selected, mergeInto.trim());
+    setSelected([]);
+    setMergeInto("");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[90%] max-w-xl p-6 relative max-h-[90vh] overflow-y-auto"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">Manage tags</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onClose} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Renaming, merging or deleting a tag updates every note you own. Select two or more tags to merge them.
+        </p>
+
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-500">No tags yet.</p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {tags.map((t, i) => (
+              <TagManagerRow
+                key={t.tag.toLowerCase()}
+                t={t}
+                dark={dark}
+                selected={selected.includes(t.tag)}
+                onSelect={(on) => toggle(t.tag, on)}
+                first={i === 0}
+                last={i === tags.length - 1}
+                onRename={onRename}
+                onUpdate={onUpdate}
+                onDelete={onDelete}
+                onMerge={onMerge}
+                onMove={(delta) => move(i, delta)}
+              />
+            ))}
+          </div>
+        )}
+
+        {selected.length >= 2 && (
+          <div className="flex items-center gap-2 border-t border-[var(--border-light)] pt-4">
+            <span className="text-sm">Merge {selected.length} tags into</span>
+            <input
+              value={mergeInto}
+              onChange={(e) => setMergeInto(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 rounded-md bg-transparent border border-[var(--border-light)]"
+            />
+            <button
+              className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+              disabled={!mergeInto.trim()}
+              onClick={merge}
+            >
+              Merge
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** ---------- Notebook dialog (create / edit) ---------- */
+function NotebookDialog({ open, notebook, onClose, dark, onSave, onDelete }) {
+  const [name, setName] = useState("");
+  const [icon, setIcon] = useState("");
+  const [color, setColor] = useState("default");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setName(notebook?.name || "");
+    setIcon(notebook?.icon || "");
+    setColor(notebook?.color || "default");
+    setConfirmDelete(false);
+  }, [open, notebook]);
+
+  if (!open) return null;
+
+  const save = async () => {
+    if (!name.trim()) return;
+    setSaving(true);
+    try {
+      await onSave({ name: name.trim(), icon: icon.trim() || null, color: color === "default" ? null : color });
+      onClose();
+    } catch {
+      // onSave already reported it; keep the dialog open to fix the name
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[90%] max-w-sm p-6 relative"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{notebook ? "Edit notebook" : "New notebook"}</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onClose} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-2 mb-3">
+          <input
+            value={icon}
+            onChange={(e) => setIcon(e.target.value)}
+            placeholder="📒"
+            maxLength={4}
+            className="w-12 text-center px-2 py-2 rounded-lg bg-transparent border border-[var(--border-light)]"
+            title="Icon"
+          />
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") save(); }}
+            placeholder="Notebook name"
+            className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-transparent border border-[var(--border-light)]"
+          />
+        </div>
+        <div className="grid grid-cols-6 gap-2 mb-5">
+          {COLOR_ORDER.filter((c) => LIGHT_COLORS[c]).map((c) => (
+            <ColorDot key={c} name={c} darkMode={dark} selected={color === c} onClick={() => setColor(c)} />
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          {notebook && (confirmDelete ? (
+            <>
+              <button
+                className="px-3 py-1.5 rounded-lg bg-red-600 text-white hover:bg-red-700"
+                onClick={async () => { await onDelete(notebook); onClose(); }}
+                title="Its notes are kept, outside any notebook"
+              >
+                Delete
+              </button>
+              <button className="px-3 py-1.5 rounded-lg hover:bg-black/5 dark:hover:bg-white/10" onClick={() => setConfirmDelete(false)}>
+                Keep
+              </button>
+            </>
+          ) : (
+            <button
+              className="px-3 py-1.5 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+              onClick={() => setConfirmDelete(true)}
+            >
+              Delete…
+            </button>
+          ))}
+          <div className="flex-1" />
+          <button
+            className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            disabled={!name.trim() || saving}
+            onClick={save}
+          >
+            {notebook ? "Save" : "Create"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ---------- Templates: composer picker and save dialog ---------- */
+function ComposerTemplatePicker({ templates, dark, onUse, onDelete }) {
+  const btnRef = useRef(null);
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        ref={btnRef}
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="px-2 py-1 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-sm flex items-center gap-1 flex-shrink-0"
+        title="New from template"
+      >
+        <TemplateIcon />
+      </button>
+      <Popover anchorRef={btnRef} open={open} onClose={() => setOpen(false)}>
+        <div
+          className={`min-w-[220px] max-w-[280px] border border-[var(--border-light)] rounded-lg shadow-lg overflow-hidden ${dark ? "text-gray-100" : "bg-white text-gray-800"}`}
+          style={{ backgroundColor: dark ? "#222222" : undefined }}
+        >
+          <div className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            New from template
+          </div>
+          {templates.length === 0 ? (
+            <p className="px-3 pb-3 text-sm text-gray-500">
+              No templates yet. Open a note and choose “Save as template” from its ⋮ menu.
+            </p>
+          ) : (
+            templates.map((t) => (
+              <div key={t.id} className={`flex items-center ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}>
+                <button
+                  className="flex-1 min-w-0 text-left px-3 py-2 text-sm truncate"
+                  onClick={() => { setOpen(false); onUse(t); }}
+                  title={t.title || t.name}
+                >
+                  {t.type === "checklist" ? "✅ " : "📝 "}{t.name}
+                </button>
+                <button
+                  className="px-2 py-2 text-xs opacity-60 hover:opacity-100"
+                  onClick={() => { setOpen(false); onDelete(t); }}
+                  title="Delete template"
+                >
+                  ✕
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </Popover>
+    </>
+  );
+}
+
+function SaveTemplateDialog({ open, onClose, dark, defaultName, onSave }) {
+  const [name, setName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setName(defaultName || "");
+  }, [open, defaultName]);
+
+  if (!open) return null;
+
+  const save = async () => {
+    if (!name.trim()) return;
+    setSaving(true);
+    try {
+      await onSave(name.trim());
+      onClose();
+    } catch {
+      // onSave already reported it
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[90%] max-w-sm p-6 relative"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">Save as template</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onClose} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Saves the title, body or checklist items, tags and color. Use <code>{"{{date}}"}</code>,{" "}
+          <code>{"{{time}}"}</code>, <code>{"{{weekday}}"}</code> or <code>{"{{user}}"}</code> to fill them in when a note is created.
+        </p>
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") save(); }}
+          placeholder="Template name"
+          className="w-full px-3 py-2 mb-4 rounded-lg bg-transparent border border-[var(--border-light)]"
+        />
+        <div className="flex justify-end">
+          <button
+            className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            disabled={!name.trim() || saving}
+            onClick={save}
+          >
+            Save template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Counts for an import from another app, shown before anything is written
+function ImportPreviewDialog({ preview, dark, onCancel, onConfirm }) {
+  const [importing, setImporting] = useState(false);
+  if (!preview) return null;
+  const { source, notes, skipped } = preview;
+  const count = (fn) => notes.filter(fn).length;
+  const rows = [
+    ["Notes", notes.length],
+    ["Checklists", count((n) => n.type === "checklist")],
+    ["Notebooks", new Set(notes.map((n) => n.notebook).filter(Boolean)).size],
+    ["Tags", new Set(notes.flatMap((n) => n.tags)).size],
+    ["Images", notes.reduce((sum, n) => sum + n.imagePaths.length, 0)],
+    ["Pinned", count((n) => n.pinned)],
+    ["Archived", count((n) => n.archived)],
+    ["Skipped (trashed or conflicts)", skipped],
+  ].filter(([label, value]) => value || label === "Notes");
+  const PREVIEW_TITLES = 8;
+
+  const confirm = async () => {
+    setImporting(true);
+    try {
+      await onConfirm();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={importing ? undefined : onCancel} />
+      <div
+        className="glass-card rounded-xl shadow-2xl w-[90%] max-w-sm p-6 relative"
+        style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Import from {source}</h3>
+          <button className="p-2 rounded hover:bg-black/5 dark:hover:bg-white/10" onClick={onCancel} disabled={importing} title="Close">
+            <CloseIcon />
+          </button>
+        </div>
+        <dl className="text-sm grid grid-cols-[1fr_auto] gap-x-4 gap-y-1 mb-4">
+          {rows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-600 dark:text-gray-300">{label}</dt>
+              <dd className="text-right font-medium">{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        {notes.length > 0 && (
+          <ul className="text-sm mb-4 space-y-1 max-h-40 overflow-y-auto">
+            {notes.slice(0, PREVIEW_TITLES).map((n, i) => (
+              <li key={i} className="truncate">{n.title || <span className="italic text-gray-500">Untitled</span>}</li>
+            ))}
+            {notes.length > PREVIEW_TITLES && (
+              <li className="text-gray-500">and {notes.length - PREVIEW_TITLES} more…</li>
+            )}
+          </ul>
+        )}
+        <div className="flex justify-end gap-3">
+          <button
+            className="px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
+            onClick={onCancel}
+            disabled={importing}
+          >
+            Cancel
+          </button>
+          <button
+            className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            disabled={!notes.length || importing}
+            onClick={confirm}
+          >
+            {importing ? "Importing…" : `Import ${notes.length} note(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /** ---------- NotesUI (presentational) ---------- */
 function NotesUI({
   currentUser, dark, toggleDark,
-  search, setSearch,
+  search, setSearch, searching = false,
   composerType, setComposerType,
   title, setTitle,
   content, setContent, contentRef,
@@ -2102,13 +4131,15 @@ function NotesUI({
   composerImages, setComposerImages, composerFileRef,
   tags, setTags,
   composerColor, setComposerColor,
+  notebooks = [], composerNotebookId, setComposerNotebookId, activeNotebook,
+  templates = [], onUseTemplate, onDeleteTemplate,
   addNote,
   pinned, others,
   openModal,
   onDragStart, onDragOver, onDragLeave, onDrop, onDragEnd,
   togglePin,
   addImagesToState,
-  onExportAll, onImportAll, onImportGKeep, onImportMd, onDownloadSecretKey, importFileRef, gkeepFileRef, mdFileRef, signOut,
+  onExportAll, onImportAll, onImportGKeep, onImportMd, onImportVault, onImportEnex, onImportOtherApp, onDownloadSecretKey, importFileRef, gkeepFileRef, mdFileRef, vaultFileRef, enexFileRef, otherAppFileRef, joplinFolderRef, signOut,
   filteredEmptyWithSearch, allEmpty,
   headerMenuOpen, setHeaderMenuOpen,
   headerMenuRef, headerBtnRef,
@@ -2138,6 +4169,10 @@ function NotesUI({
   onSelectAllPinned,
   onSelectAllOthers,
   onBulkDelete,
+  onBulkRestore,
+  onEmptyTrash,
+  onSnoozeReminder,
+  onCompleteReminder,
   onBulkPin,
   onBulkArchive,
   onBulkColor,
@@ -2152,12 +4187,16 @@ function NotesUI({
   loadArchivedNotes,
   // checklist update
   onUpdateChecklistItem,
+  // other people with each note open, by note id
+  presenceFor,
+  tagMeta,
   // Admin panel
   openAdminPanel,
   // Settings panel
   openSettingsPanel,
   // AI props
-  localAiEnabled, aiResponse, setAiResponse, isAiLoading, aiLoadingProgress, onAiSearch
+  localAiEnabled, aiResponse, setAiResponse, isAiLoading, aiLoadingProgress, onAiSearch,
+  instanceName = "Glass Keep",
 }) {
   // Multi-select color popover (local UI state)
   const multiColorBtnRef = useRef(null);
@@ -2165,7 +4204,8 @@ function NotesUI({
   const tagLabel =
     activeTagFilter === ALL_IMAGES ? "All Images" :
       activeTagFilter === 'ARCHIVED' ? "Archived Notes" :
-        activeTagFilter;
+        activeTagFilter === 'TRASH' ? "Trash" :
+          activeTagFilter;
 
   // Close header menu when scrolling
   React.useEffect(() => {
@@ -2194,9 +4234,16 @@ function NotesUI({
             <button className="px-3 py-1.5 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-sm" onClick={onBulkDownloadZip}>
               Download (.zip)
             </button>
+            {activeTagFilter === 'TRASH' && (
+              <button className="px-3 py-1.5 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-sm flex items-center gap-1" onClick={onBulkRestore}>
+                <RestoreIcon />
+                Restore
+              </button>
+            )}
             <button className="px-3 py-1.5 rounded-lg bg-red-600 text-white hover:bg-red-700 text-sm" onClick={onBulkDelete}>
-              Delete
+              {activeTagFilter === 'TRASH' ? 'Delete forever' : 'Delete'}
             </button>
+            {activeTagFilter !== 'TRASH' && (<>
             <button
               ref={multiColorBtnRef}
               type="button"
@@ -2235,6 +4282,7 @@ function NotesUI({
               <ArchiveIcon />
               {activeTagFilter === 'ARCHIVED' ? 'Unarchive' : 'Archive'}
             </button>
+            </>)}
             <span className="text-xs opacity-70 ml-2">Selected: {selectedIds.length}</span>
           </div>
           <button
@@ -2271,10 +4319,15 @@ function NotesUI({
             draggable="false"
           />
 
-          <h1 className="hidden sm:block text-2xl sm:text-3xl font-bold">Glass Keep</h1>
+          <h1 className="hidden sm:block text-2xl sm:text-3xl font-bold">{instanceName}</h1>
           {activeTagFilter && (
             <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-indigo-600/10 text-indigo-700 dark:text-indigo-300 border border-indigo-600/20">
-              {tagLabel === "All Images" || tagLabel === "Archived Notes" ? tagLabel : `Tag: ${tagLabel}`}
+              {tagLabel === "All Images" || tagLabel === "Archived Notes" || tagLabel === "Trash" ? tagLabel : `Tag: ${tagLabel}`}
+            </span>
+          )}
+          {activeNotebook && (
+            <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-indigo-600/10 text-indigo-700 dark:text-indigo-300 border border-indigo-600/20">
+              {`Notebook: ${tagDisplayName(activeNotebook.name, activeNotebook)}`}
             </span>
           )}
 
@@ -2301,6 +4354,12 @@ function NotesUI({
               }}
             />
             <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-1">
+              {searching && (
+                <span
+                  className="h-3.5 w-3.5 rounded-full border-2 border-gray-400 border-t-transparent animate-spin"
+                  aria-label="Searching"
+                />
+              )}
               {localAiEnabled && search.trim().length > 0 && (
                 <button
                   type="button"
@@ -2407,41 +4466,94 @@ function NotesUI({
 
           {/* Hidden import input */}
           <input
-            ref={importFileRef}
+            ref={importFileRef}
+            type="file"
+            accept="application/json"
+            className="hidden"
+            onChange={async (e) => {
+              if (e.target.files && e.target.files.length) {
+                await onImportAll?.(e.target.files);
+                e.target.value = "";
+              }
+            }}
+          />
+          {/* Hidden Google Keep import input (multiple) */}
+          <input
+            ref={gkeepFileRef}
+            type="file"
+            accept="application/json,.json,.zip,application/zip,image/*"
+            multiple
+            className="hidden"
+            onChange={async (e) => {
+              if (e.target.files && e.target.files.length) {
+                await onImportGKeep?.(e.target.files);
+                e.target.value = "";
+              }
+            }}
+          />
+          {/* Hidden Markdown import input (multiple) */}
+          <input
+            ref={mdFileRef}
             type="file"
-            accept="application/json"
+            accept=".md,text/markdown"
+            multiple
             className="hidden"
             onChange={async (e) => {
               if (e.target.files && e.target.files.length) {
-                await onImportAll?.(e.target.files);
+                await onImportMd?.(e.target.files);
                 e.target.value = "";
               }
             }}
           />
-          {/* Hidden Google Keep import input (multiple) */}
+          {/* Hidden Markdown vault import input */}
           <input
-            ref={gkeepFileRef}
+            ref={vaultFileRef}
             type="file"
-            accept="application/json"
+            accept=".zip,application/zip"
+            className="hidden"
+            onChange={async (e) => {
+              if (e.target.files && e.target.files.length) {
+                await onImportVault?.(e.target.files);
+                e.target.value = "";
+              }
+            }}
+          />
+          {/* Hidden Joplin / Simplenote / Standard Notes import inputs */}
+          <input
+            ref={otherAppFileRef}
+            type="file"
+            accept=".jex,.json,application/json,application/x-tar"
             multiple
             className="hidden"
             onChange={async (e) => {
               if (e.target.files && e.target.files.length) {
-                await onImportGKeep?.(e.target.files);
+                await onImportOtherApp?.(e.target.files);
                 e.target.value = "";
               }
             }}
           />
-          {/* Hidden Markdown import input (multiple) */}
           <input
-            ref={mdFileRef}
+            ref={joplinFolderRef}
             type="file"
-            accept=".md,text/markdown"
+            webkitdirectory=""
+            className="hidden"
+            onChange={async (e) => {
+              if (e.target.files && e.target.files.length) {
+                await onImportOtherApp?.(e.target.files);
+                e.target.value = "";
+              }
+            }}
+          />
+          {/* Hidden Evernote import input (multiple) */}
+          <input
+            ref={enexFileRef}
+            type="file"
+            accept=".enex"
             multiple
             className="hidden"
             onChange={async (e) => {
               if (e.target.files && e.target.files.length) {
-                await onImportMd?.(e.target.files);
+                await onImportEnex?.(e.target.files);
                 e.target.value = "";
               }
             }}
@@ -2480,7 +4592,7 @@ function NotesUI({
               ) : (
                 <div
                   className="text-gray-800 dark:text-gray-200 note-content"
-                  dangerouslySetInnerHTML={{ __html: marked.parse(aiResponse || "") }}
+                  dangerouslySetInnerHTML={{ __html: renderMarkdown(aiResponse) }}
                 />
               )}
             </div>
@@ -2488,10 +4600,10 @@ function NotesUI({
         </div>
       )}
 
-      {/* Composer */}
+      {/* Composer (hidden in the trash) */}
       <div className="px-4 sm:px-6 md:px-8 lg:px-12">
         <div className="max-w-2xl mx-auto">
-          {!isOnline ? (
+          {activeTagFilter === 'TRASH' ? null : !isOnline ? (
             <div className="glass-card rounded-xl shadow-lg p-6 mb-8 text-center">
               <div className="text-orange-600 dark:text-orange-400 mb-2">
                 <svg className="w-8 h-8 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -2678,6 +4790,16 @@ function NotesUI({
                         </button>
                       </div>
 
+                      {/* New from template (composer) */}
+                      {onUseTemplate && (
+                        <ComposerTemplatePicker
+                          templates={templates}
+                          dark={dark}
+                          onUse={onUseTemplate}
+                          onDelete={onDeleteTemplate}
+                        />
+                      )}
+
                       {/* Color dropdown (composer) */}
                       <button
                         ref={colorBtnRef}
@@ -2718,6 +4840,21 @@ function NotesUI({
                         </div>
                       </Popover>
 
+                      {/* Notebook (composer) */}
+                      {notebooks.length > 0 && (
+                        <select
+                          value={composerNotebookId || ""}
+                          onChange={(e) => setComposerNotebookId(e.target.value || null)}
+                          className="max-w-[9rem] px-2 py-1 rounded-lg border border-[var(--border-light)] bg-transparent text-sm flex-shrink-0"
+                          title="Notebook"
+                        >
+                          <option value="">No notebook</option>
+                          {notebooks.map((nb) => (
+                            <option key={nb.id} value={nb.id}>{tagDisplayName(nb.name, nb)}</option>
+                          ))}
+                        </select>
+                      )}
+
                       {/* Add Image (composer) */}
                       <input
                         ref={composerFileRef}
@@ -2726,15 +4863,8 @@ function NotesUI({
                         multiple
                         className="hidden"
                         onChange={async (e) => {
-                          const files = Array.from(e.target.files || []);
-                          const results = [];
-                          for (const f of files) {
-                            try {
-                              const src = await fileToCompressedDataURL(f);
-                              results.push({ id: uid(), src, name: f.name });
-                            } catch (e) { }
-                          }
-                          if (results.length) setComposerImages((prev) => [...prev, ...results]);
+                          const files = e.target.files;
+                          if (files && files.length) await addImagesToState(files, setComposerImages);
                           e.target.value = "";
                         }}
                       />
@@ -2768,6 +4898,19 @@ function NotesUI({
 
       {/* Notes lists */}
       < main className="px-4 sm:px-6 md:px-8 lg:px-12 pb-12" >
+        {
+          activeTagFilter === 'TRASH' && (pinned.length + others.length > 0) && (
+            <div className="max-w-2xl mx-auto mb-6 flex items-center justify-between gap-3 text-sm text-gray-600 dark:text-gray-300">
+              <span>Notes in the Trash are permanently deleted automatically.</span>
+              <button
+                className="px-3 py-1.5 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-sm whitespace-nowrap"
+                onClick={onEmptyTrash}
+              >
+                Empty Trash
+              </button>
+            </div>
+          )
+        }
         {
           pinned.length > 0 && (
             <section className="mb-10">
@@ -2793,7 +4936,7 @@ function NotesUI({
                     multiMode={multiMode}
                     selected={selectedIds.includes(String(n.id))}
                     onToggleSelect={onToggleSelect}
-                    disablePin={('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || activeTagFilter === 'ARCHIVED'}
+                    disablePin={('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || activeTagFilter === 'ARCHIVED' || activeTagFilter === 'TRASH'}
                     onDragStart={onDragStart}
                     onDragOver={onDragOver}
                     onDragLeave={onDragLeave}
@@ -2802,6 +4945,10 @@ function NotesUI({
                     isOnline={isOnline}
                     onUpdateChecklistItem={onUpdateChecklistItem}
                     currentUser={currentUser}
+                    presence={presenceFor?.(n.id)}
+                    tagMeta={tagMeta}
+                    onSnoozeReminder={activeTagFilter === 'TRASH' ? undefined : onSnoozeReminder}
+                    onCompleteReminder={onCompleteReminder}
                   />
                 ))}
               </div>
@@ -2836,7 +4983,7 @@ function NotesUI({
                     multiMode={multiMode}
                     selected={selectedIds.includes(String(n.id))}
                     onToggleSelect={onToggleSelect}
-                    disablePin={('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || activeTagFilter === 'ARCHIVED'}
+                    disablePin={('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || activeTagFilter === 'ARCHIVED' || activeTagFilter === 'TRASH'}
                     onDragStart={onDragStart}
                     onDragOver={onDragOver}
                     onDragLeave={onDragLeave}
@@ -2845,6 +4992,10 @@ function NotesUI({
                     isOnline={isOnline}
                     onUpdateChecklistItem={onUpdateChecklistItem}
                     currentUser={currentUser}
+                    presence={presenceFor?.(n.id)}
+                    tagMeta={tagMeta}
+                    onSnoozeReminder={activeTagFilter === 'TRASH' ? undefined : onSnoozeReminder}
+                    onCompleteReminder={onCompleteReminder}
                   />
                 ))}
               </div>
@@ -2869,7 +5020,7 @@ function NotesUI({
         {
           !notesLoading && allEmpty && (
             <p className="text-center text-gray-500 dark:text-gray-400 mt-10">
-              No notes yet. Add one to get started!
+              {activeTagFilter === 'TRASH' ? "Trash is empty." : "No notes yet. Add one to get started!"}
             </p>
           )
         }
@@ -3033,6 +5184,8 @@ export default function App() {
   // Notes & search
   const [notes, setNotes] = useState([]);
   const [search, setSearch] = useState("");
+  const [searchResults, setSearchResults] = useState(null); // ranked server results, null = use local filter
+  const [searching, setSearching] = useState(false);
 
   // Tag filter & sidebar
   const [tagFilter, setTagFilter] = useState(null); // null = all, ALL_IMAGES = only notes with images
@@ -3061,6 +5214,7 @@ export default function App() {
   const [content, setContent] = useState("");
   const [tags, setTags] = useState("");
   const [composerColor, setComposerColor] = useState("default");
+  const [composerNotebookId, setComposerNotebookId] = useState(null);
   const [composerImages, setComposerImages] = useState([]);
   const contentRef = useRef(null);
   const composerFileRef = useRef(null);
@@ -3095,6 +5249,50 @@ export default function App() {
   const [genericConfirmOpen, setGenericConfirmOpen] = useState(false);
   const [genericConfirmConfig, setGenericConfirmConfig] = useState({});
 
+  // Reminders (all of the user's notes with a reminder, for the sidebar)
+  const [reminders, setReminders] = useState([]);
+  const [showModalReminderPop, setShowModalReminderPop] = useState(false);
+  const modalReminderBtnRef = useRef(null);
+  const pendingOpenNoteIdRef = useRef(null);
+  const reminderEventRef = useRef(null);
+  const crdtEventRef = useRef(null);
+  // Typed note events (note_created, note_updated, ...) and the id to resume from
+  const noteEventRef = useRef(null);
+  const lastEventIdRef = useRef(null);
+
+  // Presence: the SSE connection id we announce open notes under, and who
+  // else has each note open ({ [noteId]: [{ id, name, mode }] })
+  const [sseConnectionId, setSseConnectionId] = useState(null);
+  const [presence, setPresence] = useState({});
+
+  // Tag metadata ({ name, count, color, icon, position }) and the manager dialog
+  const [tagInfo, setTagInfo] = useState([]);
+
+  // Notebooks, the one being shown (null = all notes) and the create/edit dialog
+  // (editingNotebook: undefined = closed, null = new, else the notebook)
+  const [notebooks, setNotebooks] = useState([]);
+  const [notebookFilter, setNotebookFilter] = useState(null);
+  const [editingNotebook, setEditingNotebook] = useState(undefined);
+
+  // Note templates and the "Save as template" dialog
+  const [templates, setTemplates] = useState([]);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  const [tagManagerOpen, setTagManagerOpen] = useState(false);
+  const tagMeta = useMemo(
+    () => Object.fromEntries(tagInfo.map((t) => [t.name.toLowerCase(), t])),
+    [tagInfo]
+  );
+
+  // Revision history dialog
+  const [revisionsOpen, setRevisionsOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [revisionsLoading, setRevisionsLoading] = useState(false);
+
+  // Public share links dialog
+  const [shareLinksOpen, setShareLinksOpen] = useState(false);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareLinksLoading, setShareLinksLoading] = useState(false);
+
   // Toast notification system
   const [toasts, setToasts] = useState([]);
 
@@ -3144,6 +5342,7 @@ export default function App() {
   // Collaboration modal
   const [collaborationModalOpen, setCollaborationModalOpen] = useState(false);
   const [collaboratorUsername, setCollaboratorUsername] = useState("");
+  const [collaboratorRole, setCollaboratorRole] = useState("editor");
   const [addModalCollaborators, setAddModalCollaborators] = useState([]);
   const [availableUsers, setAvailableUsers] = useState([]);
   const [filteredUsers, setFilteredUsers] = useState([]);
@@ -3178,6 +5377,10 @@ export default function App() {
   const importFileRef = useRef(null);
   const gkeepFileRef = useRef(null);
   const mdFileRef = useRef(null);
+  const vaultFileRef = useRef(null);
+  const enexFileRef = useRef(null);
+  const otherAppFileRef = useRef(null);
+  const joplinFolderRef = useRef(null);
 
   // Modal kebab anchor
   const modalMenuBtnRef = useRef(null);
@@ -3251,18 +5454,23 @@ export default function App() {
 
   const onBulkDelete = async () => {
     if (!selectedIds.length) return;
+    const inTrash = tagFilter === 'TRASH';
     showGenericConfirm({
-      title: "Delete Notes",
-      message: `Delete ${selectedIds.length} selected note(s)? This cannot be undone.`,
-      confirmText: "Delete",
+      title: inTrash ? "Delete Forever" : "Move to Trash",
+      message: inTrash
+        ? `Permanently delete ${selectedIds.length} selected note(s)? This cannot be undone.`
+        : `Move ${selectedIds.length} selected note(s) to the trash?`,
+      confirmText: inTrash ? "Delete forever" : "Move to trash",
       danger: true,
       onConfirm: async () => {
         try {
           // Fire deletes sequentially to keep API simple
           for (const id of selectedIds) {
-            await api(`/notes/${id}`, { method: "DELETE", token });
+            await api(inTrash ? `/notes/${id}/permanent` : `/notes/${id}`, { method: "DELETE", token });
           }
           setNotes((prev) => prev.filter((n) => !selectedIds.includes(String(n.id))));
+          invalidateNotesCache();
+          invalidateArchivedNotesCache();
           onExitMulti();
         } catch (e) {
           alert(e.message || "Bulk delete failed");
@@ -3271,6 +5479,23 @@ export default function App() {
     });
   };
 
+  const onBulkRestore = async () => {
+    if (!selectedIds.length) return;
+    try {
+      for (const id of selectedIds) {
+        await api(`/notes/${id}/restore`, { method: "POST", token });
+      }
+      setNotes((prev) => prev.filter((n) => !selectedIds.includes(String(n.id))));
+      invalidateNotesCache();
+      invalidateArchivedNotesCache();
+      showToast(`Restored ${selectedIds.length} note(s)`, "success");
+      onExitMulti();
+    } catch (e) {
+      console.error("Bulk restore failed", e);
+      loadTrashedNotes().catch(() => { });
+    }
+  };
+
   const onBulkPin = async (pinnedVal) => {
     if (!selectedIds.length) return;
     try {
@@ -3342,28 +5567,9 @@ export default function App() {
     const note = notes.find(n => String(n.id) === String(noteId));
     if (!note) return;
 
-    // Optimistically update the note
-    const updatedItems = (note.items || []).map(item =>
-      item.id === itemId ? { ...item, done: checked } : item
-    );
-    const updatedNote = { ...note, items: updatedItems };
-
-    // Update local state optimistically
-    setNotes(prev => prev.map(n =>
-      String(n.id) === String(noteId) ? updatedNote : n
-    ));
-
     try {
-      // Update on server
-      await api(`/notes/${noteId}`, {
-        method: "PATCH",
-        token,
-        body: { items: updatedItems, type: "checklist", content: "" }
-      });
-
-      // Invalidate caches since we modified the note
-      invalidateNotesCache();
-      invalidateArchivedNotesCache();
+      // Updates local state optimistically, then sends only this item
+      await sendChecklistItemOp(noteId, { op: "update", itemId, changes: { done: checked } });
     } catch (error) {
       console.error("Failed to update checklist item:", error);
       // Revert the optimistic update on error
@@ -3416,10 +5622,16 @@ export default function App() {
 
   // Admin panel state
   const [adminPanelOpen, setAdminPanelOpen] = useState(false);
-  const [adminSettings, setAdminSettings] = useState({ allowNewAccounts: true });
+  const [adminSettings, setAdminSettings] = useState({ allowNewAccounts: true, registrationMode: "open", registrationDomains: [] });
   const [allUsers, setAllUsers] = useState([]);
   const [newUserForm, setNewUserForm] = useState({ name: '', email: '', password: '', is_admin: false });
   const [allowRegistration, setAllowRegistration] = useState(true);
+  // Public instance settings (GET /api/instance), editable in the admin panel
+  const [instanceSettings, setInstanceSettings] = useState({
+    instanceName: "Glass Keep",
+    defaultTheme: "system",
+    aiEnabled: true,
+  });
 
   // Settings panel state
   const [settingsPanelOpen, setSettingsPanelOpen] = useState(false);
@@ -3429,6 +5641,77 @@ export default function App() {
     () => notes.find((x) => String(x.id) === String(activeId)),
     [notes, activeId]
   );
+
+  // Trashed notes can only be restored or deleted, not edited; viewers only read
+  const modalEditable = isOnline && tagFilter !== 'TRASH' && activeNoteObj?.accessRole !== 'viewer';
+
+  /** -------- Note versions (optimistic concurrency) -------- */
+  // Version the open modal's edits are based on; full saves send it so the
+  // server can reject a stale copy with 409
+  const modalBaseRef = useRef(null); // { noteId, version }
+  const [conflict, setConflict] = useState(null); // { noteId, mine, theirs }
+
+  // Record the version returned by one of our own writes
+  const noteVersionSeen = useCallback((noteId, version) => {
+    if (version == null) return;
+    setNotes((prev) => prev.map((n) => (String(n.id) === String(noteId) ? { ...n, version } : n)));
+    if (modalBaseRef.current?.noteId === String(noteId)) {
+      modalBaseRef.current = { noteId: String(noteId), version };
+    }
+  }, []);
+
+  const patchNote = useCallback(async (noteId, body) => {
+    const r = await api(`/notes/${noteId}`, { method: "PATCH", token, body });
+    noteVersionSeen(noteId, r?.version);
+    return r;
+  }, [token, noteVersionSeen]);
+
+  // Full save; on a version conflict the merge dialog opens and the error is
+  // rethrown with isConflict set
+  const putNote = useCallback(async (noteId, payload) => {
+    const base = modalBaseRef.current;
+    const version = base?.noteId === String(noteId) ? base.version : undefined;
+    try {
+      const r = await api(`/notes/${noteId}`, { method: "PUT", token, body: { ...payload, version } });
+      noteVersionSeen(noteId, r?.version);
+      return r;
+    } catch (e) {
+      if (e.status === 409 && e.data?.note) {
+        const theirs = e.data.note;
+        // Overlapping saves of our own edits: nothing to merge, save on top
+        if (noteToDiffText(theirs) === noteToDiffText(payload) && sameNoteMeta(theirs, payload)) {
+          const r = await api(`/notes/${noteId}`, { method: "PUT", token, body: { ...payload, version: theirs.version } });
+          noteVersionSeen(noteId, r?.version);
+          return r;
+        }
+        setConflict({ noteId: String(noteId), mine: payload, theirs });
+        e.isConflict = true;
+      }
+      throw e;
+    }
+  }, [token, noteVersionSeen]);
+
+  // Apply one checklist item change locally, then send just that change
+  const sendChecklistItemOp = async (noteId, d) => {
+    setNotes((prev) => withChecklistDelta(prev, noteId, d));
+    const base = `/notes/${noteId}/items`;
+    const itemPath = `${base}/${encodeURIComponent(d.itemId)}`;
+    let r;
+    if (d.op === "add") {
+      r = await api(base, { method: "POST", token, body: { ...d.item, index: d.index } });
+    } else if (d.op === "update") {
+      r = await api(itemPath, { method: "PATCH", token, body: d.changes });
+    } else if (d.op === "move") {
+      r = await api(`${itemPath}/move`, { method: "POST", token, body: { index: d.index } });
+    } else {
+      r = await api(itemPath, { method: "DELETE", token });
+    }
+    noteVersionSeen(noteId, r?.version);
+    invalidateNotesCache();
+    invalidateArchivedNotesCache();
+    return r;
+  };
+
   const editedStamp = useMemo(() => {
     const ts = activeNoteObj?.updated_at || activeNoteObj?.timestamp;
     const baseStamp = ts ? formatEditedStamp(ts) : "";
@@ -3690,13 +5973,31 @@ export default function App() {
       setNotesLoading(false);
     }
   };
+  // Load trashed notes
+  const loadTrashedNotes = async () => {
+    if (!token) return;
+    setNotesLoading(true);
+    try {
+      const data = await api("/notes/trash", { token });
+      setNotes(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error("Error loading trashed notes from server:", error);
+      setNotes([]);
+    } finally {
+      setNotesLoading(false);
+    }
+  };
   useEffect(() => {
     if (!token) return;
 
     console.log("Tag filter changed to:", tagFilter, "from previous value");
 
     // Load appropriate notes based on tag filter
-    if (tagFilter === 'ARCHIVED') {
+    if (tagFilter === 'TRASH') {
+      loadTrashedNotes().catch((error) => {
+        console.error("Failed to load trashed notes:", error);
+      });
+    } else if (tagFilter === 'ARCHIVED') {
       console.log("Loading archived notes...");
       loadArchivedNotes().catch((error) => {
         console.error("Failed to load archived notes:", error);
@@ -3709,11 +6010,15 @@ export default function App() {
     }
   }, [token, tagFilter]);
 
-  // Check registration setting on app load
+  // Load instance settings on app load
   useEffect(() => {
-    checkRegistrationSetting();
+    loadInstanceSettings();
   }, []);
 
+  useEffect(() => {
+    document.title = instanceSettings.instanceName;
+  }, [instanceSettings.instanceName]);
+
   // Handle token expiration globally - must be after signOut is defined
   // This will be added after signOut is defined below
 
@@ -3734,44 +6039,61 @@ export default function App() {
         const url = new URL(`${window.location.origin}/api/events`);
         url.searchParams.set("token", token);
         url.searchParams.set("_t", Date.now()); // Cache buster for PWA
+        // Our reconnects are new EventSources, so pass Last-Event-ID ourselves
+        if (lastEventIdRef.current) url.searchParams.set("lastEventId", lastEventIdRef.current);
         es = new EventSource(url.toString());
 
         es.onopen = () => {
           console.log("SSE connected");
           setSseConnected(true);
           reconnectAttempts = 0;
+          // Ops broadcast while disconnected were missed
+          crdtEventRef.current?.({ type: 'resync' });
         };
 
         es.onmessage = (e) => {
+          if (e.lastEventId) lastEventIdRef.current = e.lastEventId;
           try {
             const msg = JSON.parse(e.data || '{}');
-            if (msg && msg.type === 'note_updated') {
-              // Refresh notes list on any note update relevant to this user
-              if (tagFilter === 'ARCHIVED') {
-                loadArchivedNotes().catch(() => { });
-              } else {
-                loadNotes().catch(() => { });
-              }
+            if (msg && msg.type === 'reminder') {
+              reminderEventRef.current?.(msg);
+            } else if (msg && msg.type === 'note_crdt') {
+              crdtEventRef.current?.(msg);
+            } else if (msg && msg.type === 'notebooks') {
+              setNotebooks(Array.isArray(msg.notebooks) ? msg.notebooks : []);
+            } else if (msg && msg.type === 'presence') {
+              setPresence((prev) => ({ ...prev, [msg.noteId]: msg.users || [] }));
+            } else if (msg && msg.type === 'checklist_item') {
+              // Patch the one item instead of refetching every note
+              setNotes((prev) => withChecklistDelta(prev, msg.noteId, msg));
+            } else if (msg && msg.noteId) {
+              noteEventRef.current?.(msg);
             }
           } catch (e) { }
         };
 
-        es.addEventListener('note_updated', (e) => {
+        // Too far behind to replay: reload whatever list is showing
+        es.addEventListener('resync', (e) => {
+          if (e.lastEventId) lastEventIdRef.current = e.lastEventId;
+          noteEventRef.current?.({ type: 'resync' });
+        });
+
+        es.addEventListener('hello', (e) => {
           try {
             const msg = JSON.parse(e.data || '{}');
-            if (msg && msg.noteId) {
-              if (tagFilter === 'ARCHIVED') {
-                loadArchivedNotes().catch(() => { });
-              } else {
-                loadNotes().catch(() => { });
-              }
-            }
-          } catch (e) { }
+            setSseConnectionId(msg.connectionId || null);
+            // Presence changes while disconnected were missed
+            api("/presence", { token }).then(setPresence).catch(() => { });
+          } catch {
+            // ignore a malformed hello
+          }
         });
 
         es.onerror = (error) => {
           console.log("SSE error, attempting reconnect...", error);
           setSseConnected(false);
+          // The server drops presence with the stream; the next hello brings a new id
+          setSseConnectionId(null);
 
           // Check if SSE is in a failed state (readyState 2 = CLOSED, usually means 401/auth error)
           if (es.readyState === EventSource.CLOSED) {
@@ -3935,11 +6257,7 @@ export default function App() {
     // Debounce auto-save by 500ms
     const timeoutId = setTimeout(async () => {
       try {
-        await api(`/notes/${activeId}`, {
-          method: "PATCH",
-          token,
-          body: { content: JSON.stringify(mDrawingData), type: "draw" }
-        });
+        await patchNote(activeId, { content: JSON.stringify(mDrawingData), type: "draw" });
         prevDrawingRef.current = mDrawingData;
         invalidateNotesCache();
       } catch (e) {
@@ -3948,7 +6266,7 @@ export default function App() {
     }, 500);
 
     return () => clearTimeout(timeoutId);
-  }, [mDrawingData, open, activeId, mType, token]);
+  }, [mDrawingData, open, activeId, mType, patchNote]);
 
   // Live-sync drawing data in open modal when remote updates arrive
   useEffect(() => {
@@ -3967,6 +6285,7 @@ export default function App() {
       if (serverJson !== prevJson) {
         setMDrawingData(normalizedData);
         prevDrawingRef.current = normalizedData;
+        modalBaseRef.current = { noteId: String(activeId), version: n.version };
       }
     } catch (e) {
       // Invalid JSON, ignore
@@ -4093,6 +6412,8 @@ export default function App() {
 
   /** -------- Auth actions -------- */
   const signOut = () => {
+    // Drops the cookie attachments are loaded with
+    api("/logout", { method: "POST" }).catch(() => {});
     setAuth(null);
     setSession(null);
     setNotes([]);
@@ -4136,6 +6457,7 @@ export default function App() {
     const handleAuthExpired = () => {
       console.log("Auth expired, signing out...");
       // Clear auth and redirect to login
+      api("/logout", { method: "POST" }).catch(() => {});
       setAuth(null);
       setSession(null);
       setNotes([]);
@@ -4192,6 +6514,7 @@ export default function App() {
       tags: tags.split(",").map((t) => t.trim()).filter(Boolean),
       images: composerImages,
       color: composerColor,
+      notebookId: composerNotebookId,
       pinned: false,
       position: Date.now(),
       timestamp: nowIso,
@@ -4220,6 +6543,62 @@ export default function App() {
     }
   };
 
+  /** -------- Templates -------- */
+  // Fill the composer from a template, expanding its placeholders
+  const applyTemplate = (t) => {
+    const ctx = { now: new Date(), user: currentUser?.name || currentUser?.email || "" };
+    const expand = (text) => expandTemplateText(text, ctx);
+    setComposerType(t.type === "checklist" ? "checklist" : "text");
+    setTitle(expand(t.title));
+    setContent(t.type === "checklist" ? "" : expand(t.content));
+    setClItems(t.type === "checklist"
+      ? (t.items || []).map((it) => ({ id: uid(), text: expand(it.text), done: false }))
+      : []);
+    setTags((t.tags || []).map(expand).join(", "));
+    setComposerColor(t.color || "default");
+    setComposerCollapsed(false);
+  };
+
+  const saveAsTemplate = async (name) => {
+    try {
+      const created = await api("/templates", {
+        method: "POST",
+        token,
+        body: {
+          name,
+          type: mType,
+          title: mTitle.trim(),
+          content: mType === "text" ? mBody : "",
+          items: mType === "checklist" ? mItems : [],
+          tags: mTagList,
+          color: mColor,
+        },
+      });
+      setTemplates((prev) => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+      showToast(`Saved template “${name}”`, "success");
+    } catch (e) {
+      showToast(e.message || "Failed to save template", "error");
+      throw e;
+    }
+  };
+
+  const deleteTemplate = (t) => {
+    showGenericConfirm({
+      title: "Delete template",
+      message: `Delete the template “${t.name}”? Notes created from it are not affected.`,
+      confirmText: "Delete",
+      danger: true,
+      onConfirm: async () => {
+        try {
+          await api(`/templates/${t.id}`, { method: "DELETE", token });
+          setTemplates((prev) => prev.filter((x) => x.id !== t.id));
+        } catch (e) {
+          showToast(e.message || "Failed to delete template", "error");
+        }
+      },
+    });
+  };
+
   /** -------- Download single note .md -------- */
   const handleDownloadNote = (note) => {
     const md = mdForDownload(note);
@@ -4273,6 +6652,7 @@ export default function App() {
     try {
       const settings = await api("/admin/settings", { method: "PATCH", token, body: newSettings });
       setAdminSettings(settings);
+      loadInstanceSettings();
     } catch (e) {
       alert(e.message || "Failed to update admin settings");
     }
@@ -4334,13 +6714,20 @@ export default function App() {
     setSettingsPanelOpen(true);
   };
 
-  // Check if registration is allowed
-  const checkRegistrationSetting = async () => {
+  // Instance name, default theme, feature switches and whether registration is allowed
+  const loadInstanceSettings = async () => {
     try {
-      const response = await api("/admin/allow-registration");
-      setAllowRegistration(response.allowNewAccounts);
+      const settings = await api("/instance");
+      setInstanceSettings(settings);
+      setAllowRegistration(settings.allowNewAccounts);
+      // The instance's default theme applies until the user picks one
+      if (!("glass-keep-dark-mode" in localStorage) && settings.defaultTheme !== "system") {
+        const next = settings.defaultTheme === "dark";
+        setDark(next);
+        document.documentElement.classList.toggle("dark", next);
+      }
     } catch (e) {
-      console.error("Failed to check registration setting:", e);
+      console.error("Failed to load instance settings:", e);
       setAllowRegistration(false); // Default to false if check fails
     }
   };
@@ -4366,6 +6753,26 @@ export default function App() {
     }
   };
 
+  // Built server-side (attachments and drawings are rendered there), so fetch the raw bytes
+  const exportZip = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/notes/export?format=zip`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      const ts = new Date().toISOString().replace(/[:.]/g, "-");
+      triggerBlobDownload(
+        sanitizeFilename(`glass-keep-notes-${currentUser?.email || "user"}-${ts}`) + ".zip",
+        await res.blob()
+      );
+    } catch (e) {
+      alert(e.message || "Export failed");
+    }
+  };
+
   const importAll = async (fileList) => {
     try {
       if (!fileList || !fileList.length) return;
@@ -4374,121 +6781,409 @@ export default function App() {
       const parsed = JSON.parse(text);
       const notesArr = Array.isArray(parsed?.notes) ? parsed.notes : (Array.isArray(parsed) ? parsed : []);
       if (!notesArr.length) { alert("No notes found in file."); return; }
-      await api("/notes/import", { method: "POST", token, body: { notes: notesArr } });
-      await loadNotes();
-      alert(`Imported ${notesArr.length} note(s) successfully.`);
+      const notebooksArr = Array.isArray(parsed?.notebooks) ? parsed.notebooks : [];
+      const runImport = async (skipDuplicates) => {
+        try {
+          const res = await api("/notes/import", {
+            method: "POST",
+            token,
+            body: { version: parsed?.version, notes: notesArr, notebooks: notebooksArr, skipDuplicates },
+          });
+          await loadNotes();
+          await loadNotebooks();
+          alert(
+            `Imported ${res.imported} note(s) successfully.` +
+            (res.skipped ? ` Skipped ${res.skipped} you already have.` : "")
+          );
+        } catch (e) {
+          alert(e.message || "Import failed");
+        }
+      };
+      showGenericConfirm({
+        title: "Import notes",
+        message: `Importing ${notesArr.length} note(s). Notes you already have (same id) can be skipped or imported again as copies.`,
+        confirmText: "Skip existing",
+        cancelText: "Import copies",
+        onConfirm: () => runImport(true),
+        onCancel: () => runImport(false),
+      });
     } catch (e) {
       alert(e.message || "Import failed");
     }
   };
 
-  /** -------- Import Google Keep single-note JSON files (multiple) -------- */
+  // Imported notes go up in batches to stay under the server's request size limit
+  const IMPORT_BATCH_SIZE = 50;
+  // Each batch is saved on its own, so a failure can leave part of the import
+  // behind. The notes keep their ids and duplicates are skipped, so retrying
+  // (here, after asking) never imports a note twice.
+  const postImportedNotes = async (notesArr) => {
+    let done = 0;
+    try {
+      while (done < notesArr.length) {
+        try {
+          await api("/notes/import", {
+            method: "POST",
+            token,
+            body: { version: 2, skipDuplicates: true, notes: notesArr.slice(done, done + IMPORT_BATCH_SIZE) },
+          });
+          done += IMPORT_BATCH_SIZE;
+        } catch (e) {
+          if (e.isAuthError) throw e;
+          const retry = await new Promise((resolve) => showGenericConfirm({
+            title: "Import interrupted",
+            message: `Imported ${done} of ${notesArr.length} note(s) before an error: ${e.message || "request failed"}. Retry the rest? Notes already imported are not added again.`,
+            confirmText: "Retry",
+            cancelText: "Stop",
+            onConfirm: () => resolve(true),
+            onCancel: () => resolve(false),
+            onDismiss: () => resolve(false),
+          }));
+          if (!retry) throw new Error(`Imported ${done} of ${notesArr.length} note(s); the rest failed: ${e.message || "request failed"}`);
+        }
+      }
+    } finally {
+      await loadNotes();
+      await loadNotebooks();
+    }
+  };
+
+  /** -------- Import Google Keep (Takeout ZIP, or note .json files plus their images) -------- */
   const importGKeep = async (fileList) => {
     try {
       const files = Array.from(fileList || []);
       if (!files.length) return;
-      const texts = await Promise.all(files.map((f) => f.text().catch(() => null)));
+      // Takeout ZIPs are unpacked; loose files are used as picked
+      const entries = [];
+      for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+          const JSZip = await ensureJSZip();
+          const zip = await JSZip.loadAsync(file);
+          zip.forEach((path, entry) => {
+            if (entry.dir) return;
+            entries.push({ path, text: () => entry.async("string"), bytes: () => entry.async("uint8array") });
+          });
+        } else {
+          entries.push({ path: file.name, text: () => file.text(), bytes: async () => new Uint8Array(await file.arrayBuffer()) });
+        }
+      }
+      // A full Takeout may hold other Google products too
+      const isJSON = (e) => /\.json$/i.test(e.path);
+      const keepOnly = entries.some((e) => isJSON(e) && /(^|\/)Keep\//.test(e.path));
+      const noteEntries = entries.filter((e) => isJSON(e) && (!keepOnly || /(^|\/)Keep\//.test(e.path)));
+
+      // Attachments are referenced by file name; Takeout sometimes changes the
+      // extension (.jpg vs .jpeg), so fall back to the base name
+      const baseName = (name) => name.replace(/\.[^.]+$/, "");
+      const byName = new Map();
+      const byBase = new Map();
+      for (const e of entries) {
+        if (isJSON(e)) continue;
+        const name = e.path.split("/").pop().toLowerCase();
+        byName.set(name, e);
+        byBase.set(baseName(name), e);
+      }
+
       const notesArr = [];
-      for (const t of texts) {
-        if (!t) continue;
+      let trashed = 0;
+      for (const e of noteEntries) {
+        let obj;
         try {
-          const obj = JSON.parse(t);
-          if (!obj || typeof obj !== "object") continue;
-          const title = String(obj.title || "");
-          const hasChecklist = Array.isArray(obj.listContent) && obj.listContent.length > 0;
-          const items = hasChecklist
-            ? obj.listContent.map((it) => ({ id: uid(), text: String(it?.text || ""), done: !!it?.isChecked }))
-            : [];
-          const content = hasChecklist ? "" : String(obj.textContent || "");
-          const usec = Number(obj.userEditedTimestampUsec || obj.createdTimestampUsec || 0);
-          const ms = Number.isFinite(usec) && usec > 0 ? Math.floor(usec / 1000) : Date.now();
-          const timestamp = new Date(ms).toISOString();
-          // Extract labels to tags
-          const tags = Array.isArray(obj.labels)
-            ? obj.labels.map((l) => (typeof l?.name === 'string' ? l.name.trim() : '')).filter(Boolean)
-            : [];
-          notesArr.push({
-            id: uid(),
-            type: hasChecklist ? "checklist" : "text",
-            title,
-            content,
-            items,
-            tags,
-            images: [],
-            color: "default",
-            pinned: !!obj.isPinned,
-            position: ms,
-            timestamp,
-          });
-        } catch (e) { }
+          obj = JSON.parse(await e.text());
+        } catch {
+          continue; // not JSON after all
+        }
+        const n = parseKeepNote(obj);
+        if (!n) {
+          if (obj?.isTrashed) trashed++;
+          continue;
+        }
+        const images = [];
+        for (const att of n.attachments) {
+          const name = att.filePath.split("/").pop().toLowerCase();
+          const file = byName.get(name) || byBase.get(baseName(name));
+          if (!file) continue;
+          const fileName = file.path.split("/").pop();
+          const mime = att.mime.startsWith("image/") ? att.mime : imageMimeFromName(fileName);
+          if (!mime) continue; // audio recordings and other non-images
+          images.push(await importedImageToNoteImage({ name: fileName, mime, bytes: await file.bytes() }, token));
+        }
+        const timestamp = n.timestamp || new Date().toISOString();
+        notesArr.push({
+          id: uid(),
+          type: n.type,
+          title: n.title,
+          content: n.content,
+          items: n.items.map((it) => ({ id: uid(), ...it })),
+          tags: n.tags,
+          images,
+          color: COLOR_ORDER.includes(n.color) ? n.color : "default",
+          pinned: n.pinned,
+          archived: n.archived,
+          position: new Date(n.updated_at || timestamp).getTime(),
+          timestamp,
+          updated_at: n.updated_at || timestamp,
+        });
       }
       if (!notesArr.length) { alert("No valid Google Keep notes found."); return; }
-      await api("/notes/import", { method: "POST", token, body: { notes: notesArr } });
-      await loadNotes();
-      alert(`Imported ${notesArr.length} Google Keep note(s).`);
+      await postImportedNotes(notesArr);
+      alert(
+        `Imported ${notesArr.length} Google Keep note(s).` +
+        (trashed ? ` Skipped ${trashed} trashed note(s).` : "")
+      );
+    } catch (e) {
+      alert(e.message || "Google Keep import failed");
+    }
+  };
+
+  /** -------- Import Markdown files (multiple) -------- */
+  const importMd = async (fileList) => {
+    try {
+      const files = Array.from(fileList || []);
+      if (!files.length) return;
+      const notesArr = [];
+
+      for (const file of files) {
+        try {
+          const n = parseMarkdownNote(await file.text(), { path: file.name });
+          if (n.title || n.content || n.items.length) {
+            const timestamp = n.timestamp || new Date().toISOString();
+            notesArr.push({
+              id: uid(),
+              type: n.type,
+              title: n.title,
+              content: n.content,
+              items: n.items.map((it) => ({ id: uid(), ...it })),
+              tags: n.tags,
+              notebook: n.notebook,
+              images: [],
+              color: n.color && LIGHT_COLORS[n.color] ? n.color : "default",
+              pinned: n.pinned,
+              archived: n.archived,
+              timestamp,
+              updated_at: n.updated_at || timestamp,
+            });
+          }
+        } catch (e) {
+          console.error(`Failed to process file ${file.name}:`, e);
+        }
+      }
+
+      if (!notesArr.length) {
+        alert("No valid markdown files found.");
+        return;
+      }
+
+      await postImportedNotes(notesArr);
+      alert(`Imported ${notesArr.length} markdown file(s) successfully.`);
+    } catch (e) {
+      alert(e.message || "Markdown import failed");
+    }
+  };
+
+  /** -------- Import a zipped Markdown / Obsidian vault -------- */
+  const importVault = async (fileList) => {
+    try {
+      const file = fileList?.[0];
+      if (!file) return;
+      const JSZip = await ensureJSZip();
+      const zip = await JSZip.loadAsync(file);
+      // Skip vault config, macOS metadata and other hidden files
+      const paths = Object.keys(zip.files).filter(
+        (p) => !zip.files[p].dir && !p.split("/").some((part) => part.startsWith(".") || part === "__MACOSX")
+      );
+      // A zipped vault folder: treat its top folder as the root
+      const top = paths[0]?.split("/")[0];
+      const prefix = top && paths.every((p) => p.startsWith(`${top}/`)) ? `${top}/` : "";
+      const byPath = new Map(paths.map((p) => [p.slice(prefix.length), p]));
+      const byName = new Map();
+      for (const p of byPath.keys()) {
+        const name = p.split("/").pop().toLowerCase();
+        if (!byName.has(name)) byName.set(name, p);
+      }
+      // Links are relative to the note; Obsidian embeds also match by file name
+      const resolveFile = (ref, dir, embed) => {
+        const parts = [];
+        for (const part of `${dir}/${ref}`.split("/")) {
+          if (part === "..") parts.pop();
+          else if (part && part !== ".") parts.push(part);
+        }
+        const rel = parts.join("/");
+        if (byPath.has(rel)) return rel;
+        if (embed && byPath.has(ref)) return ref;
+        return embed ? byName.get(ref.split("/").pop().toLowerCase()) || null : null;
+      };
+
+      const notesArr = [];
+      for (const [path, entry] of byPath) {
+        if (!/\.(md|markdown)$/i.test(path)) continue;
+        const n = parseMarkdownNote(await zip.file(entry).async("string"), { path, resolveFile });
+        const images = [];
+        for (const imgPath of n.imagePaths) {
+          const bytes = await zip.file(byPath.get(imgPath)).async("uint8array");
+          const name = imgPath.split("/").pop();
+          images.push(await importedImageToNoteImage({ name, mime: imageMimeFromName(name), bytes }, token));
+        }
+        const timestamp = n.timestamp || zip.files[entry].date?.toISOString() || new Date().toISOString();
+        notesArr.push({
+          id: uid(),
+          type: n.type,
+          title: n.title,
+          content: n.content,
+          items: n.items.map((it) => ({ id: uid(), ...it })),
+          tags: n.tags,
+          notebook: n.notebook,
+          images,
+          color: n.color && LIGHT_COLORS[n.color] ? n.color : "default",
+          pinned: n.pinned,
+          archived: n.archived,
+          position: new Date(timestamp).getTime(),
+          timestamp,
+          updated_at: n.updated_at || timestamp,
+        });
+      }
+      if (!notesArr.length) { alert("No Markdown notes found in the ZIP file."); return; }
+      await postImportedNotes(notesArr);
+      alert(`Imported ${notesArr.length} note(s) from the vault.`);
+    } catch (e) {
+      alert(e.message || "Vault import failed");
+    }
+  };
+
+  /** -------- Import from Joplin, Simplenote or Standard Notes (with preview) -------- */
+  // { source, notes, skipped, readFile(path) } while the preview dialog is open
+  const [importPreview, setImportPreview] = useState(null);
+
+  const importOtherApp = async (fileList) => {
+    try {
+      const files = Array.from(fileList || []);
+      if (!files.length) return;
+      // Joplin RAW folders come with relative paths; .jex files are tar archives
+      const entries = [];
+      for (const file of files) {
+        if (/\.jex$/i.test(file.name)) {
+          for (const e of readTar(new Uint8Array(await file.arrayBuffer()))) {
+            entries.push({ path: e.path, text: async () => new TextDecoder().decode(e.bytes), bytes: async () => e.bytes });
+          }
+        } else {
+          const path = (file.webkitRelativePath || file.name).split("/").slice(file.webkitRelativePath ? 1 : 0).join("/");
+          entries.push({ path, text: () => file.text(), bytes: async () => new Uint8Array(await file.arrayBuffer()) });
+        }
+      }
+      const readFile = (path) => entries.find((e) => e.path === path || e.path.endsWith(`/${path}`))?.bytes();
+
+      let parsed;
+      const mdFiles = entries.filter((e) => /\.md$/i.test(e.path));
+      const jsonFiles = entries.filter((e) => /\.json$/i.test(e.path));
+      if (mdFiles.length) {
+        const texts = await Promise.all(mdFiles.map(async (e) => ({ path: e.path, text: await e.text() })));
+        parsed = { source: "Joplin", ...parseJoplin(texts) };
+      } else if (jsonFiles.length) {
+        parsed = { source: "", notes: [], skipped: 0 };
+        for (const e of jsonFiles) {
+          const json = JSON.parse(await e.text());
+          const result = Array.isArray(json?.activeNotes)
+            ? { source: "Simplenote", ...parseSimplenote(json) }
+            : { source: "Standard Notes", ...parseStandardNotes(json) };
+          parsed = {
+            source: parsed.source && parsed.source !== result.source ? "several apps" : result.source,
+            notes: [...parsed.notes, ...result.notes],
+            skipped: parsed.skipped + result.skipped,
+          };
+        }
+      } else {
+        alert("Pick a Joplin .jex file or RAW export folder, a Simplenote export or a Standard Notes backup.");
+        return;
+      }
+      setImportPreview({ ...parsed, readFile });
+    } catch (e) {
+      alert(e.message || "Import failed");
+    }
+  };
+
+  const confirmImportPreview = async () => {
+    const { source, notes: parsedNotes, readFile } = importPreview;
+    try {
+      const notesArr = [];
+      for (const n of parsedNotes) {
+        const images = [];
+        for (const path of n.imagePaths) {
+          const bytes = await readFile(path);
+          const name = path.split("/").pop();
+          if (bytes) images.push(await importedImageToNoteImage({ name, mime: imageMimeFromName(name), bytes }, token));
+        }
+        const timestamp = n.timestamp || new Date().toISOString();
+        notesArr.push({
+          id: uid(),
+          type: n.type,
+          title: n.title,
+          content: n.content,
+          items: n.items.map((it) => ({ id: uid(), ...it })),
+          tags: n.tags,
+          notebook: n.notebook,
+          images,
+          color: "default",
+          pinned: n.pinned,
+          archived: n.archived,
+          position: new Date(n.updated_at || timestamp).getTime(),
+          timestamp,
+          updated_at: n.updated_at || timestamp,
+        });
+      }
+      await postImportedNotes(notesArr);
+      setImportPreview(null);
+      showToast(`Imported ${notesArr.length} note(s) from ${source}`, "success");
     } catch (e) {
-      alert(e.message || "Google Keep import failed");
+      alert(e.message || "Import failed");
     }
   };
 
-  /** -------- Import Markdown files (multiple) -------- */
-  const importMd = async (fileList) => {
-    try {
-      const files = Array.from(fileList || []);
-      if (!files.length) return;
-      const notesArr = [];
-
-      for (const file of files) {
-        try {
-          const text = await file.text();
-          const lines = text.split('\n');
-
-          // Extract title from first line if it starts with #
-          let title = "";
-          let contentStartIndex = 0;
-
-          if (lines[0] && lines[0].trim().startsWith('#')) {
-            // Remove # symbols and trim
-            title = lines[0].replace(/^#+\s*/, '').trim();
-            contentStartIndex = 1;
-          } else {
-            // Use filename as title (without .md extension)
-            title = file.name.replace(/\.md$/i, '');
-          }
-
-          // Join remaining lines as content
-          const content = lines.slice(contentStartIndex).join('\n').trim();
-
-          if (title || content) {
+  /** -------- Import Evernote exports (.enex, multiple) -------- */
+  // Evernote exports one notebook per file; its notes go into a notebook of
+  // that name or get it as a tag.
+  const importEnex = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    const runImport = async (notebooksAsTags) => {
+      try {
+        const notesArr = [];
+        for (const file of files) {
+          const notebook = file.name.replace(/\.enex$/i, "").trim();
+          for (const n of parseEnex(await file.text(), { notebook })) {
+            const images = [];
+            for (const res of n.resources) images.push(await importedImageToNoteImage(res, token));
             notesArr.push({
               id: uid(),
-              type: "text",
-              title,
-              content,
-              items: [],
-              tags: [],
-              images: [],
+              type: n.type,
+              title: n.title,
+              content: n.content,
+              items: n.items.map((it) => ({ id: uid(), ...it })),
+              tags: notebooksAsTags && notebook ? [...new Set([...n.tags, notebook])] : n.tags,
+              notebook: notebooksAsTags ? null : n.notebook,
+              images,
               color: "default",
               pinned: false,
-              timestamp: new Date().toISOString(),
+              position: new Date(n.timestamp).getTime(),
+              timestamp: n.timestamp,
+              updated_at: n.updated_at,
             });
           }
-        } catch (e) {
-          console.error(`Failed to process file ${file.name}:`, e);
         }
+        if (!notesArr.length) { alert("No notes found in the Evernote export."); return; }
+        await postImportedNotes(notesArr);
+        alert(`Imported ${notesArr.length} Evernote note(s).`);
+      } catch (e) {
+        alert(e.message || "Evernote import failed");
       }
-
-      if (!notesArr.length) {
-        alert("No valid markdown files found.");
-        return;
-      }
-
-      await api("/notes/import", { method: "POST", token, body: { notes: notesArr } });
-      await loadNotes();
-      alert(`Imported ${notesArr.length} markdown file(s) successfully.`);
-    } catch (e) {
-      alert(e.message || "Markdown import failed");
-    }
+    };
+    showGenericConfirm({
+      title: "Import from Evernote",
+      message: "Put each export file's notes in a notebook named after the file, or add the notebook name as a tag?",
+      confirmText: "Notebooks",
+      cancelText: "Tags",
+      onConfirm: () => runImport(false),
+      onCancel: () => runImport(true),
+    });
   };
 
   /** -------- Collaboration actions -------- */
@@ -4548,6 +7243,25 @@ export default function App() {
     }
   };
 
+  const changeCollaboratorRole = async (collaboratorId, role, noteId = null) => {
+    try {
+      const targetNoteId = noteId || collaborationDialogNoteId || activeId;
+      if (!targetNoteId) return;
+      await api(`/notes/${targetNoteId}/collaborate/${collaboratorId}`, {
+        method: "PATCH",
+        token,
+        body: { role }
+      });
+      setAddModalCollaborators((prev) => prev.map((c) => (c.id === collaboratorId ? { ...c, role } : c)));
+      showToast(`Role changed to “${roleLabel(role)}”`, "success");
+      if (collaborationDialogNoteId) {
+        loadNoteCollaborators(collaborationDialogNoteId);
+      }
+    } catch (e) {
+      showToast(e.message || "Failed to change role", "error");
+    }
+  };
+
   const loadCollaboratorsForAddModal = useCallback(async (noteId) => {
     try {
       const collaborators = await api(`/notes/${noteId}/collaborators`, { token });
@@ -4635,7 +7349,7 @@ export default function App() {
       const result = await api(`/notes/${activeId}/collaborate`, {
         method: "POST",
         token,
-        body: { username }
+        body: { username, role: collaboratorRole }
       });
 
       // Update local note with collaborator info
@@ -4650,7 +7364,7 @@ export default function App() {
           : n
       ));
 
-      showToast(`Added ${username} as collaborator successfully!`, "success");
+      showToast(`Added ${username} (${roleLabel(collaboratorRole).toLowerCase()})`, "success");
       setCollaboratorUsername("");
       setShowUserDropdown(false);
       setFilteredUsers([]);
@@ -4715,7 +7429,7 @@ export default function App() {
     const files = Array.from(fileList || []);
     const results = [];
     for (const f of files) {
-      try { const src = await fileToCompressedDataURL(f); results.push({ id: uid(), src, name: f.name }); }
+      try { results.push(await fileToNoteImage(f, token)); }
       catch (e) { console.error("Image load failed", e); }
     }
     if (results.length) setter((prev) => [...prev, ...results]);
@@ -4725,10 +7439,8 @@ export default function App() {
   // Must be defined before openModal
   const initialModalStateRef = useRef(null);
 
-  const openModal = (id) => {
-    const n = notes.find((x) => String(x.id) === String(id)); if (!n) return;
-    setSidebarOpen(false);
-    setActiveId(String(id));
+  // Copy a note's fields into the modal editor state
+  const loadNoteIntoModal = (n) => {
     setMType(n.type || "text");
     setMTitle(n.title || "");
     if (n.type === "draw") {
@@ -4766,8 +7478,16 @@ export default function App() {
       tags: Array.isArray(n.tags) ? n.tags : [],
       images: Array.isArray(n.images) ? n.images : [],
       color: n.color || "default",
+      pinned: !!n.pinned,
     };
+    modalBaseRef.current = { noteId: String(n.id), version: n.version };
+  };
 
+  const openModal = (id) => {
+    const n = notes.find((x) => String(x.id) === String(id)); if (!n) return;
+    setSidebarOpen(false);
+    setActiveId(String(id));
+    loadNoteIntoModal(n);
     setViewMode(true);
     setModalMenuOpen(false);
     setOpen(true);
@@ -4807,10 +7527,171 @@ export default function App() {
     );
   }, [activeId, mTitle, mBody, mTagList, mImages, mColor]);
 
+  /** -------- Co-editing (CRDT) -------- */
+  // A shared text note open in the modal is backed by a Y.Doc: typing becomes
+  // ops POSTed to the server, other people's ops arrive over SSE, and the
+  // body is no longer part of whole-note saves.
+  const crdtRef = useRef(null); // { noteId, doc, text, pending, timer, inFlight, closed }
+  const [crdtNoteId, setCrdtNoteId] = useState(null); // note whose doc has loaded
+  const coEditNoteId =
+    open && mType === "text" && activeId != null && isOnline && tagFilter !== 'TRASH' && isCollaborativeNote(activeId)
+      ? String(activeId)
+      : null;
+
+  useEffect(() => {
+    if (!coEditNoteId || !token) return;
+    const noteId = coEditNoteId;
+    const doc = new Y.Doc();
+    const text = doc.getText("content");
+    const c = { noteId, doc, text, pending: [], timer: null, inFlight: false, closed: false };
+
+    const flush = () => {
+      clearTimeout(c.timer);
+      c.timer = null;
+      if (c.inFlight || c.pending.length === 0) return;
+      const update = Y.mergeUpdates(c.pending);
+      c.pending = [];
+      c.inFlight = true;
+      api(`/notes/${noteId}/crdt`, { method: "POST", token, body: { update: bytesToBase64(update), clientId: doc.clientID } })
+        .then((r) => noteVersionSeen(noteId, r?.version))
+        .catch((e) => {
+          // Not editable (any more): the ops can't be saved
+          if ([400, 403, 404, 409].includes(e.status) || c.closed) {
+            console.error("Co-editing update rejected:", e);
+            return;
+          }
+          c.pending.unshift(update);
+        })
+        .finally(() => {
+          c.inFlight = false;
+          if (c.pending.length) c.timer = setTimeout(flush, c.closed ? 0 : 2000);
+        });
+    };
+
+    doc.on("update", (update, origin) => {
+      if (origin === "remote") return;
+      c.pending.push(update);
+      if (!c.timer) c.timer = setTimeout(flush, 150);
+    });
+
+    // Someone else's edit: show it and keep the caret on the same text
+    text.observe((event) => {
+      if (event.transaction.origin !== "remote") return;
+      const next = text.toString();
+      const el = mBodyRef.current;
+      const focused = el && document.activeElement === el;
+      const sel = focused ? [shiftOffset(el.selectionStart, event.delta), shiftOffset(el.selectionEnd, event.delta)] : null;
+      setMBody(next);
+      if (initialModalStateRef.current) initialModalStateRef.current.content = next;
+      if (sel) requestAnimationFrame(() => el.setSelectionRange(sel[0], sel[1]));
+    });
+
+    const load = () =>
+      api(`/notes/${noteId}/crdt`, { token })
+        .then((r) => {
+          if (c.closed) return;
+          Y.applyUpdate(doc, base64ToBytes(r.state), "remote");
+          // Anything the server hasn't seen from us yet (e.g. after a reconnect)
+          const missing = Y.encodeStateAsUpdate(doc, base64ToBytes(r.stateVector));
+          if (crdtRef.current === c && missing.length > 2) {
+            c.pending.push(missing);
+            flush();
+          }
+          noteVersionSeen(noteId, r.version);
+          crdtRef.current = c;
+          setCrdtNoteId(noteId);
+        })
+        .catch((e) => console.error("Failed to load co-editing state:", e));
+    c.load = load;
+    load();
+
+    return () => {
+      c.closed = true;
+      flush();
+      if (crdtRef.current === c) crdtRef.current = null;
+      setCrdtNoteId(null);
+      doc.destroy();
+    };
+  }, [coEditNoteId, token, noteVersionSeen]);
+
+  // Local edits (typing, formatting, smart lists) become Y.Text ops; a layout
+  // effect so no remote op can land between the keystroke and the splice
+  useLayoutEffect(() => {
+    const c = crdtRef.current;
+    if (!c || crdtNoteId !== c.noteId || c.text.toString() === mBody) return;
+    c.doc.transact(() => spliceText(c.text, mBody), "local");
+    // The body is saved through the CRDT, so it no longer counts as unsaved
+    if (initialModalStateRef.current) initialModalStateRef.current.content = mBody;
+  }, [mBody, crdtNoteId]);
+
+  crdtEventRef.current = (msg) => {
+    const c = crdtRef.current;
+    if (!c) return;
+    if (msg.type === 'resync') {
+      c.load();
+      return;
+    }
+    if (String(msg.noteId) !== c.noteId || msg.clientId === c.doc.clientID) return;
+    try {
+      Y.applyUpdate(c.doc, base64ToBytes(msg.update), "remote");
+      noteVersionSeen(msg.noteId, msg.version);
+    } catch (e) {
+      console.error("Failed to apply co-editing update:", e);
+    }
+  };
+
+  /** -------- Presence -------- */
+  // Announce the open note (and whether we're editing it) under this tab's SSE
+  // connection; re-sent as a heartbeat so the server can expire stale entries
+  const presenceMode = modalEditable && (mType !== "text" || !viewMode) ? "edit" : "view";
+  const presenceNoteId = open && activeId != null && tagFilter !== 'TRASH' ? String(activeId) : null;
+  useEffect(() => {
+    if (!presenceNoteId || !sseConnectionId || !token) return;
+    const announce = () =>
+      api(`/notes/${presenceNoteId}/presence`, { method: "PUT", token, body: { connectionId: sseConnectionId, mode: presenceMode } })
+        .then((r) => setPresence((prev) => ({ ...prev, [presenceNoteId]: r.users || [] })))
+        .catch(() => { });
+    announce();
+    const heartbeat = setInterval(announce, PRESENCE_HEARTBEAT_MS);
+    return () => {
+      clearInterval(heartbeat);
+      api(`/notes/${presenceNoteId}/presence/${encodeURIComponent(sseConnectionId)}`, { method: "DELETE", token }).catch(() => { });
+    };
+  }, [presenceNoteId, presenceMode, sseConnectionId, token]);
+
+  const presenceFor = useCallback(
+    (noteId) => (presence[String(noteId)] || []).filter((u) => u.id !== currentUser?.id),
+    [presence, currentUser]
+  );
+
+  // Whole-note save; for a co-edited note only the fields outside the body are sent
+  const saveTextNote = useCallback(async (noteId, payload) => {
+    if (crdtRef.current?.noteId !== String(noteId)) return putNote(noteId, payload);
+    const { title, tags, images, color, pinned } = payload;
+    const base = modalBaseRef.current;
+    const version = base?.noteId === String(noteId) ? base.version : undefined;
+    try {
+      return await patchNote(noteId, { title, tags, images, color, pinned, version });
+    } catch (e) {
+      if (e.status === 409 && e.data?.note) {
+        const theirs = e.data.note;
+        // The version also moves with co-edited text; if nobody else touched
+        // the rest of the note (or made our change too) save on top
+        const unchanged = initialModalStateRef.current && sameNoteMeta(theirs, initialModalStateRef.current);
+        if (unchanged || sameNoteMeta(theirs, payload)) {
+          return patchNote(noteId, { title, tags, images, color, pinned, version: theirs.version });
+        }
+        setConflict({ noteId: String(noteId), mine: payload, theirs });
+        e.isConflict = true;
+      }
+      throw e;
+    }
+  }, [putNote, patchNote]);
+
   // Save metadata (color, tags, images) immediately for collaborative notes
   // This works even in view mode since these are metadata changes, not content changes
   const saveCollaborativeMetadata = useCallback(async () => {
-    if (activeId == null || mType !== "text" || !isCollaborativeNote(activeId) || !isOnline) return;
+    if (activeId == null || mType !== "text" || !isCollaborativeNote(activeId) || !isOnline || conflict) return;
 
     const base = {
       id: activeId,
@@ -4823,7 +7704,7 @@ export default function App() {
     const payload = { ...base, type: "text", content: mBody, items: [] };
 
     try {
-      await api(`/notes/${activeId}`, { method: "PUT", token, body: payload });
+      await saveTextNote(activeId, payload);
       invalidateNotesCache();
 
       // Update local state
@@ -4846,17 +7727,18 @@ export default function App() {
           tags: mTagList,
           images: mImages,
           color: mColor,
+          pinned: base.pinned,
         };
       }
     } catch (e) {
       console.error("Failed to save metadata:", e);
       // Don't show error toast to avoid interrupting user
     }
-  }, [activeId, mType, mTitle, mTagList, mImages, mColor, mBody, notes, token, currentUser, isCollaborativeNote, isOnline]);
+  }, [activeId, mType, mTitle, mTagList, mImages, mColor, mBody, notes, saveTextNote, currentUser, isCollaborativeNote, isOnline, conflict]);
 
   // Auto-save for collaborative text notes - must be defined before useEffect that uses it
   const autoSaveCollaborativeNote = useCallback(async () => {
-    if (activeId == null || mType !== "text" || !isCollaborativeNote(activeId) || viewMode || !hasNoteBeenModified()) return;
+    if (activeId == null || mType !== "text" || !isCollaborativeNote(activeId) || viewMode || conflict || !hasNoteBeenModified()) return;
 
     // Clear existing timeout
     if (autoSaveTimeoutRef.current) {
@@ -4876,7 +7758,7 @@ export default function App() {
       const payload = { ...base, type: "text", content: mBody, items: [] };
 
       try {
-        await api(`/notes/${activeId}`, { method: "PUT", token, body: payload });
+        await saveTextNote(activeId, payload);
         invalidateNotesCache();
 
         // Update local state
@@ -4895,7 +7777,7 @@ export default function App() {
         // Don't show error toast for auto-save failures to avoid interrupting user
       }
     }, 1000); // 1 second debounce
-  }, [activeId, mType, mTitle, mTagList, mImages, mColor, mBody, notes, token, currentUser, isCollaborativeNote, viewMode, hasNoteBeenModified]);
+  }, [activeId, mType, mTitle, mTagList, mImages, mColor, mBody, notes, saveTextNote, currentUser, isCollaborativeNote, viewMode, conflict, hasNoteBeenModified]);
 
   // Auto-save metadata (color, tags, images) immediately for collaborative notes
   // This works in both view and edit mode since these are metadata changes
@@ -4937,24 +7819,33 @@ export default function App() {
     const n = notes.find((x) => String(x.id) === String(activeId));
     if (!n || n.type === "draw") return;
 
-    // Check if server version is different from our initial state
+    const initial = initialModalStateRef.current;
+    // Check if server version is different from our initial state; a
+    // co-edited body is kept in sync by the CRDT instead
+    const coEdited = crdtRef.current?.noteId === String(activeId);
     const serverState = {
       title: n.title || "",
-      content: n.type === "draw" ? "" : (n.content || ""),
+      content: coEdited ? initial.content : n.type === "draw" ? "" : (n.content || ""),
       tags: Array.isArray(n.tags) ? n.tags : [],
       images: Array.isArray(n.images) ? n.images : [],
       color: n.color || "default",
+      pinned: !!n.pinned,
     };
 
-    const initial = initialModalStateRef.current;
     const serverChanged = (
       initial.title !== serverState.title ||
       initial.content !== serverState.content ||
       JSON.stringify(initial.tags) !== JSON.stringify(serverState.tags) ||
       JSON.stringify(initial.images) !== JSON.stringify(serverState.images) ||
-      initial.color !== serverState.color
+      initial.color !== serverState.color ||
+      initial.pinned !== serverState.pinned
     );
 
+    // Nothing edited locally, so our edits are based on the latest copy
+    if (!hasNoteBeenModified()) {
+      modalBaseRef.current = { noteId: String(activeId), version: n.version };
+    }
+
     // If server changed and user hasn't edited locally, update initial state to server state
     // This prevents overwriting server changes when user closes without editing
     if (serverChanged && !hasNoteBeenModified()) {
@@ -4971,7 +7862,7 @@ export default function App() {
   const closeModal = () => {
     // Save any pending changes for collaborative text notes before closing
     // Only save if NOT in view mode AND user has actually edited - don't overwrite with stale data
-    if (activeId && mType === "text" && isCollaborativeNote(activeId) && !viewMode && hasNoteBeenModified()) {
+    if (activeId && mType === "text" && isCollaborativeNote(activeId) && !viewMode && !conflict && hasNoteBeenModified()) {
       // Clear the timeout and save immediately
       if (autoSaveTimeoutRef.current) {
         clearTimeout(autoSaveTimeoutRef.current);
@@ -4987,7 +7878,7 @@ export default function App() {
       };
       const payload = { ...base, type: "text", content: mBody, items: [] };
 
-      api(`/notes/${activeId}`, { method: "PUT", token, body: payload })
+      saveTextNote(activeId, payload)
         .then(() => {
           invalidateNotesCache();
           const nowIso = new Date().toISOString();
@@ -5001,87 +7892,496 @@ export default function App() {
           } : n)
           ));
         })
-        .catch((e) => console.error("Final save on close failed:", e));
+        .catch((e) => { if (!e.isConflict) console.error("Final save on close failed:", e); });
+    }
+
+    setOpen(false);
+    setActiveId(null);
+    setViewMode(true);
+    setModalMenuOpen(false);
+    setConfirmDeleteOpen(false);
+    setShowModalFmt(false);
+    setRevisionsOpen(false);
+    setShowModalReminderPop(false);
+  };
+
+  const saveModal = async () => {
+    if (activeId == null) return;
+    const base = {
+      id: activeId,
+      title: mTitle.trim(),
+      tags: mTagList,
+      images: mImages,
+      color: mColor,
+      pinned: !!notes.find(n => String(n.id) === String(activeId))?.pinned,
+    };
+    const payload =
+      mType === "text"
+        ? { ...base, type: "text", content: mBody, items: [] }
+        : mType === "checklist"
+          ? { ...base, type: "checklist", content: "", items: mItems }
+          : { ...base, type: "draw", content: JSON.stringify(mDrawingData), items: [] };
+
+    try {
+      setSavingModal(true);
+
+      await (mType === "text" ? saveTextNote(activeId, payload) : putNote(activeId, payload));
+      invalidateNotesCache();
+
+      prevItemsRef.current = mType === "checklist" ? (Array.isArray(mItems) ? mItems : []) : [];
+      prevDrawingRef.current = mType === "draw" ? (mDrawingData || { paths: [], dimensions: null }) : { paths: [], dimensions: null };
+      // Also update updated_at locally so the Edited stamp updates immediately
+      const nowIso = new Date().toISOString();
+      setNotes((prev) => prev.map((n) =>
+      (String(n.id) === String(activeId) ? {
+        ...n,
+        ...payload,
+        updated_at: nowIso,
+        lastEditedBy: currentUser?.email || currentUser?.name,
+        lastEditedAt: nowIso
+      } : n)
+      ));
+      // Saved, so there is nothing left for closeModal to flush
+      initialModalStateRef.current = null;
+      closeModal();
+    } catch (e) {
+      if (!e.isConflict) alert(e.message || "Failed to save note");
+    } finally {
+      setSavingModal(false);
+    }
+  };
+
+  // Merge dialog choices after a 409 on save
+  const resolveConflict = async (choice, merged) => {
+    const c = conflict;
+    if (!c) return;
+    const { noteId, theirs } = c;
+    // The server copy becomes the base we save on top of
+    setNotes((prev) => prev.map((n) => (String(n.id) === noteId ? { ...n, ...theirs } : n)));
+    modalBaseRef.current = { noteId, version: theirs.version };
+    setConflict(null);
+    // A co-edited body isn't part of the save: a merged one goes in as CRDT ops,
+    // and otherwise the note keeps whatever text the shared doc now holds
+    const co = crdtRef.current?.noteId === noteId ? crdtRef.current : null;
+
+    if (choice === "theirs") {
+      if (String(activeId) === noteId) loadNoteIntoModal(co ? { ...theirs, content: co.text.toString() } : theirs);
+      showToast("Kept the saved version", "info");
+      return;
+    }
+
+    const chosen = choice === "merge" ? merged : c.mine;
+    if (co && choice === "merge") co.doc.transact(() => spliceText(co.text, chosen.content || ""), "local");
+    const payload = co ? { ...chosen, content: co.text.toString() } : chosen;
+    try {
+      await saveTextNote(noteId, payload);
+      invalidateNotesCache();
+      const nowIso = new Date().toISOString();
+      setNotes((prev) => prev.map((n) => (String(n.id) === noteId ? {
+        ...n,
+        ...payload,
+        updated_at: nowIso,
+        lastEditedBy: currentUser?.email || currentUser?.name,
+        lastEditedAt: nowIso
+      } : n)));
+      if (String(activeId) === noteId) loadNoteIntoModal({ ...theirs, ...payload, version: modalBaseRef.current?.version });
+      showToast(choice === "merge" ? "Merged note saved" : "Your version saved", "success");
+    } catch (e) {
+      if (!e.isConflict) showToast(e.message || "Failed to save note", "error");
+    }
+  };
+  const deleteModal = async () => {
+    if (activeId == null) return;
+    try {
+      // Check if user owns the note
+      const note = notes.find(n => String(n.id) === String(activeId));
+      if (note && note.user_id !== currentUser?.id) {
+        showToast("You can't delete this note as you don't own it", "error");
+        return;
+      }
+
+      await api(`/notes/${activeId}`, { method: "DELETE", token });
+      invalidateNotesCache();
+      invalidateArchivedNotesCache();
+
+      setNotes((prev) => prev.filter((n) => String(n.id) !== String(activeId)));
+      closeModal();
+      showToast("Note moved to trash", "success");
+    } catch (e) {
+      if (e.status === 404 || e.message?.includes("not found")) {
+        showToast("You can't delete this note as you don't own it", "error");
+      } else {
+        showToast(e.message || "Delete failed", "error");
+      }
+    }
+  };
+
+  /** -------- Trash actions -------- */
+  const restoreNote = async (noteId) => {
+    try {
+      await api(`/notes/${noteId}/restore`, { method: "POST", token });
+      invalidateNotesCache();
+      invalidateArchivedNotesCache();
+      setNotes((prev) => prev.filter((n) => String(n.id) !== String(noteId)));
+      if (String(activeId) === String(noteId)) closeModal();
+      showToast("Note restored", "success");
+    } catch (e) {
+      showToast(e.message || "Restore failed", "error");
+    }
+  };
+
+  const deleteNoteForever = async (noteId) => {
+    try {
+      await api(`/notes/${noteId}/permanent`, { method: "DELETE", token });
+      setNotes((prev) => prev.filter((n) => String(n.id) !== String(noteId)));
+      if (String(activeId) === String(noteId)) closeModal();
+      showToast("Note deleted forever", "success");
+    } catch (e) {
+      showToast(e.message || "Delete failed", "error");
+    }
+  };
+
+  /** -------- Reminders -------- */
+  const loadReminders = async () => {
+    if (!token) return;
+    try {
+      const data = await api("/notes/reminders", { token });
+      setReminders(Array.isArray(data) ? data : []);
+    } catch (e) {
+      console.error("Failed to load reminders", e);
+    }
+  };
+
+  // Any change to the loaded notes (SSE refresh, trash, archive...) may affect reminders
+  useEffect(() => {
+    if (!token) return;
+    const t = setTimeout(() => { loadReminders(); }, 500);
+    return () => clearTimeout(t);
+  }, [token, notes]);
+
+  /** -------- Tag metadata, notebooks and templates -------- */
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    api("/tags", { token })
+      .then((data) => { if (!cancelled) setTagInfo(Array.isArray(data) ? data : []); })
+      .catch((e) => console.error("Failed to load tags", e));
+    api("/notebooks", { token })
+      .then((data) => { if (!cancelled) setNotebooks(Array.isArray(data) ? data : []); })
+      .catch((e) => console.error("Failed to load notebooks", e));
+    api("/templates", { token })
+      .then((data) => { if (!cancelled) setTemplates(Array.isArray(data) ? data : []); })
+      .catch((e) => console.error("Failed to load templates", e));
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const reminderRequest = async (noteId, path, method, body) => {
+    const r = await api(`/notes/${noteId}/reminder${path}`, { method, token, body });
+    setNotes((prev) => prev.map((n) => (String(n.id) === String(noteId)
+      ? { ...n, reminderAt: r.reminderAt, reminderFiredAt: r.reminderFiredAt, reminderRepeat: r.reminderRepeat }
+      : n)));
+    invalidateNotesCache();
+    return r;
+  };
+
+  const setReminder = async (noteId, at, repeat = null) => {
+    requestNotificationPermission();
+    try {
+      const r = await reminderRequest(noteId, "", "PUT", { at, repeat });
+      showToast(`Reminder set for ${formatReminder(r.reminderAt)}`, "success");
+    } catch (e) {
+      showToast(e.message || "Failed to set reminder", "error");
+    }
+  };
+
+  const clearReminder = async (noteId) => {
+    try {
+      await reminderRequest(noteId, "", "DELETE");
+      showToast("Reminder removed", "success");
+    } catch (e) {
+      showToast(e.message || "Failed to remove reminder", "error");
+    }
+  };
+
+  const snoozeReminder = async (noteId, minutes) => {
+    try {
+      const r = await reminderRequest(noteId, "/snooze", "POST", { minutes });
+      showToast(`Snoozed until ${formatReminder(r.reminderAt)}`, "success");
+    } catch (e) {
+      showToast(e.message || "Failed to snooze reminder", "error");
+    }
+  };
+
+  const completeReminder = async (noteId) => {
+    try {
+      const r = await reminderRequest(noteId, "/done", "POST");
+      showToast(r.reminderAt ? `Done · next on ${formatReminder(r.reminderAt)}` : "Reminder done", "success");
+    } catch (e) {
+      showToast(e.message || "Failed to update reminder", "error");
+    }
+  };
+
+  // Open a note from outside the grid (reminders, wiki links, backlinks),
+  // switching views if it isn't loaded
+  const openNoteAnywhere = (note) => {
+    if (open) closeModal();
+    if (notes.some((n) => String(n.id) === String(note.id))) {
+      openModal(note.id);
+      return;
+    }
+    const known = reminders.find((r) => String(r.id) === String(note.id)) || note;
+    pendingOpenNoteIdRef.current = String(note.id);
+    setTagFilter(known.archived ? 'ARCHIVED' : null);
+    setNotebookFilter(null);
+  };
+
+  /** -------- Wiki links & backlinks -------- */
+  const openWikiLink = async (title) => {
+    const key = wikiLinkKey(title);
+    // Prefer the user's own note, like the server does
+    const matches = notes.filter((n) => wikiLinkKey(n.title) === key);
+    const loaded = matches.find((n) => !n.accessRole || n.accessRole === "owner") || matches[0];
+    if (loaded) return openNoteAnywhere(loaded);
+    try {
+      openNoteAnywhere(await api(`/notes/by-title?title=${encodeURIComponent(title)}`, { token }));
+    } catch (e) {
+      showToast(e.status === 404 ? `No note titled “${title}” yet` : e.message || "Failed to open link", "error");
+    }
+  };
+
+  const [backlinks, setBacklinks] = useState([]);
+  useEffect(() => {
+    setBacklinks([]);
+    if (!open || activeId == null || !token || tagFilter === 'TRASH') return;
+    let cancelled = false;
+    api(`/notes/${activeId}/backlinks`, { token })
+      .then((data) => { if (!cancelled) setBacklinks(Array.isArray(data) ? data : []); })
+      .catch(() => { });
+    return () => { cancelled = true; };
+  }, [open, activeId, token, tagFilter]);
+
+  // Typing "[[" in the editor suggests note titles ({ start, query, index })
+  const [linkSuggest, setLinkSuggest] = useState(null);
+  const linkSuggestions = useMemo(() => {
+    if (!linkSuggest) return [];
+    const q = wikiLinkKey(linkSuggest.query);
+    const seen = new Set();
+    return notes
+      .filter((n) => String(n.id) !== String(activeId) && n.title?.trim())
+      .filter((n) => {
+        const key = wikiLinkKey(n.title);
+        if (seen.has(key) || !key.includes(q)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => wikiLinkKey(a.title).indexOf(q) - wikiLinkKey(b.title).indexOf(q))
+      .slice(0, WIKI_LINK_SUGGESTIONS)
+      .map((n) => n.title.trim());
+  }, [linkSuggest, notes, activeId]);
+
+  const pickLinkSuggestion = (title) => {
+    const el = mBodyRef.current;
+    if (!el || !linkSuggest) return;
+    const caret = el.selectionStart ?? mBody.length;
+    const after = mBody.slice(caret);
+    const close = after.startsWith("]]") ? "" : "]]";
+    const next = mBody.slice(0, linkSuggest.start) + title + close + after;
+    const pos = linkSuggest.start + title.length + 2;
+    setMBody(next);
+    setLinkSuggest(null);
+    requestAnimationFrame(() => {
+      try { el.setSelectionRange(pos, pos); } catch { /* textarea went away */ }
+      resizeModalTextarea();
+    });
+  };
+
+  useEffect(() => {
+    const id = pendingOpenNoteIdRef.current;
+    if (id && notes.some((n) => String(n.id) === id)) {
+      pendingOpenNoteIdRef.current = null;
+      openModal(id);
     }
+  }, [notes]);
 
-    setOpen(false);
-    setActiveId(null);
-    setViewMode(true);
-    setModalMenuOpen(false);
-    setConfirmDeleteOpen(false);
-    setShowModalFmt(false);
+  // Called from the SSE handler (kept in a ref so it sees current state)
+  reminderEventRef.current = (msg) => {
+    const title = msg.title || "Reminder";
+    let notified = false;
+    try {
+      if ("Notification" in window && Notification.permission === "granted") {
+        const notification = new Notification(title, {
+          body: msg.preview || "",
+          tag: `reminder-${msg.noteId}`,
+          icon: "/pwa-192.png",
+        });
+        notification.onclick = () => {
+          window.focus();
+          openNoteAnywhere({ id: msg.noteId });
+          notification.close();
+        };
+        notified = true;
+      }
+    } catch (e) { }
+    if (!notified || document.visibilityState === "visible") {
+      showToast(`Reminder: ${title}`, "info", 6000);
+    }
   };
 
-  const saveModal = async () => {
-    if (activeId == null) return;
-    const base = {
-      id: activeId,
-      title: mTitle.trim(),
-      tags: mTagList,
-      images: mImages,
-      color: mColor,
-      pinned: !!notes.find(n => String(n.id) === String(activeId))?.pinned,
+  // Typed note events from SSE, applied to whichever list is showing instead
+  // of refetching it (also kept in a ref so it sees the current filter)
+  noteEventRef.current = (msg) => {
+    const view = tagFilter === 'TRASH' ? 'trash' : tagFilter === 'ARCHIVED' ? 'archived' : 'notes';
+    if (msg.type === 'resync') {
+      if (view === 'trash') loadTrashedNotes().catch(() => { });
+      else if (view === 'archived') loadArchivedNotes().catch(() => { });
+      else loadNotes().catch(() => { });
+      return;
+    }
+
+    const id = String(msg.noteId);
+    const drop = () => setNotes((prev) => prev.filter((n) => String(n.id) !== id));
+    const upsert = (note) => {
+      const belongs = view === 'archived' ? !!note.archived : view === 'notes' && !note.archived;
+      if (!belongs) return drop();
+      setNotes((prev) => sortNotesByRecency(
+        prev.some((n) => String(n.id) === id)
+          ? prev.map((n) => (String(n.id) === id ? { ...n, ...note } : n))
+          : [note, ...prev]
+      ));
     };
-    const payload =
-      mType === "text"
-        ? { ...base, type: "text", content: mBody, items: [] }
-        : mType === "checklist"
-          ? { ...base, type: "checklist", content: "", items: mItems }
-          : { ...base, type: "draw", content: JSON.stringify(mDrawingData), items: [] };
 
-    try {
-      setSavingModal(true);
+    switch (msg.type) {
+      case 'note_created':
+      case 'note_updated':
+      case 'note_archived':
+      case 'collaborator_added':
+        if (msg.note) upsert(msg.note);
+        break;
+      case 'collaborator_removed':
+        // No note means we were the one removed
+        if (msg.note) upsert(msg.note);
+        else drop();
+        break;
+      case 'note_deleted':
+        if (view === 'trash' && msg.trashed) loadTrashedNotes().catch(() => { });
+        else drop();
+        break;
+      default:
+        return;
+    }
+    invalidateNotesCache();
+    invalidateArchivedNotesCache();
+  };
 
-      await api(`/notes/${activeId}`, { method: "PUT", token, body: payload });
-      invalidateNotesCache();
+  /** -------- Revision history -------- */
+  const openRevisionHistory = async () => {
+    if (!activeId) return;
+    setRevisions([]);
+    setRevisionsOpen(true);
+    setRevisionsLoading(true);
+    try {
+      const data = await api(`/notes/${activeId}/revisions`, { token });
+      setRevisions(Array.isArray(data) ? data : []);
+    } catch (e) {
+      showToast(e.message || "Failed to load version history", "error");
+    } finally {
+      setRevisionsLoading(false);
+    }
+  };
 
-      prevItemsRef.current = mType === "checklist" ? (Array.isArray(mItems) ? mItems : []) : [];
-      prevDrawingRef.current = mType === "draw" ? (mDrawingData || { paths: [], dimensions: null }) : { paths: [], dimensions: null };
-      // Also update updated_at locally so the Edited stamp updates immediately
-      const nowIso = new Date().toISOString();
-      setNotes((prev) => prev.map((n) =>
-      (String(n.id) === String(activeId) ? {
-        ...n,
-        ...payload,
-        updated_at: nowIso,
-        lastEditedBy: currentUser?.email || currentUser?.name,
-        lastEditedAt: nowIso
-      } : n)
-      ));
-      closeModal();
+  /** -------- Share links -------- */
+  const openShareLinks = async () => {
+    if (!activeId) return;
+    setShareLinks([]);
+    setShareLinksOpen(true);
+    setShareLinksLoading(true);
+    try {
+      const data = await api(`/notes/${activeId}/shares`, { token });
+      setShareLinks(Array.isArray(data) ? data : []);
     } catch (e) {
-      alert(e.message || "Failed to save note");
+      showToast(e.message || "Failed to load share links", "error");
     } finally {
-      setSavingModal(false);
+      setShareLinksLoading(false);
     }
   };
-  const deleteModal = async () => {
-    if (activeId == null) return;
+
+  const createShareLink = async (expiresInDays) => {
+    if (!activeId) return;
     try {
-      // Check if user owns the note
-      const note = notes.find(n => String(n.id) === String(activeId));
-      if (note && note.user_id !== currentUser?.id) {
-        showToast("You can't delete this note as you don't own it", "error");
-        return;
+      const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+      const link = await api(`/notes/${activeId}/shares`, { method: "POST", token, body: { expiresAt } });
+      setShareLinks((prev) => [link, ...prev]);
+      try {
+        await navigator.clipboard.writeText(shareUrl(link.token));
+        showToast("Link created and copied to clipboard", "success");
+      } catch (e) {
+        showToast("Link created", "success");
       }
+    } catch (e) {
+      showToast(e.message || "Failed to create share link", "error");
+    }
+  };
 
-      await api(`/notes/${activeId}`, { method: "DELETE", token });
-      invalidateNotesCache();
+  const revokeShareLink = async (shareId) => {
+    if (!activeId) return;
+    try {
+      await api(`/notes/${activeId}/shares/${shareId}`, { method: "DELETE", token });
+      setShareLinks((prev) => prev.filter((l) => l.id !== shareId));
+      showToast("Link revoked", "success");
+    } catch (e) {
+      showToast(e.message || "Failed to revoke link", "error");
+    }
+  };
 
-      setNotes((prev) => prev.filter((n) => String(n.id) !== String(activeId)));
-      closeModal();
-      showToast("Note deleted successfully", "success");
+  const restoreRevision = async (revisionId) => {
+    if (!activeId) return;
+    const base = modalBaseRef.current;
+    const version = base?.noteId === String(activeId) ? base.version : undefined;
+    try {
+      const restored = await api(`/notes/${activeId}/revisions/${revisionId}/restore`, { method: "POST", token, body: { version } });
+      invalidateNotesCache();
+      setNotes((prev) => prev.map((n) => (String(n.id) === String(activeId) ? { ...n, ...restored } : n)));
+      loadNoteIntoModal(restored);
+      setViewMode(true);
+      setRevisionsOpen(false);
+      showToast("Version restored", "success");
     } catch (e) {
-      if (e.status === 404 || e.message?.includes("not found")) {
-        showToast("You can't delete this note as you don't own it", "error");
-      } else {
-        showToast(e.message || "Delete failed", "error");
+      if (e.status === 409 && e.data?.note) {
+        // Someone saved after we opened the note: show their copy before anything is overwritten
+        const theirs = e.data.note;
+        setNotes((prev) => prev.map((n) => (String(n.id) === String(activeId) ? { ...n, ...theirs } : n)));
+        loadNoteIntoModal(theirs);
+        setRevisionsOpen(false);
+        showToast("This note was changed by someone else. Review it, then restore again if needed.", "error");
+        return;
       }
+      showToast(e.message || "Failed to restore version", "error");
     }
   };
+
+  const onEmptyTrash = () => {
+    showGenericConfirm({
+      title: "Empty Trash",
+      message: "Permanently delete all notes in the trash? This cannot be undone.",
+      confirmText: "Empty trash",
+      danger: true,
+      onConfirm: async () => {
+        try {
+          await api("/notes/trash", { method: "DELETE", token });
+          setNotes([]);
+          showToast("Trash emptied", "success");
+        } catch (e) {
+          showToast(e.message || "Failed to empty trash", "error");
+        }
+      }
+    });
+  };
+
   const togglePin = async (id, toPinned) => {
     try {
-      await api(`/notes/${id}`, { method: "PATCH", token, body: { pinned: !!toPinned } });
+      await patchNote(id, { pinned: !!toPinned });
       invalidateNotesCache();
 
       setNotes((prev) => prev.map((n) => (String(n.id) === String(id) ? { ...n, pinned: !!toPinned } : n)));
@@ -5104,6 +8404,9 @@ export default function App() {
   };
   const onDragStart = (id, ev) => {
     dragId.current = String(id);
+    // Lets the sidebar's notebooks accept the card as a drop
+    ev.dataTransfer.setData(NOTE_DRAG_TYPE, String(id));
+    ev.dataTransfer.effectAllowed = "move";
     const isPinned = !!notes.find((n) => String(n.id) === String(id))?.pinned;
     dragGroup.current = isPinned ? "pinned" : "others";
     ev.currentTarget.classList.add("dragging");
@@ -5178,19 +8481,17 @@ export default function App() {
 
     // Reorder the unchecked items
     const uncheckedItems = mItems.filter(it => !it.done);
-    const checkedItems = mItems.filter(it => it.done);
 
     const draggedIndex = uncheckedItems.findIndex(it => String(it.id) === String(dragged));
     const overIndex = uncheckedItems.findIndex(it => String(it.id) === String(overItemId));
 
     if (draggedIndex === -1 || overIndex === -1) return;
 
-    // Remove dragged item and insert at new position
-    const [removed] = uncheckedItems.splice(draggedIndex, 1);
-    uncheckedItems.splice(overIndex, 0, removed);
-
-    // Combine back with checked items
-    const newItems = [...uncheckedItems, ...checkedItems];
+    // Land before the target when moving up, after it when moving down
+    const rest = mItems.filter(it => String(it.id) !== String(dragged));
+    const overAt = rest.findIndex(it => String(it.id) === String(overItemId));
+    const delta = { op: "move", itemId: draggedItem.id, index: draggedIndex < overIndex ? overAt + 1 : overAt };
+    const newItems = applyChecklistDelta(mItems, delta);
 
     setMItems(newItems);
     prevItemsRef.current = newItems;
@@ -5198,11 +8499,7 @@ export default function App() {
     // Save to server
     try {
       if (activeId) {
-        await api(`/notes/${activeId}`, {
-          method: "PATCH",
-          token,
-          body: { items: newItems, type: "checklist", content: "" }
-        });
+        await sendChecklistItemOp(activeId, delta);
       }
     } catch (error) {
       console.error("Failed to reorder checklist items:", error);
@@ -5217,34 +8514,207 @@ export default function App() {
   };
 
   /** -------- Tags list (unique + counts) -------- */
-  const tagsWithCounts = useMemo(() => {
-    const map = new Map();
-    for (const n of notes) {
-      for (const t of (n.tags || [])) {
-        const key = String(t).trim();
-        if (!key) continue;
-        map.set(key, (map.get(key) || 0) + 1);
+  const tagTree = useMemo(() => buildTagTree(notes, tagMeta), [notes, tagMeta]);
+
+  /** -------- Tag management -------- */
+  const runTagOp = async (request, successMessage) => {
+    const r = await request();
+    setTagInfo(Array.isArray(r?.tags) ? r.tags : []);
+    if (successMessage) showToast(successMessage(r), "success");
+    return r;
+  };
+  // The dialog lists every tag the user owns (not just the current view), so
+  // refresh the counts when it opens
+  const openTagManager = () => {
+    setTagManagerOpen(true);
+    runTagOp(() => api("/tags", { token }).then((tags) => ({ tags })))
+      .catch((e) => console.error("Failed to load tags", e));
+  };
+  const managedTags = useMemo(
+    () => tagInfo.map((t) => ({ tag: t.name, count: t.count, meta: t })),
+    [tagInfo]
+  );
+  const notesLabel = (r) => `${r.notesUpdated} note${r.notesUpdated === 1 ? "" : "s"}`;
+
+  // Rejects with status 409 when the new name is taken (the dialog offers a merge)
+  const renameTag = async (tag, name) => {
+    try {
+      await runTagOp(
+        () => api(`/tags/${encodeURIComponent(tag)}`, { method: "PATCH", token, body: { name } }),
+        (r) => `Renamed “${tag}” to “${name}” on ${notesLabel(r)}`
+      );
+      if (typeof tagFilter === "string" && tagFilter.toLowerCase() === tag.toLowerCase()) setTagFilter(name);
+    } catch (e) {
+      if (e.status !== 409) showToast(e.message || "Failed to rename tag", "error");
+      throw e;
+    }
+  };
+
+  const updateTagMeta = (tag, fields) =>
+    runTagOp(() => api(`/tags/${encodeURIComponent(tag)}`, { method: "PATCH", token, body: fields }))
+      .catch((e) => showToast(e.message || "Failed to update tag", "error"));
+
+  const deleteTag = (tag) =>
+    runTagOp(
+      () => api(`/tags/${encodeURIComponent(tag)}`, { method: "DELETE", token }),
+      (r) => `Removed “${tag}” from ${notesLabel(r)}`
+    )
+      .then(() => {
+        if (typeof tagFilter === "string" && tagFilter.toLowerCase() === tag.toLowerCase()) setTagFilter(null);
+      })
+      .catch((e) => showToast(e.message || "Failed to delete tag", "error"));
+
+  const mergeTags = (from, into) =>
+    runTagOp(
+      () => api("/tags/merge", { method: "POST", token, body: { from, into } }),
+      (r) => `Merged into “${into}” on ${notesLabel(r)}`
+    )
+      .then(() => {
+        if (typeof tagFilter === "string" && from.some((t) => t.toLowerCase() === tagFilter.toLowerCase())) setTagFilter(into);
+      })
+      .catch((e) => showToast(e.message || "Failed to merge tags", "error"));
+
+  // Re-parent a tag (and everything nested under it); parent null = top level
+  const moveTag = (tag, parent) => {
+    const leaf = normalizeTagPath(tag).split("/").pop();
+    const target = parent ? `${normalizeTagPath(parent)}/${leaf}` : leaf;
+    return runTagOp(
+      () => api("/tags/move", { method: "POST", token, body: { tag, parent } }),
+      (r) => `Moved “${tag}” to “${target}” on ${notesLabel(r)}`
+    )
+      .then(() => {
+        if (typeof tagFilter === "string" && ![ALL_IMAGES, "ARCHIVED", "TRASH"].includes(tagFilter) && tagMatchesFilter(tagFilter, tag)) {
+          setTagFilter(target + normalizeTagPath(tagFilter).slice(normalizeTagPath(tag).length));
+        }
+      })
+      .catch((e) => showToast(e.message || "Failed to move tag", "error"));
+  };
+
+  /** -------- Notebooks -------- */
+  const loadNotebooks = () =>
+    api("/notebooks", { token })
+      .then((data) => setNotebooks(Array.isArray(data) ? data : []))
+      .catch((e) => console.error("Failed to load notebooks", e));
+
+  // New notes go into the notebook being viewed
+  useEffect(() => {
+    setComposerNotebookId(notebookFilter);
+  }, [notebookFilter]);
+
+  // A deleted notebook can't stay selected
+  useEffect(() => {
+    if (notebookFilter && !notebooks.some((nb) => String(nb.id) === String(notebookFilter))) setNotebookFilter(null);
+  }, [notebooks, notebookFilter]);
+
+  const saveNotebook = async (notebook, fields) => {
+    try {
+      if (notebook) {
+        const r = await api(`/notebooks/${notebook.id}`, { method: "PATCH", token, body: fields });
+        setNotebooks(r.notebooks || []);
+      } else {
+        await api("/notebooks", { method: "POST", token, body: fields });
+        await loadNotebooks();
       }
+    } catch (e) {
+      showToast(e.message || "Failed to save notebook", "error");
+      throw e;
     }
-    return Array.from(map.entries())
-      .map(([tag, count]) => ({ tag, count }))
-      .sort((a, b) => a.tag.toLowerCase().localeCompare(b.tag.toLowerCase()));
-  }, [notes]);
+  };
+
+  const deleteNotebook = async (notebook) => {
+    try {
+      const r = await api(`/notebooks/${notebook.id}`, { method: "DELETE", token });
+      setNotebooks(r.notebooks || []);
+      showToast(`Deleted “${notebook.name}”; its notes were kept`, "success");
+    } catch (e) {
+      showToast(e.message || "Failed to delete notebook", "error");
+    }
+  };
+
+  // Drag-and-drop from the grid; notebookId null takes the note out of its notebook
+  const moveNoteToNotebook = async (noteId, notebookId) => {
+    const note = notes.find((n) => String(n.id) === String(noteId));
+    if (!note || String(note.notebookId ?? "") === String(notebookId ?? "")) return;
+    if (note.accessRole && note.accessRole !== "owner") {
+      showToast("Only the note's owner can file it in a notebook", "error");
+      return;
+    }
+    setNotes((prev) => prev.map((n) => (String(n.id) === String(noteId) ? { ...n, notebookId } : n)));
+    try {
+      await patchNote(noteId, { notebookId });
+      invalidateNotesCache();
+      const nb = notebooks.find((b) => String(b.id) === String(notebookId));
+      showToast(nb ? `Moved to ${nb.name}` : "Removed from notebook", "success");
+    } catch (e) {
+      setNotes((prev) => prev.map((n) => (String(n.id) === String(noteId) ? { ...n, notebookId: note.notebookId } : n)));
+      showToast(e.message || "Failed to move note", "error");
+    }
+    loadNotebooks();
+  };
+
+  // Dropping one notebook on another puts it just above that one
+  const reorderNotebook = async (draggedId, targetId) => {
+    const ids = notebooks.map((nb) => String(nb.id)).filter((id) => id !== String(draggedId));
+    ids.splice(ids.indexOf(String(targetId)), 0, String(draggedId));
+    try {
+      const r = await api("/notebooks/order", { method: "PUT", token, body: { ids } });
+      setNotebooks(r.notebooks || []);
+    } catch (e) {
+      showToast(e.message || "Failed to reorder notebooks", "error");
+    }
+  };
+
+  const reorderTags = (names) =>
+    runTagOp(() => api("/tags/order", { method: "PUT", token, body: { names } }))
+      .catch((e) => showToast(e.message || "Failed to reorder tags", "error"));
+
+  /** -------- Server-side search (FTS) -------- */
+  useEffect(() => {
+    const q = search.trim();
+    if (!q || !token || !isOnline) {
+      setSearchResults(null);
+      setSearching(false);
+      return;
+    }
+    const scope = tagFilter === 'ARCHIVED' ? 'archived' : tagFilter === 'TRASH' ? 'trash' : 'notes';
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await api(`/notes/search?q=${encodeURIComponent(q)}&scope=${scope}`, { token });
+        if (!cancelled) setSearchResults(Array.isArray(results) ? results : null);
+      } catch (e) {
+        // Fall back to filtering loaded notes locally
+        if (!cancelled) setSearchResults(null);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 250);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [search, tagFilter, token, isOnline, notes]);
 
   /** -------- Derived lists (search + tag filter) -------- */
   const filtered = useMemo(() => {
     const q = search.toLowerCase();
-    const tag = tagFilter === ALL_IMAGES ? null : (tagFilter === 'ARCHIVED' ? null : (tagFilter?.toLowerCase() || null));
+    const matchesView = (n) => {
+      if (tagFilter === ALL_IMAGES) return !!(n.images && n.images.length);
+      // Archived/trash notes are already filtered by the backend
+      if (notebookFilter && String(n.notebookId) !== String(notebookFilter)) return false;
+      if (!tagFilter || tagFilter === 'ARCHIVED' || tagFilter === 'TRASH') return true;
+      return (n.tags || []).some((t) => tagMatchesFilter(t, tagFilter));
+    };
+
+    // Ranked server results; prefer the loaded copy so local edits show up
+    if (q && searchResults) {
+      const byId = new Map(notes.map((n) => [String(n.id), n]));
+      return searchResults
+        .map((r) => ({ ...(byId.get(String(r.id)) || r), searchSnippet: r.snippet }))
+        .filter(matchesView);
+    }
 
+    // Offline (or while the server search is pending): substring match on loaded notes
     return notes.filter((n) => {
-      if (tagFilter === ALL_IMAGES) {
-        if (!(n.images && n.images.length)) return false;
-      } else if (tagFilter === 'ARCHIVED') {
-        // In archived view, show all notes (they're already filtered by the backend)
-        // Just apply search filter
-      } else if (tag && !(n.tags || []).some((t) => String(t).toLowerCase() === tag)) {
-        return false;
-      }
+      if (!matchesView(n)) return false;
       if (!q) return true;
       const t = (n.title || "").toLowerCase();
       const c = (n.content || "").toLowerCase();
@@ -5253,10 +8723,10 @@ export default function App() {
       const images = (n.images || []).map((im) => im.name).join(" ").toLowerCase();
       return t.includes(q) || c.includes(q) || tagsStr.includes(q) || items.includes(q) || images.includes(q);
     });
-  }, [notes, search, tagFilter]);
+  }, [notes, search, tagFilter, notebookFilter, searchResults]);
   const pinned = filtered.filter((n) => n.pinned);
   const others = filtered.filter((n) => !n.pinned);
-  const filteredEmptyWithSearch = filtered.length === 0 && notes.length > 0 && !!(search || (tagFilter && tagFilter !== 'ARCHIVED'));
+  const filteredEmptyWithSearch = filtered.length === 0 && notes.length > 0 && !!(search || (tagFilter && tagFilter !== 'ARCHIVED' && tagFilter !== 'TRASH'));
   const allEmpty = notes.length === 0;
 
   /** -------- Modal link handler: open links in new tab (no auto-enter edit) -------- */
@@ -5264,6 +8734,12 @@ export default function App() {
     if (!(viewMode && mType === "text")) return;
 
     const a = e.target.closest("a");
+    if (a?.dataset.wikiLink) {
+      e.preventDefault();
+      e.stopPropagation();
+      openWikiLink(a.dataset.wikiLink);
+      return;
+    }
     if (a) {
       const href = a.getAttribute("href") || "";
       if (/^(https?:|mailto:|tel:)/i.test(href)) {
@@ -5474,14 +8950,15 @@ export default function App() {
             >
               <div className="flex flex-wrap items-center gap-2">
                 <input
-                  className={`flex-[1_0_50%] min-w-[240px] shrink-0 bg-transparent text-2xl font-bold placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none pr-2 ${!isOnline ? 'opacity-50 cursor-not-allowed' : ''
+                  className={`flex-[1_0_50%] min-w-[240px] shrink-0 bg-transparent text-2xl font-bold placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none pr-2 ${!modalEditable ? 'opacity-50 cursor-not-allowed' : ''
                     }`}
                   value={mTitle}
-                  onChange={(e) => { if (isOnline) setMTitle(e.target.value) }}
+                  onChange={(e) => { if (modalEditable) setMTitle(e.target.value) }}
                   placeholder="Title"
-                  disabled={!isOnline}
+                  disabled={!modalEditable}
                 />
                 <div className="flex items-center gap-2 flex-none ml-auto">
+                  <PresenceAvatars users={presenceFor(activeId)} />
                   {/* Collaboration button - always visible */}
                   <button
                     className="rounded-full p-2 opacity-70 hover:opacity-100 focus:outline-none focus:ring-2 focus:ring-indigo-500 relative"
@@ -5503,7 +8980,7 @@ export default function App() {
 
 
                   {/* View/Edit toggle only for TEXT notes - hidden when offline */}
-                  {isOnline && mType === "text" && (
+                  {modalEditable && mType === "text" && (
                     <button
                       className="px-3 py-1.5 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-sm"
                       onClick={() => { setViewMode((v) => !v); setShowModalFmt(false); }}
@@ -5513,7 +8990,7 @@ export default function App() {
                     </button>
                   )}
 
-                  {isOnline && mType === "text" && !viewMode && (
+                  {modalEditable && mType === "text" && !viewMode && (
                     <>
                       <button
                         ref={modalFmtBtnRef}
@@ -5564,6 +9041,59 @@ export default function App() {
                             <DownloadIcon />
                             Download .md
                           </button>
+                          <button
+                            className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
+                            onClick={() => { setModalMenuOpen(false); openRevisionHistory(); }}
+                          >
+                            <HistoryIcon />
+                            Version history
+                          </button>
+                          {mType !== "draw" && tagFilter !== 'TRASH' && (
+                            <button
+                              className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
+                              onClick={() => { setModalMenuOpen(false); setSaveTemplateOpen(true); }}
+                            >
+                              <TemplateIcon />
+                              Save as template…
+                            </button>
+                          )}
+                          {tagFilter !== 'TRASH' && !['viewer', 'editor'].includes(activeNoteObj?.accessRole) && (
+                            <button
+                              className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
+                              onClick={() => { setModalMenuOpen(false); openShareLinks(); }}
+                            >
+                              <LinkIcon />
+                              Share link…
+                            </button>
+                          )}
+                          {tagFilter === 'TRASH' ? (
+                            <>
+                              <button
+                                className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
+                                onClick={() => { setModalMenuOpen(false); restoreNote(activeId); }}
+                              >
+                                <RestoreIcon />
+                                Restore
+                              </button>
+                              <button
+                                className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm text-red-600 ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
+                                onClick={() => {
+                                  setModalMenuOpen(false);
+                                  const noteId = activeId;
+                                  showGenericConfirm({
+                                    title: "Delete Forever",
+                                    message: "Permanently delete this note? This cannot be undone.",
+                                    confirmText: "Delete forever",
+                                    danger: true,
+                                    onConfirm: () => deleteNoteForever(noteId)
+                                  });
+                                }}
+                              >
+                                <Trash />
+                                Delete forever
+                              </button>
+                            </>
+                          ) : (<>
                           <button
                             className={`flex items-center gap-2 w-full text-left px-3 py-2 text-sm ${dark ? "hover:bg-white/10" : "hover:bg-gray-100"}`}
                             onClick={() => {
@@ -5582,15 +9112,16 @@ export default function App() {
                             onClick={() => { setConfirmDeleteOpen(true); setModalMenuOpen(false); }}
                           >
                             <Trash />
-                            Delete
+                            Move to trash
                           </button>
+                          </>)}
                         </div>
                       </Popover>
                     </>
                   )}
 
-                  {/* Pin button - hidden when offline or in archived view */}
-                  {isOnline && tagFilter !== 'ARCHIVED' && (
+                  {/* Pin button - hidden when offline, in archived view or in the trash */}
+                  {modalEditable && tagFilter !== 'ARCHIVED' && (
                     <button
                       className="rounded-full p-2 opacity-70 hover:opacity-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
                       title="Pin/unpin"
@@ -5624,7 +9155,7 @@ export default function App() {
                         className="h-40 md:h-56 w-auto object-cover rounded-md border border-[var(--border-light)] cursor-zoom-in"
                         onClick={(e) => { e.stopPropagation(); openImageViewer(idx); }}
                       />
-                      {isOnline && (
+                      {modalEditable && (
                         <button
                           title="Remove image"
                           className="absolute -top-2 -right-2 bg-black/70 text-white rounded-full w-5 h-5 text-xs"
@@ -5644,19 +9175,46 @@ export default function App() {
                   <div
                     ref={noteViewRef}
                     className="note-content note-content--dense whitespace-pre-wrap"
-                    dangerouslySetInnerHTML={{ __html: marked.parse(mBody || "") }}
+                    dangerouslySetInnerHTML={{ __html: renderNoteMarkdown(mBody) }}
                   />
                 ) : (
                   <div className="relative min-h-[160px]">
                     <textarea
                       ref={mBodyRef}
-                      className={`w-full bg-transparent placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none resize-none overflow-hidden min-h-[160px] ${!isOnline ? 'opacity-50 cursor-not-allowed' : ''
+                      className={`w-full bg-transparent placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none resize-none overflow-hidden min-h-[160px] ${!modalEditable ? 'opacity-50 cursor-not-allowed' : ''
                         }`}
                       style={{ scrollBehavior: 'unset' }}
                       value={mBody}
-                      onChange={(e) => { if (isOnline) { setMBody(e.target.value); resizeModalTextarea(); } }}
+                      onChange={(e) => {
+                        if (!modalEditable) return;
+                        setMBody(e.target.value);
+                        resizeModalTextarea();
+                        const at = wikiLinkQueryAt(e.target.value, e.target.selectionStart ?? e.target.value.length);
+                        setLinkSuggest(at && { ...at, index: 0 });
+                      }}
+                      onBlur={() => setLinkSuggest(null)}
                       onKeyDown={(e) => {
-                        if (!isOnline) return;
+                        if (!modalEditable) return;
+                        if (linkSuggest && linkSuggestions.length) {
+                          const n = linkSuggestions.length;
+                          if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                            e.preventDefault();
+                            const step = e.key === "ArrowDown" ? 1 : n - 1;
+                            setLinkSuggest((s) => ({ ...s, index: (s.index + step) % n }));
+                            return;
+                          }
+                          if (e.key === "Enter" || e.key === "Tab") {
+                            e.preventDefault();
+                            pickLinkSuggestion(linkSuggestions[Math.min(linkSuggest.index, n - 1)]);
+                            return;
+                          }
+                          if (e.key === "Escape") {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            setLinkSuggest(null);
+                            return;
+                          }
+                        }
                         if (e.key === "Enter" && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
                           const el = mBodyRef.current;
                           const value = mBody;
@@ -5697,14 +9255,31 @@ export default function App() {
                         }
                       }}
                       placeholder="Write your note…"
-                      disabled={!isOnline}
+                      disabled={!modalEditable}
                     />
+                    {linkSuggest && linkSuggestions.length > 0 && (
+                      <div
+                        className="absolute left-0 z-20 mt-1 w-64 max-w-full rounded-lg shadow-lg border border-[var(--border-light)] py-1"
+                        style={{ backgroundColor: dark ? "#222222" : "#ffffff" }}
+                      >
+                        {linkSuggestions.map((title, i) => (
+                          <button
+                            key={title}
+                            className={`block w-full text-left px-3 py-1.5 text-sm truncate ${i === linkSuggest.index ? (dark ? "bg-white/10" : "bg-black/5") : ""}`}
+                            // Keep focus (and the caret) in the textarea
+                            onMouseDown={(e) => { e.preventDefault(); pickLinkSuggestion(title); }}
+                          >
+                            {title}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )
               ) : mType === "checklist" ? (
                 <div className="space-y-4 md:space-y-2">
                   {/* Add new item row - hidden when offline */}
-                  {isOnline && (
+                  {modalEditable && (
                     <div className="flex gap-2">
                       <input
                         value={mInput}
@@ -5714,12 +9289,14 @@ export default function App() {
                             e.preventDefault();
                             const t = mInput.trim();
                             if (t) {
-                              const newItems = [...mItems, { id: uid(), text: t, done: false }];
+                              const item = { id: uid(), text: t, done: false };
+                              const delta = { op: "add", item, itemId: item.id, index: mItems.length };
+                              const newItems = applyChecklistDelta(mItems, delta);
                               setMItems(newItems);
                               setMInput("");
                               try {
                                 if (activeId) {
-                                  await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                  await sendChecklistItemOp(activeId, delta);
                                   prevItemsRef.current = newItems;
                                 }
                               } catch (e) {
@@ -5735,12 +9312,14 @@ export default function App() {
                         onClick={async () => {
                           const t = mInput.trim();
                           if (t) {
-                            const newItems = [...mItems, { id: uid(), text: t, done: false }];
+                            const item = { id: uid(), text: t, done: false };
+                            const delta = { op: "add", item, itemId: item.id, index: mItems.length };
+                            const newItems = applyChecklistDelta(mItems, delta);
                             setMItems(newItems);
                             setMInput("");
                             try {
                               if (activeId) {
-                                await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                await sendChecklistItemOp(activeId, delta);
                                 prevItemsRef.current = newItems;
                               }
                             } catch (e) { }
@@ -5767,12 +9346,12 @@ export default function App() {
                         >
                           {/* Drag handle */}
                           <div
-                            draggable={isOnline}
+                            draggable={modalEditable}
                             onDragStart={(e) => onChecklistDragStart(it.id, e)}
                             onDragEnd={onChecklistDragEnd}
                             onTouchStart={(e) => {
                               // Handle touch drag start - only when touching the handle
-                              if (!isOnline) return;
+                              if (!modalEditable) return;
                               const target = e.currentTarget.closest('[data-checklist-item]');
                               if (target) {
                                 checklistDragId.current = String(it.id);
@@ -5833,18 +9412,19 @@ export default function App() {
                           <div className="flex-1">
                             <ChecklistRow
                               item={it}
-                              readOnly={!isOnline}
-                              disableToggle={!isOnline}      /* disable toggle when offline */
-                              showRemove={isOnline && true}  /* show delete X only when online */
+                              readOnly={!modalEditable}
+                              disableToggle={!modalEditable}      /* disable toggle when offline */
+                              showRemove={modalEditable && true}  /* show delete X only when online */
                               size="lg"                  /* bigger checkboxes and X in modal */
                               onToggle={async (checked, e) => {
                                 e?.stopPropagation(); // Prevent any unwanted event bubbling
-                                if (!isOnline) return;
-                                const newItems = mItems.map(p => p.id === it.id ? { ...p, done: checked } : p);
+                                if (!modalEditable) return;
+                                const delta = { op: "update", itemId: it.id, changes: { done: checked } };
+                                const newItems = applyChecklistDelta(mItems, delta);
                                 setMItems(newItems);
                                 try {
                                   if (activeId) {
-                                    await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                    await sendChecklistItemOp(activeId, delta);
                                     prevItemsRef.current = newItems;
                                   }
                                 } catch (e) {
@@ -5852,23 +9432,25 @@ export default function App() {
                                 }
                               }}
                               onChange={async (txt) => {
-                                if (!isOnline) return;
-                                const newItems = mItems.map(p => p.id === it.id ? { ...p, text: txt } : p);
+                                if (!modalEditable) return;
+                                const delta = { op: "update", itemId: it.id, changes: { text: txt } };
+                                const newItems = applyChecklistDelta(mItems, delta);
                                 setMItems(newItems);
                                 try {
                                   if (activeId) {
-                                    await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                    await sendChecklistItemOp(activeId, delta);
                                     prevItemsRef.current = newItems;
                                   }
                                 } catch (e) { }
                               }}
                               onRemove={async () => {
-                                if (!isOnline) return;
-                                const newItems = mItems.filter(p => p.id !== it.id);
+                                if (!modalEditable) return;
+                                const delta = { op: "delete", itemId: it.id };
+                                const newItems = applyChecklistDelta(mItems, delta);
                                 setMItems(newItems);
                                 try {
                                   if (activeId) {
-                                    await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                    await sendChecklistItemOp(activeId, delta);
                                     prevItemsRef.current = newItems;
                                   }
                                 } catch (e) { }
@@ -5887,40 +9469,43 @@ export default function App() {
                               <ChecklistRow
                                 key={it.id}
                                 item={it}
-                                readOnly={!isOnline}
-                                disableToggle={!isOnline}      /* disable toggle when offline */
-                                showRemove={isOnline && true}  /* show delete X only when online */
+                                readOnly={!modalEditable}
+                                disableToggle={!modalEditable}      /* disable toggle when offline */
+                                showRemove={modalEditable && true}  /* show delete X only when online */
                                 size="lg"                  /* bigger checkboxes and X in modal */
                                 onToggle={async (checked, e) => {
                                   e?.stopPropagation(); // Prevent any unwanted event bubbling
-                                  if (!isOnline) return;
-                                  const newItems = mItems.map(p => p.id === it.id ? { ...p, done: checked } : p);
+                                  if (!modalEditable) return;
+                                  const delta = { op: "update", itemId: it.id, changes: { done: checked } };
+                                  const newItems = applyChecklistDelta(mItems, delta);
                                   setMItems(newItems);
                                   try {
                                     if (activeId) {
-                                      await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                      await sendChecklistItemOp(activeId, delta);
                                       prevItemsRef.current = newItems;
                                     }
                                   } catch (e) { }
                                 }}
                                 onChange={async (txt) => {
-                                  if (!isOnline) return;
-                                  const newItems = mItems.map(p => p.id === it.id ? { ...p, text: txt } : p);
+                                  if (!modalEditable) return;
+                                  const delta = { op: "update", itemId: it.id, changes: { text: txt } };
+                                  const newItems = applyChecklistDelta(mItems, delta);
                                   setMItems(newItems);
                                   try {
                                     if (activeId) {
-                                      await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                      await sendChecklistItemOp(activeId, delta);
                                       prevItemsRef.current = newItems;
                                     }
                                   } catch (e) { }
                                 }}
                                 onRemove={async () => {
-                                  if (!isOnline) return;
-                                  const newItems = mItems.filter(p => p.id !== it.id);
+                                  if (!modalEditable) return;
+                                  const delta = { op: "delete", itemId: it.id };
+                                  const newItems = applyChecklistDelta(mItems, delta);
                                   setMItems(newItems);
                                   try {
                                     if (activeId) {
-                                      await api(`/notes/${activeId}`, { method: "PATCH", token, body: { items: newItems, type: "checklist", content: "" } });
+                                      await sendChecklistItemOp(activeId, delta);
                                       prevItemsRef.current = newItems;
                                     }
                                   } catch (e) { }
@@ -5939,12 +9524,33 @@ export default function App() {
                   onChange={setMDrawingData}
                   width={750}
                   height={850}
-                  readOnly={!isOnline}
+                  readOnly={!modalEditable}
                   darkMode={dark}
                   initialMode="view"
                 />
               )}
 
+              {/* Notes linking here with [[this title]] */}
+              {backlinks.length > 0 && (
+                <div className="mt-6 pt-3 border-t border-[var(--border-light)]">
+                  <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                    Linked from
+                  </div>
+                  <div className="space-y-1">
+                    {backlinks.map((b) => (
+                      <button
+                        key={b.id}
+                        className="block w-full text-left px-2 py-1.5 rounded-md hover:bg-black/5 dark:hover:bg-white/10"
+                        onClick={() => openNoteAnywhere(b)}
+                      >
+                        <span className="block text-sm font-medium truncate">{b.title || "Untitled"}</span>
+                        {b.snippet && <span className="block text-xs opacity-70 truncate">{b.snippet}</span>}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Inline Edited stamp: only when scrollable (appears at very end) */}
               {editedStamp && modalScrollable && (
                 <div className="mt-6 text-xs text-gray-600 dark:text-gray-300 text-right">
@@ -5969,10 +9575,11 @@ export default function App() {
                 <span
                   key={tag}
                   className="bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 text-xs font-medium px-2.5 py-0.5 rounded-full inline-flex items-center gap-1"
+                  style={tagChipStyle(tagMeta[tag.toLowerCase()], dark)}
                 >
-                  {tag}
+                  {tagDisplayName(tag, tagMeta[tag.toLowerCase()])}
                   {/* Tag removal button - hidden when offline */}
-                  {isOnline && (
+                  {modalEditable && (
                     <button
                       className="ml-1 opacity-70 hover:opacity-100 focus:outline-none"
                       title="Remove tag"
@@ -5984,7 +9591,7 @@ export default function App() {
                 </span>
               ))}
               {/* Tag input - hidden when offline */}
-              {isOnline && (
+              {modalEditable && (
                 <input
                   value={tagInput}
                   onChange={(e) => setTagInput(e.target.value)}
@@ -5999,8 +9606,43 @@ export default function App() {
 
             {/* Right controls */}
             <div className="w-full sm:w-auto flex items-center gap-3 flex-wrap justify-end">
+              {/* Reminder (modal) */}
+              {modalEditable && activeNoteObj && (
+                <>
+                  <button
+                    ref={modalReminderBtnRef}
+                    type="button"
+                    onClick={() => setShowModalReminderPop((v) => !v)}
+                    className={`flex items-center gap-1 px-2 py-1 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10 text-xs ${isReminderDue(activeNoteObj) ? "text-amber-600 dark:text-amber-400" : ""}`}
+                    title={activeNoteObj.reminderAt ? `Reminder: ${formatReminder(activeNoteObj.reminderAt)}` : "Add reminder"}
+                  >
+                    <BellIcon />
+                    {activeNoteObj.reminderAt && <span>{formatReminder(activeNoteObj.reminderAt)}{activeNoteObj.reminderRepeat && " ↻"}</span>}
+                  </button>
+                  <Popover
+                    anchorRef={modalReminderBtnRef}
+                    open={showModalReminderPop}
+                    onClose={() => setShowModalReminderPop(false)}
+                  >
+                    <div className={`fmt-pop ${dark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-800"}`}>
+                      <ReminderPicker
+                        key={`${activeNoteObj.reminderAt || "none"}:${activeNoteObj.reminderRepeat?.rule || ""}`}
+                        reminderAt={activeNoteObj.reminderAt}
+                        repeat={activeNoteObj.reminderRepeat}
+                        isChecklist={activeNoteObj.type === "checklist"}
+                        due={isReminderDue(activeNoteObj)}
+                        onSet={(at, repeat) => { setShowModalReminderPop(false); setReminder(activeNoteObj.id, at, repeat); }}
+                        onClear={() => { setShowModalReminderPop(false); clearReminder(activeNoteObj.id); }}
+                        onSnooze={(minutes) => { setShowModalReminderPop(false); snoozeReminder(activeNoteObj.id, minutes); }}
+                        onDone={() => { setShowModalReminderPop(false); completeReminder(activeNoteObj.id); }}
+                      />
+                    </div>
+                  </Popover>
+                </>
+              )}
+
               {/* Color dropdown (modal) - hidden when offline */}
-              {isOnline && (
+              {modalEditable && (
                 <>
                   <button
                     ref={modalColorBtnRef}
@@ -6044,7 +9686,7 @@ export default function App() {
               )}
 
               {/* Add images - hidden when offline */}
-              {isOnline && (
+              {modalEditable && (
                 <>
                   <input
                     ref={modalFileRef}
@@ -6065,7 +9707,7 @@ export default function App() {
               )}
 
               {/* Save button - hidden when offline or for collaborative text notes (they auto-save) */}
-              {isOnline && modalHasChanges && !(mType === "text" && isCollaborativeNote(activeId)) && (
+              {modalEditable && modalHasChanges && !(mType === "text" && isCollaborativeNote(activeId)) && (
                 <button
                   onClick={saveModal}
                   disabled={savingModal}
@@ -6090,9 +9732,9 @@ export default function App() {
                 style={{ backgroundColor: dark ? "rgba(40,40,40,0.95)" : "rgba(255,255,255,0.95)" }}
                 onClick={(e) => e.stopPropagation()}
               >
-                <h3 className="text-lg font-semibold mb-2">Delete this note?</h3>
+                <h3 className="text-lg font-semibold mb-2">Move this note to the trash?</h3>
                 <p className="text-sm text-gray-600 dark:text-gray-300">
-                  This action cannot be undone.
+                  You can restore it from the Trash until it is deleted automatically.
                 </p>
                 <div className="mt-5 flex justify-end gap-3">
                   <button
@@ -6105,7 +9747,7 @@ export default function App() {
                     className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
                     onClick={async () => { setConfirmDeleteOpen(false); await deleteModal(); }}
                   >
-                    Delete
+                    Move to trash
                   </button>
                 </div>
               </div>
@@ -6113,6 +9755,44 @@ export default function App() {
           )}
 
 
+          {/* Revision History Dialog */}
+          <RevisionHistoryDialog
+            open={revisionsOpen}
+            onClose={() => setRevisionsOpen(false)}
+            dark={dark}
+            revisions={revisions}
+            loading={revisionsLoading}
+            current={activeNoteObj}
+            canRestore={modalEditable}
+            onRestore={restoreRevision}
+          />
+
+          <ConflictDialog
+            conflict={conflict}
+            dark={dark}
+            onKeepMine={() => resolveConflict("mine")}
+            onKeepTheirs={() => resolveConflict("theirs")}
+            onMerge={(merged) => resolveConflict("merge", merged)}
+          />
+
+          <SaveTemplateDialog
+            open={saveTemplateOpen}
+            onClose={() => setSaveTemplateOpen(false)}
+            dark={dark}
+            defaultName={mTitle.trim()}
+            onSave={saveAsTemplate}
+          />
+
+          <ShareLinksDialog
+            open={shareLinksOpen}
+            onClose={() => setShareLinksOpen(false)}
+            dark={dark}
+            links={shareLinks}
+            loading={shareLinksLoading}
+            onCreate={createShareLink}
+            onRevoke={revokeShareLink}
+          />
+
           {/* Collaboration Modal */}
           {collaborationModalOpen && (
             <div className="fixed inset-0 z-50 flex items-center justify-center">
@@ -6134,12 +9814,19 @@ export default function App() {
                   // Check if user owns the note (or if it's a new note)
                   const note = activeId ? notes.find(n => String(n.id) === String(activeId)) : null;
                   const isOwner = !activeId || note?.user_id === currentUser?.id;
+                  // Owners and collaborators allowed to re-share manage access
+                  const canManage = isOwner || note?.accessRole === "reshare";
 
                   return (
                     <>
                       <h3 className="text-lg font-semibold mb-4">
-                        {isOwner ? "Add Collaborator" : "Collaborators"}
+                        {canManage ? "Add Collaborator" : "Collaborators"}
                       </h3>
+                      {!isOwner && note?.accessRole && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 -mt-2 mb-4">
+                          Your access: {roleLabel(note.accessRole)}
+                        </p>
+                      )}
 
                       {/* Show existing collaborators with remove option */}
                       {addModalCollaborators.length > 0 && (
@@ -6147,17 +9834,32 @@ export default function App() {
                           <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Current Collaborators:</p>
                           <div className="space-y-2 max-h-48 overflow-y-auto">
                             {addModalCollaborators.map((collab) => {
-                              const canRemove = isOwner || collab.id === currentUser?.id;
+                              const isSelf = collab.id === currentUser?.id;
+                              const canRemove = canManage || isSelf;
 
                               return (
                                 <div
                                   key={collab.id}
                                   className="flex items-center justify-between p-2 bg-gray-100 dark:bg-gray-700 rounded-lg"
                                 >
-                                  <div>
-                                    <p className="font-medium text-sm">{collab.name || collab.email}</p>
-                                    <p className="text-xs text-gray-500 dark:text-gray-400">{collab.email}</p>
+                                  <div className="min-w-0">
+                                    <p className="font-medium text-sm truncate">{collab.name || collab.email}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{collab.email}</p>
                                   </div>
+                                  {canManage && !isSelf ? (
+                                    <select
+                                      value={collab.role || "editor"}
+                                      onChange={(e) => changeCollaboratorRole(collab.id, e.target.value, activeId)}
+                                      className="ml-auto mr-1 text-xs bg-transparent border border-[var(--border-light)] rounded-md px-1.5 py-1"
+                                      title="Change access"
+                                    >
+                                      {COLLABORATOR_ROLES.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                    </select>
+                                  ) : (
+                                    <span className="ml-auto mr-1 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                                      {roleLabel(collab.role)}
+                                    </span>
+                                  )}
                                   {canRemove && (
                                     <button
                                       onClick={async () => {
@@ -6176,43 +9878,53 @@ export default function App() {
                         </div>
                       )}
 
-                      {/* Only show add collaborator input/button if user owns the note */}
-                      {isOwner && (
+                      {/* Only show add collaborator input/button if user can share the note */}
+                      {canManage && (
                         <>
                           <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
                             Enter the username of the person you want to collaborate with on this note.
                           </p>
-                          <div ref={collaboratorInputRef} className="relative">
-                            <input
-                              type="text"
-                              value={collaboratorUsername}
-                              onChange={(e) => {
-                                const value = e.target.value;
-                                setCollaboratorUsername(value);
-                                updateDropdownPosition();
-                                searchUsers(value);
-                              }}
-                              onFocus={() => {
-                                updateDropdownPosition();
-                                searchUsers(collaboratorUsername || "");
-                              }}
-                              placeholder="Search by username or email"
-                              className="w-full px-3 py-2 border border-[var(--border-light)] rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-transparent"
-                              onKeyDown={(e) => {
-                                if (e.key === 'Enter' && collaboratorUsername.trim()) {
-                                  // If dropdown is open and there's a filtered user, select the first one
-                                  if (showUserDropdown && filteredUsers.length > 0) {
-                                    const firstUser = filteredUsers[0];
-                                    setCollaboratorUsername(firstUser.name || firstUser.email);
+                          <div className="flex gap-2">
+                            <div ref={collaboratorInputRef} className="relative flex-1 min-w-0">
+                              <input
+                                type="text"
+                                value={collaboratorUsername}
+                                onChange={(e) => {
+                                  const value = e.target.value;
+                                  setCollaboratorUsername(value);
+                                  updateDropdownPosition();
+                                  searchUsers(value);
+                                }}
+                                onFocus={() => {
+                                  updateDropdownPosition();
+                                  searchUsers(collaboratorUsername || "");
+                                }}
+                                placeholder="Search by username or email"
+                                className="w-full px-3 py-2 border border-[var(--border-light)] rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-transparent"
+                                onKeyDown={(e) => {
+                                  if (e.key === 'Enter' && collaboratorUsername.trim()) {
+                                    // If dropdown is open and there's a filtered user, select the first one
+                                    if (showUserDropdown && filteredUsers.length > 0) {
+                                      const firstUser = filteredUsers[0];
+                                      setCollaboratorUsername(firstUser.name || firstUser.email);
+                                      setShowUserDropdown(false);
+                                    } else {
+                                      addCollaborator(collaboratorUsername.trim());
+                                    }
+                                  } else if (e.key === 'Escape') {
                                     setShowUserDropdown(false);
-                                  } else {
-                                    addCollaborator(collaboratorUsername.trim());
                                   }
-                                } else if (e.key === 'Escape') {
-                                  setShowUserDropdown(false);
-                                }
-                              }}
-                            />
+                                }}
+                              />
+                            </div>
+                            <select
+                              value={collaboratorRole}
+                              onChange={(e) => setCollaboratorRole(e.target.value)}
+                              className="px-2 py-2 text-sm border border-[var(--border-light)] rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                              aria-label="Access"
+                            >
+                              {COLLABORATOR_ROLES.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                            </select>
                           </div>
                           <div className="mt-5 flex justify-end gap-3">
                             <button
@@ -6240,8 +9952,8 @@ export default function App() {
                         </>
                       )}
 
-                      {/* If user doesn't own the note, show only cancel button */}
-                      {!isOwner && (
+                      {/* If user can't share the note, show only cancel button */}
+                      {!canManage && (
                         <div className="mt-5 flex justify-end gap-3">
                           <button
                             className="px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
@@ -6376,7 +10088,7 @@ export default function App() {
 
   // Redirect if already logged in
   useEffect(() => {
-    if (currentUser?.email && route !== "#/notes" && route !== "#/admin") navigate("#/notes");
+    if (currentUser?.email && route !== "#/notes" && route !== "#/admin" && !route.startsWith("#/s/")) navigate("#/notes");
   }, [currentUser]); // eslint-disable-line
 
   // Close sidebar when navigating away or opening modal
@@ -6385,10 +10097,21 @@ export default function App() {
   }, [open]);
 
   // ---- Routing ----
+  // Public share links work with or without a session
+  if (route.startsWith("#/s/")) {
+    return (
+      <PublicNoteView
+        shareToken={decodeURIComponent(route.slice("#/s/".length))}
+        dark={dark}
+        onToggleDark={toggleDark}
+      />
+    );
+  }
+
   if (route === "#/admin") {
     if (!currentUser?.email) {
       return (
-        <AuthShell title="Admin Panel" dark={dark} onToggleDark={toggleDark}>
+        <AuthShell title="Admin Panel" dark={dark} onToggleDark={toggleDark} instanceName={instanceSettings.instanceName}>
           <p className="text-sm mb-4">
             You must sign in as an admin to view this page.
           </p>
@@ -6403,7 +10126,7 @@ export default function App() {
     }
     if (!currentUser?.is_admin) {
       return (
-        <AuthShell title="Admin Panel" dark={dark} onToggleDark={toggleDark}>
+        <AuthShell title="Admin Panel" dark={dark} onToggleDark={toggleDark} instanceName={instanceSettings.instanceName}>
           <p className="text-sm">Not authorized. Your account is not an admin.</p>
           <button
             className="mt-4 px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
@@ -6431,6 +10154,7 @@ export default function App() {
         <RegisterView
           dark={dark}
           onToggleDark={toggleDark}
+          instanceName={instanceSettings.instanceName}
           onRegister={register}
           goLogin={() => navigate("#/login")}
         />
@@ -6441,6 +10165,7 @@ export default function App() {
         <SecretLoginView
           dark={dark}
           onToggleDark={toggleDark}
+          instanceName={instanceSettings.instanceName}
           onLoginWithKey={signInWithSecret}
           goLogin={() => navigate("#/login")}
         />
@@ -6450,6 +10175,7 @@ export default function App() {
       <LoginView
         dark={dark}
         onToggleDark={toggleDark}
+        instanceName={instanceSettings.instanceName}
         onLogin={signIn}
         goRegister={() => navigate("#/register")}
         goSecret={() => navigate("#/login-secret")}
@@ -6464,13 +10190,44 @@ export default function App() {
       <TagSidebar
         open={sidebarOpen}
         onClose={() => setSidebarOpen(false)}
-        tagsWithCounts={tagsWithCounts}
+        tagTree={tagTree}
         activeTag={tagFilter}
-        onSelect={(tag) => setTagFilter(tag)}
+        onSelect={(tag) => { setTagFilter(tag); setNotebookFilter(null); }}
         dark={dark}
         permanent={alwaysShowSidebarOnWide && windowWidth >= 700}
         width={sidebarWidth}
         onResize={setSidebarWidth}
+        reminders={reminders}
+        onOpenReminder={openNoteAnywhere}
+        onManageTags={isOnline ? openTagManager : undefined}
+        onMoveTag={isOnline ? moveTag : undefined}
+        notebooks={notebooks}
+        activeNotebook={notebookFilter}
+        onSelectNotebook={(id) => { setTagFilter(null); setNotebookFilter(id); }}
+        onEditNotebook={isOnline ? setEditingNotebook : undefined}
+        onMoveNoteToNotebook={isOnline ? moveNoteToNotebook : undefined}
+        onReorderNotebook={isOnline ? reorderNotebook : undefined}
+      />
+
+      <NotebookDialog
+        open={editingNotebook !== undefined}
+        notebook={editingNotebook}
+        onClose={() => setEditingNotebook(undefined)}
+        dark={dark}
+        onSave={(fields) => saveNotebook(editingNotebook, fields)}
+        onDelete={deleteNotebook}
+      />
+
+      <TagManagerDialog
+        open={tagManagerOpen}
+        onClose={() => setTagManagerOpen(false)}
+        dark={dark}
+        tags={managedTags}
+        onRename={renameTag}
+        onUpdate={updateTagMeta}
+        onDelete={deleteTag}
+        onMerge={mergeTags}
+        onReorder={reorderTags}
       />
 
       {/* Settings Panel */}
@@ -6479,18 +10236,31 @@ export default function App() {
         onClose={() => setSettingsPanelOpen(false)}
         dark={dark}
         onExportAll={exportAll}
+        onExportZip={exportZip}
         onImportAll={() => importFileRef.current?.click()}
         onImportGKeep={() => gkeepFileRef.current?.click()}
         onImportMd={() => mdFileRef.current?.click()}
+        onImportVault={() => vaultFileRef.current?.click()}
+        onImportOtherApp={() => otherAppFileRef.current?.click()}
+        onImportJoplinFolder={() => joplinFolderRef.current?.click()}
+        onImportEnex={() => enexFileRef.current?.click()}
         onDownloadSecretKey={downloadSecretKey}
         alwaysShowSidebarOnWide={alwaysShowSidebarOnWide}
         setAlwaysShowSidebarOnWide={setAlwaysShowSidebarOnWide}
         localAiEnabled={localAiEnabled}
         setLocalAiEnabled={setLocalAiEnabled}
+        aiAvailable={instanceSettings.aiEnabled}
         showGenericConfirm={showGenericConfirm}
         showToast={showToast}
       />
 
+      <ImportPreviewDialog
+        preview={importPreview}
+        dark={dark}
+        onCancel={() => setImportPreview(null)}
+        onConfirm={confirmImportPreview}
+      />
+
       {/* Admin Panel */}
       {console.log("Rendering AdminPanel with:", { adminPanelOpen, adminSettings, allUsers: allUsers?.length })}
       <AdminPanel
@@ -6516,6 +10286,7 @@ export default function App() {
         toggleDark={toggleDark}
         signOut={signOut}
         search={search}
+        searching={searching}
         setSearch={setSearch}
         composerType={composerType}
         setComposerType={setComposerType}
@@ -6537,6 +10308,13 @@ export default function App() {
         setTags={setTags}
         composerColor={composerColor}
         setComposerColor={setComposerColor}
+        notebooks={notebooks}
+        composerNotebookId={composerNotebookId}
+        setComposerNotebookId={setComposerNotebookId}
+        templates={templates}
+        onUseTemplate={isOnline ? applyTemplate : undefined}
+        onDeleteTemplate={deleteTemplate}
+        activeNotebook={notebooks.find((nb) => String(nb.id) === String(notebookFilter)) || null}
         addNote={addNote}
         pinned={pinned}
         others={others}
@@ -6554,10 +10332,17 @@ export default function App() {
         onImportAll={importAll}
         onImportGKeep={importGKeep}
         onImportMd={importMd}
+        onImportVault={importVault}
+        onImportOtherApp={importOtherApp}
+        onImportEnex={importEnex}
         onDownloadSecretKey={downloadSecretKey}
         importFileRef={importFileRef}
         gkeepFileRef={gkeepFileRef}
         mdFileRef={mdFileRef}
+        vaultFileRef={vaultFileRef}
+        otherAppFileRef={otherAppFileRef}
+        joplinFolderRef={joplinFolderRef}
+        enexFileRef={enexFileRef}
         headerMenuOpen={headerMenuOpen}
         setHeaderMenuOpen={setHeaderMenuOpen}
         headerMenuRef={headerMenuRef}
@@ -6566,8 +10351,9 @@ export default function App() {
         activeTagFilter={tagFilter}
         sidebarPermanent={alwaysShowSidebarOnWide && windowWidth >= 700}
         sidebarWidth={sidebarWidth}
+        instanceName={instanceSettings.instanceName}
         // AI props
-        localAiEnabled={localAiEnabled}
+        localAiEnabled={localAiEnabled && instanceSettings.aiEnabled}
         aiResponse={aiResponse}
         setAiResponse={setAiResponse}
         isAiLoading={isAiLoading}
@@ -6598,6 +10384,10 @@ export default function App() {
         onSelectAllPinned={onSelectAllPinned}
         onSelectAllOthers={onSelectAllOthers}
         onBulkDelete={onBulkDelete}
+        onBulkRestore={onBulkRestore}
+        onEmptyTrash={onEmptyTrash}
+        onSnoozeReminder={snoozeReminder}
+        onCompleteReminder={completeReminder}
         onBulkPin={onBulkPin}
         onBulkArchive={onBulkArchive}
         onBulkColor={onBulkColor}
@@ -6612,6 +10402,8 @@ export default function App() {
         loadArchivedNotes={loadArchivedNotes}
         // checklist update
         onUpdateChecklistItem={onUpdateChecklistItem}
+        presenceFor={presenceFor}
+        tagMeta={tagMeta}
         // Admin panel
         openAdminPanel={openAdminPanel}
         // Settings panel
@@ -6624,7 +10416,10 @@ export default function App() {
         <div className="fixed inset-0 z-50 flex items-center justify-center">
           <div
             className="absolute inset-0 bg-black/40"
-            onClick={() => setGenericConfirmOpen(false)}
+            onClick={() => {
+              setGenericConfirmOpen(false);
+              genericConfirmConfig.onDismiss?.();
+            }}
           />
           <div
             className="glass-card rounded-xl shadow-2xl w-[90%] max-w-sm p-6 relative"
@@ -6638,7 +10433,12 @@ export default function App() {
             <div className="mt-5 flex justify-end gap-3">
               <button
                 className="px-4 py-2 rounded-lg border border-[var(--border-light)] hover:bg-black/5 dark:hover:bg-white/10"
-                onClick={() => setGenericConfirmOpen(false)}
+                onClick={async () => {
+                  setGenericConfirmOpen(false);
+                  if (genericConfirmConfig.onCancel) {
+                    await genericConfirmConfig.onCancel();
+                  }
+                }}
               >
                 {genericConfirmConfig.cancelText || "Cancel"}
               </button>
@@ -0,0 +1,703 @@
+/**
+ * Importers for other note apps' export formats.
+ * Each parser turns file contents into plain note objects
+ * ({ type, title, content, items, tags, notebook, timestamp, updated_at, ... })
+ * plus the images they carry; App.jsx uploads the images and posts the notes
+ * to /api/notes/import.
+ */
+
+/** ---------- Shared helpers ---------- */
+const base64ToBytes = (b64) => {
+  const bin = atob(String(b64 || "").replace(/\s+/g, ""));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+};
+
+// MD5 hex digest (Evernote references resources by the MD5 of their data)
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+function md5Hex(bytes) {
+  const len = bytes.length;
+  const padded = new Uint8Array(((len + 8) >>> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[len] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (len * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(len / 0x20000000), true);
+
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  const m = new Uint32Array(16);
+  for (let off = 0; off < padded.length; off += 64) {
+    for (let i = 0; i < 16; i++) m[i] = view.getUint32(off + i * 4, true);
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) { f = (b & c) | (~b & d); g = i; }
+      else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+      else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+      const s = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_K[i] + m[g]) >>> 0;
+      a = d; d = c; c = b;
+      b = (b + ((sum << s) | (sum >>> (32 - s)))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0; b0 = (b0 + b) >>> 0; c0 = (c0 + c) >>> 0; d0 = (d0 + d) >>> 0;
+  }
+  return [a0, b0, c0, d0]
+    .map((w) => Array.from({ length: 4 }, (_, i) => ((w >>> (i * 8)) & 0xff).toString(16).padStart(2, "0")).join(""))
+    .join("");
+}
+
+// Markdown with only task lines becomes a checklist note
+const TASK_LINE_RE = /^\s*- \[( |x)\] (.*)$/i;
+function checklistFromMarkdown(md) {
+  const lines = md.split("\n").filter((l) => l.trim());
+  if (!lines.length || !lines.every((l) => TASK_LINE_RE.test(l))) return null;
+  return lines.map((l) => {
+    const [, mark, text] = TASK_LINE_RE.exec(l);
+    return { text: text.trim(), done: mark.toLowerCase() === "x" };
+  });
+}
+
+/** ---------- Evernote (.enex) ---------- */
+// 20200131T154500Z -> ISO string
+function enexDate(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(s || "").trim());
+  return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}.000Z` : null;
+}
+
+const childText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent ?? "";
+
+// Inline whitespace as HTML renders it
+const collapseSpace = (s) => s.replace(/[ \t\r\n\u00a0]+/g, " ");
+
+const BLOCK_TAGS = new Set([
+  "div", "p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "pre",
+  "blockquote", "table", "hr", "en-note",
+]);
+
+// Newer Evernote clients mark checklists with CSS variables instead of <en-todo>
+const isTodoList = (el) => /--en-todo\s*:\s*true/i.test(el.getAttribute("style") || "");
+const isCheckedItem = (el) => /--en-checked\s*:\s*true/i.test(el.getAttribute("style") || "");
+
+/**
+ * ENML (Evernote's XHTML) to Markdown. `media(hash, el)` returns the Markdown
+ * for an <en-media> reference ("" for images, which become note images).
+ */
+function enmlToMarkdown(root, media) {
+  const out = [];
+  const ensureNewline = () => {
+    // Whitespace between blocks isn't content
+    while (out.length && /^[ \t]*$/.test(out[out.length - 1])) out.pop();
+    const last = out.length ? out[out.length - 1] : "\n";
+    if (!last.endsWith("\n")) out.push("\n");
+  };
+  const inline = (el) => {
+    const saved = out.length;
+    walkChildren(el, { inline: true });
+    const text = out.splice(saved).join("");
+    return collapseSpace(text).trim();
+  };
+
+  function walkChildren(el, ctx) {
+    for (const child of Array.from(el.childNodes)) walk(child, ctx);
+  }
+
+  function walk(node, ctx) {
+    if (node.nodeType === 3) {
+      out.push(collapseSpace(node.nodeValue));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName.toLowerCase();
+    const block = BLOCK_TAGS.has(tag) && !ctx.inline;
+    if (block) ensureNewline();
+
+    switch (tag) {
+      case "br":
+        out.push(ctx.inline ? " " : "\n");
+        return;
+      case "hr":
+        out.push("---\n");
+        return;
+      case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+        out.push(`${"#".repeat(Number(tag[1]))} ${inline(node)}\n`);
+        return;
+      case "b": case "strong": {
+        const t = inline(node);
+        if (t) out.push(`**${t}**`);
+        return;
+      }
+      case "i": case "em": {
+        const t = inline(node);
+        if (t) out.push(`*${t}*`);
+        return;
+      }
+      case "s": case "strike": case "del": {
+        const t = inline(node);
+        if (t) out.push(`~~${t}~~`);
+        return;
+      }
+      case "code":
+        out.push(`\`${node.textContent}\``);
+        return;
+      case "pre":
+        out.push("```\n", node.textContent.replace(/\n$/, ""), "\n```\n");
+        return;
+      case "a": {
+        const href = node.getAttribute("href") || "";
+        const t = inline(node) || href;
+        out.push(href && !href.startsWith("evernote:") ? `[${t}](${href})` : t);
+        return;
+      }
+      case "en-todo":
+        out.push(node.getAttribute("checked") === "true" ? "- [x] " : "- [ ] ");
+        return;
+      case "en-media":
+        out.push(media(node.getAttribute("hash") || "", node));
+        return;
+      case "en-crypt":
+        out.push("*[encrypted content]*");
+        return;
+      case "ul": case "ol": {
+        const depth = ctx.depth || 0;
+        const todo = isTodoList(node);
+        let n = 1;
+        for (const li of Array.from(node.children)) {
+          if (li.tagName.toLowerCase() !== "li") continue;
+          ensureNewline();
+          const marker = todo
+            ? (isCheckedItem(li) ? "- [x] " : "- [ ] ")
+            : tag === "ol" ? `${n++}. ` : "- ";
+          // Nested lists inside the item follow on their own lines
+          const nested = Array.from(li.children).filter((c) => /^(ul|ol)$/i.test(c.tagName));
+          const clone = li.cloneNode(true);
+          for (const c of Array.from(clone.children)) if (/^(ul|ol)$/i.test(c.tagName)) c.remove();
+          out.push(`${"  ".repeat(depth)}${marker}${inline(clone)}\n`);
+          for (const list of nested) walk(list, { ...ctx, depth: depth + 1 });
+        }
+        return;
+      }
+      case "blockquote": {
+        const saved = out.length;
+        walkChildren(node, ctx);
+        const text = out.splice(saved).join("").trim();
+        out.push(text.split("\n").map((l) => `> ${l}`).join("\n"), "\n");
+        return;
+      }
+      case "table": {
+        const rows = Array.from(node.getElementsByTagName("tr")).map((tr) =>
+          Array.from(tr.children).map((td) => inline(td).replace(/\|/g, "\\|"))
+        ).filter((r) => r.length);
+        if (rows.length) {
+          const width = Math.max(...rows.map((r) => r.length));
+          const line = (r) => `| ${Array.from({ length: width }, (_, i) => r[i] || "").join(" | ")} |`;
+          out.push([line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n"), "\n");
+        }
+        return;
+      }
+      default:
+        break;
+    }
+    walkChildren(node, ctx);
+    if (block) ensureNewline();
+  }
+
+  walk(root, {});
+  return out
+    .join("")
+    .split("\n")
+    .map((l) => l.replace(/[ \t]+$/, "").replace(/^ (?=\S)/, "").replace(/^(\s*- \[[ x]\]) +/, "$1 "))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Notes from an Evernote export. `notebook` (usually the file name, as
+ * Evernote exports one notebook per file) is attached to every note.
+ * Image resources come back as `resources: [{ name, mime, bytes }]`.
+ */
+export function parseEnex(xml, { notebook = "" } = {}) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length || doc.documentElement.tagName !== "en-export") {
+    throw new Error("Not an Evernote export (.enex) file.");
+  }
+
+  return Array.from(doc.documentElement.getElementsByTagName("note")).map((note) => {
+    const resources = new Map(); // md5 -> resource
+    for (const res of Array.from(note.getElementsByTagName("resource"))) {
+      const dataEl = res.getElementsByTagName("data")[0];
+      if (!dataEl) continue;
+      let bytes;
+      try {
+        bytes = base64ToBytes(dataEl.textContent);
+      } catch {
+        continue; // corrupt resource data
+      }
+      const mime = childText(res, "mime").trim() || "application/octet-stream";
+      const name = childText(res, "file-name").trim() || `attachment-${resources.size + 1}`;
+      resources.set(md5Hex(bytes), { name, mime, bytes });
+    }
+
+    // ENML is XHTML with entities the XML parser won't know without the DTD:
+    // parse it as HTML, with the self-closing Evernote tags spelled out
+    const enml = childText(note, "content").replace(/<(en-todo|en-media)\b([^>]*?)\s*\/>/gi, "<$1$2></$1>");
+    const body = new DOMParser().parseFromString(enml, "text/html");
+    const root = body.getElementsByTagName("en-note")[0] || body.body;
+
+    const images = [];
+    const used = new Set();
+    const content = enmlToMarkdown(root, (hash) => {
+      const res = resources.get(hash.toLowerCase());
+      if (!res) return "";
+      used.add(hash.toLowerCase());
+      if (res.mime.startsWith("image/")) {
+        images.push(res);
+        return "";
+      }
+      return `📎 ${res.name}`;
+    });
+    // Resources the note body doesn't reference still come along
+    for (const [hash, res] of resources) {
+      if (!used.has(hash) && res.mime.startsWith("image/")) images.push(res);
+    }
+
+    const created = enexDate(childText(note, "created"));
+    const updated = enexDate(childText(note, "updated"));
+    const items = checklistFromMarkdown(content);
+    return {
+      type: items ? "checklist" : "text",
+      title: childText(note, "title").trim(),
+      content: items ? "" : content,
+      items: items || [],
+      tags: Array.from(note.getElementsByTagName("tag")).map((t) => t.textContent.trim()).filter(Boolean),
+      notebook: notebook || null,
+      timestamp: created || updated || new Date().toISOString(),
+      updated_at: updated || created || null,
+      resources: images,
+    };
+  });
+}
+
+/** ---------- Markdown / Obsidian vaults ---------- */
+// Minimal YAML for front matter: scalars, [inline, lists] and "- item" lists
+function yamlScalar(raw) {
+  const v = raw.trim();
+  if (/^".*"$/.test(v)) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (/^(true|yes)$/i.test(v)) return true;
+  if (/^(false|no)$/i.test(v)) return false;
+  if (/^(null|~)?$/i.test(v)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+export function parseFrontMatter(text) {
+  const m = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!m) return { data: {}, body: text };
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const item = /^\s+-\s*(.*)$/.exec(line) || (listKey && /^-\s*(.*)$/.exec(line));
+    if (item && listKey) {
+      data[listKey].push(yamlScalar(item[1]));
+      continue;
+    }
+    const kv = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+    if (!kv) continue;
+    const [, key, value] = kv;
+    listKey = null;
+    if (!value.trim()) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = value.trim().slice(1, -1).split(",").map(yamlScalar).filter((v) => v !== null && v !== "");
+    } else {
+      data[key] = yamlScalar(value);
+    }
+  }
+  return { data, body: text.slice(m[0].length) };
+}
+
+// "a, b" / ["a", "b"] / "#a #b" -> ["a", "b"]
+const frontMatterList = (v) =>
+  (Array.isArray(v) ? v : typeof v === "string" ? v.split(/[,\s]+/) : [])
+    .map((t) => String(t ?? "").trim().replace(/^#/, ""))
+    .filter(Boolean);
+
+const isoDate = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const d = new Date(typeof v === "number" ? v : String(v));
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// Obsidian tags: #word, #nested/tag; not headings, not all digits, not in code
+const INLINE_TAG_RE = /(^|[\s(])#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu;
+function inlineTags(md) {
+  const tags = [];
+  const prose = md.replace(/^(```|~~~)[\s\S]*?^\1/gm, "").replace(/`[^`\n]*`/g, "");
+  for (const m of prose.matchAll(INLINE_TAG_RE)) tags.push(m[2].replace(/\/+$/, ""));
+  return tags.filter(Boolean);
+}
+
+const posixDirname = (p) => (p.includes("/") ? p.slice(0, p.lastIndexOf("/")) : "");
+const posixBasename = (p) => p.slice(p.lastIndexOf("/") + 1);
+
+// Markdown images and Obsidian embeds: ![alt](path "title") / ![[file.png|300]]
+const MD_IMAGE_RE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const EMBED_RE = /!\[\[([^\]|#]+)(?:[|#][^\]]*)?\]\]/g;
+const IMAGE_EXT_RE = /\.(png|jpe?g|gif|webp|svg|bmp|avif)$/i;
+
+/**
+ * One note from a Markdown file in a vault. `path` is the file's path in the
+ * vault (its folder becomes a tag); `resolveFile(ref, fromDir, embed)` maps an
+ * image link to a vault path, or null to leave the link in the text.
+ * Resolved images come back in `imagePaths`.
+ */
+export function parseMarkdownNote(text, { path = "", resolveFile = () => null } = {}) {
+  const { data, body } = parseFrontMatter(String(text || "").replace(/\r\n/g, "\n"));
+  const dir = posixDirname(path);
+  const imagePaths = [];
+  const takeImage = (ref, embed) => {
+    let decoded = ref;
+    try {
+      decoded = decodeURI(ref);
+    } catch {
+      // keep it as written
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(decoded) || !IMAGE_EXT_RE.test(decoded)) return null;
+    const found = resolveFile(decoded, dir, embed);
+    if (found && !imagePaths.includes(found)) imagePaths.push(found);
+    return found;
+  };
+  let content = body
+    .replace(MD_IMAGE_RE, (all, _alt, ref) => (takeImage(ref, false) ? "" : all))
+    .replace(EMBED_RE, (all, ref) => (takeImage(ref.trim(), true) ? "" : all));
+
+  // Title: front matter, then a leading "# Heading", then the file name
+  let title = typeof data.title === "string" ? data.title.trim() : "";
+  const heading = /^\s*#\s+(.+)\n?/.exec(content);
+  if (!title && heading) {
+    title = heading[1].trim();
+    content = content.slice(heading[0].length);
+  }
+  if (!title) title = posixBasename(path).replace(/\.(md|markdown)$/i, "");
+  content = content.replace(/\n{3,}/g, "\n\n").trim();
+
+  const tags = [
+    ...(dir ? [dir] : []),
+    ...frontMatterList(data.tags ?? data.tag),
+    ...inlineTags(content),
+  ];
+  const items = checklistFromMarkdown(content);
+  const created = isoDate(data.created ?? data.date ?? data.created_at);
+  const updated = isoDate(data.updated ?? data.modified ?? data.updated_at);
+  return {
+    type: items ? "checklist" : "text",
+    title,
+    content: items ? "" : content,
+    items: items || [],
+    tags: [...new Set(tags)],
+    notebook: typeof data.notebook === "string" ? data.notebook : null,
+    color: typeof data.color === "string" ? data.color : null,
+    pinned: data.pinned === true,
+    archived: data.archived === true,
+    timestamp: created || updated || null,
+    updated_at: updated || created || null,
+    imagePaths,
+  };
+}
+
+/** ---------- Google Keep (Takeout) ---------- */
+// Keep's palette onto ours
+const KEEP_COLORS = {
+  DEFAULT: "default",
+  RED: "red",
+  ORANGE: "peach",
+  YELLOW: "yellow",
+  GREEN: "green",
+  TEAL: "mint",
+  BLUE: "sky",
+  CERULEAN: "blue",
+  PURPLE: "purple",
+  PINK: "mauve",
+  BROWN: "sand",
+  GRAY: "sage",
+};
+
+const usecToISO = (usec) => {
+  const n = Number(usec);
+  return Number.isFinite(n) && n > 0 ? new Date(Math.floor(n / 1000)).toISOString() : null;
+};
+
+/**
+ * One note from a Keep Takeout JSON file, or null for trashed notes and
+ * files that aren't notes. Attached files come back as `attachments:
+ * [{ filePath, mime }]` (paths are next to the JSON in Takeout/Keep/).
+ */
+export function parseKeepNote(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj) || obj.isTrashed) return null;
+  if (!("textContent" in obj) && !("listContent" in obj) && !("title" in obj)) return null;
+
+  const hasChecklist = Array.isArray(obj.listContent) && obj.listContent.length > 0;
+  const items = hasChecklist
+    ? obj.listContent.map((it) => ({ text: String(it?.text || ""), done: !!it?.isChecked }))
+    : [];
+  const links = (Array.isArray(obj.annotations) ? obj.annotations : [])
+    .filter((a) => a?.source === "WEBLINK" && a.url)
+    .map((a) => ({ title: String(a.title || a.url).trim(), url: String(a.url) }));
+  let content = hasChecklist ? "" : String(obj.textContent || "");
+  if (links.length) {
+    if (hasChecklist) {
+      // Checklist notes have no body, so their links become items
+      for (const l of links) items.push({ text: l.title === l.url ? l.url : `${l.title} — ${l.url}`, done: false });
+    } else {
+      content = [content.trimEnd(), links.map((l) => `- [${l.title}](${l.url})`).join("\n")].filter(Boolean).join("\n\n");
+    }
+  }
+
+  const created = usecToISO(obj.createdTimestampUsec);
+  const edited = usecToISO(obj.userEditedTimestampUsec);
+  return {
+    type: hasChecklist ? "checklist" : "text",
+    title: String(obj.title || ""),
+    content,
+    items,
+    tags: Array.isArray(obj.labels)
+      ? obj.labels.map((l) => (typeof l?.name === "string" ? l.name.trim() : "")).filter(Boolean)
+      : [],
+    color: KEEP_COLORS[String(obj.color || "").toUpperCase()] || "default",
+    pinned: !!obj.isPinned,
+    archived: !!obj.isArchived,
+    timestamp: created || edited || null,
+    updated_at: edited || created || null,
+    attachments: (Array.isArray(obj.attachments) ? obj.attachments : [])
+      .filter((a) => typeof a?.filePath === "string" && a.filePath)
+      .map((a) => ({ filePath: a.filePath, mime: String(a.mimetype || "") })),
+  };
+}
+
+/** ---------- Joplin (.jex / RAW) ---------- */
+const JOPLIN_NOTE = 1;
+const JOPLIN_FOLDER = 2;
+const JOPLIN_RESOURCE = 4;
+const JOPLIN_TAG = 5;
+const JOPLIN_NOTE_TAG = 6;
+
+// Entries of an uncompressed tar archive (a .jex file) as [{ path, bytes }]
+export function readTar(bytes) {
+  const entries = [];
+  const decoder = new TextDecoder();
+  const field = (off, len) => decoder.decode(bytes.subarray(off, off + len)).replace(/\0[\s\S]*$/, "");
+  let longName = null;
+  for (let off = 0; off + 512 <= bytes.length;) {
+    const name = field(off, 100);
+    if (!name) break; // end-of-archive blocks
+    const size = parseInt(field(off + 124, 12).trim() || "0", 8) || 0;
+    const type = String.fromCharCode(bytes[off + 156] || 48);
+    const prefix = field(off + 345, 155);
+    const data = bytes.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+    if (type === "L") {
+      longName = decoder.decode(data).replace(/\0[\s\S]*$/, ""); // GNU long name for the next entry
+      continue;
+    }
+    if (type === "0" || type === "\0") {
+      entries.push({ path: longName || (prefix ? `${prefix}/${name}` : name), bytes: data });
+    }
+    longName = null;
+  }
+  return entries;
+}
+
+// Joplin item files: title, blank line, body, blank line, then "key: value" lines
+function parseJoplinItem(text) {
+  const lines = String(text).replace(/\r\n/g, "\n").replace(/\n+$/, "").split("\n");
+  const meta = {};
+  let i = lines.length - 1;
+  for (; i >= 0; i--) {
+    const m = /^([a-z_]+): ?(.*)$/.exec(lines[i]);
+    if (!m) break;
+    meta[m[1]] = m[2];
+  }
+  if (!meta.id || !meta.type_) return null;
+  const rest = lines.slice(0, i + 1);
+  while (rest.length && !rest[rest.length - 1].trim()) rest.pop();
+  return {
+    meta,
+    title: rest[0] || "",
+    body: rest.slice(2).join("\n"),
+  };
+}
+
+const joplinTime = (v) => (v && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : null);
+
+/**
+ * Notes from a Joplin export. `files` are the export's Markdown item files as
+ * [{ path, text }]; notebooks keep their "Parent/Child" path and images point
+ * at "resources/<id>.<ext>" in `imagePaths`.
+ */
+export function parseJoplin(files) {
+  const items = files.map((f) => parseJoplinItem(f.text)).filter(Boolean);
+  const byType = (t) => items.filter((it) => Number(it.meta.type_) === t);
+
+  const folders = new Map(byType(JOPLIN_FOLDER).map((f) => [f.meta.id, f]));
+  const folderPath = (id, seen = new Set()) => {
+    const f = folders.get(id);
+    if (!f || seen.has(id)) return "";
+    seen.add(id);
+    const parent = folderPath(f.meta.parent_id, seen);
+    return parent ? `${parent}/${f.title.trim()}` : f.title.trim();
+  };
+  const tagNames = new Map(byType(JOPLIN_TAG).map((t) => [t.meta.id, t.title.trim()]));
+  const noteTags = new Map();
+  for (const link of byType(JOPLIN_NOTE_TAG)) {
+    const name = tagNames.get(link.meta.tag_id);
+    if (!name) continue;
+    if (!noteTags.has(link.meta.note_id)) noteTags.set(link.meta.note_id, []);
+    noteTags.get(link.meta.note_id).push(name);
+  }
+  const resources = new Map(byType(JOPLIN_RESOURCE).map((r) => [r.meta.id, r]));
+
+  let skipped = 0;
+  const notes = [];
+  for (const note of byType(JOPLIN_NOTE)) {
+    if (Number(note.meta.deleted_time) > 0 || note.meta.is_conflict === "1") {
+      skipped++;
+      continue;
+    }
+    const imagePaths = [];
+    // ![alt](:/<resource id>) and [file](:/<resource id>)
+    const content = note.body
+      .replace(/(!?)\[([^\]]*)\]\(:\/([0-9a-f]{32})\)/g, (all, bang, label, id) => {
+        const res = resources.get(id);
+        if (!res) return all;
+        const mime = res.meta.mime || "";
+        const ext = res.meta.file_extension || "";
+        if (mime.startsWith("image/")) {
+          imagePaths.push(`resources/${id}${ext ? `.${ext}` : ""}`);
+          return "";
+        }
+        return `📎 ${label || res.title || "attachment"}`;
+      })
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    const items = checklistFromMarkdown(content);
+    const created = joplinTime(note.meta.user_created_time) || joplinTime(note.meta.created_time);
+    const updated = joplinTime(note.meta.user_updated_time) || joplinTime(note.meta.updated_time);
+    notes.push({
+      type: items ? "checklist" : "text",
+      title: note.title.trim(),
+      content: items ? "" : content,
+      items: items || [],
+      tags: noteTags.get(note.meta.id) || [],
+      notebook: folderPath(note.meta.parent_id) || null,
+      pinned: false,
+      archived: false,
+      timestamp: created || updated || null,
+      updated_at: updated || created || null,
+      imagePaths,
+    });
+  }
+  return { notes, skipped };
+}
+
+/** ---------- Simplenote (JSON export) ---------- */
+// { activeNotes: [{ id, content, creationDate, lastModified, tags, pinned }], trashedNotes }
+export function parseSimplenote(json) {
+  if (!json || !Array.isArray(json.activeNotes)) throw new Error("Not a Simplenote export.");
+  const notes = json.activeNotes.map((n) => {
+    // The first line is the title
+    const text = String(n.content || "").replace(/\r\n/g, "\n");
+    const nl = text.indexOf("\n");
+    const title = (nl < 0 ? text : text.slice(0, nl)).replace(/^#+\s*/, "").trim();
+    const body = nl < 0 ? "" : text.slice(nl + 1).trim();
+    const items = checklistFromMarkdown(body);
+    const created = isoDate(n.creationDate);
+    const updated = isoDate(n.lastModified);
+    return {
+      type: items ? "checklist" : "text",
+      title,
+      content: items ? "" : body,
+      items: items || [],
+      tags: Array.isArray(n.tags) ? n.tags.map((t) => String(t).trim()).filter(Boolean) : [],
+      notebook: null,
+      pinned: n.pinned === true || (Array.isArray(n.systemTags) && n.systemTags.includes("pinned")),
+      archived: false,
+      timestamp: created || updated || null,
+      updated_at: updated || created || null,
+      imagePaths: [],
+    };
+  });
+  return { notes, skipped: Array.isArray(json.trashedNotes) ? json.trashedNotes.length : 0 };
+}
+
+/** ---------- Standard Notes (decrypted backup) ---------- */
+// { items: [{ uuid, content_type: "Note" | "Tag" | ..., content: {...}, created_at, updated_at }] }
+export function parseStandardNotes(json) {
+  if (!json || !Array.isArray(json.items)) throw new Error("Not a Standard Notes backup.");
+  if (json.items.some((it) => typeof it?.content === "string")) {
+    throw new Error("This Standard Notes backup is encrypted. Export a decrypted backup instead.");
+  }
+  const appData = (it) => it.content?.appData?.["org.standardnotes.sn"] || {};
+
+  // Tags reference their notes; nested tags reference their parent tag
+  const tags = new Map(json.items.filter((it) => it?.content_type === "Tag").map((t) => [t.uuid, t]));
+  const tagPath = (uuid, seen = new Set()) => {
+    const tag = tags.get(uuid);
+    if (!tag || seen.has(uuid)) return "";
+    seen.add(uuid);
+    const parentRef = (tag.content.references || []).find((r) => r.content_type === "Tag");
+    const parent = parentRef ? tagPath(parentRef.uuid, seen) : "";
+    const title = String(tag.content.title || "").trim();
+    return parent && title ? `${parent}/${title}` : title;
+  };
+  const noteTags = new Map();
+  for (const uuid of tags.keys()) {
+    const path = tagPath(uuid);
+    if (!path) continue;
+    for (const ref of tags.get(uuid).content.references || []) {
+      if (ref.content_type !== "Note") continue;
+      if (!noteTags.has(ref.uuid)) noteTags.set(ref.uuid, []);
+      noteTags.get(ref.uuid).push(path);
+    }
+  }
+
+  let skipped = 0;
+  const notes = [];
+  for (const it of json.items) {
+    if (it?.content_type !== "Note" || it.deleted) continue;
+    const c = it.content || {};
+    if (c.trashed || appData(it).trashed) {
+      skipped++;
+      continue;
+    }
+    const text = String(c.text || "");
+    const items = checklistFromMarkdown(text);
+    const created = isoDate(it.created_at);
+    const updated = isoDate(appData(it).client_updated_at) || isoDate(it.updated_at);
+    notes.push({
+      type: items ? "checklist" : "text",
+      title: String(c.title || "").trim(),
+      content: items ? "" : text.trim(),
+      items: items || [],
+      tags: noteTags.get(it.uuid) || [],
+      notebook: null,
+      pinned: !!(c.pinned ?? appData(it).pinned),
+      archived: !!(c.archived ?? appData(it).archived),
+      timestamp: created || updated || null,
+      updated_at: updated || created || null,
+      imagePaths: [],
+    });
+  }
+  return { notes, skipped };
+}